@@ -0,0 +1,14 @@
+const Razorpay = require('razorpay');
+
+// Shared Razorpay client. Tests can swap in a stub with setClient().
+let client = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_RL5vMta3bKvRd4',
+  key_secret: process.env.RAZORPAY_KEY_SECRET || '9qxxugjEleGtcqcOjWFmCB2n'
+});
+
+module.exports = {
+  getClient: () => client,
+  setClient: (stub) => {
+    client = stub;
+  }
+};
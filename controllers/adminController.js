@@ -1,5 +1,11 @@
 const User = require('../models/User');
 const Turf = require('../models/Turf');
+const PaymentEvent = require('../models/PaymentEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const reconciliationService = require('../services/reconciliationService');
+const PayoutBatch = require('../models/PayoutBatch');
+const ledgerService = require('../services/ledgerService');
+const CommissionRule = require('../models/CommissionRule');
 const { sendOwnerApprovalEmail, sendOwnerRejectionEmail } = require('../utils/emailService');
 
 // @desc    Get all registered users
@@ -409,4 +415,458 @@ exports.approveTurfChanges = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    List Razorpay webhook deliveries and their processing result
+// @route   GET /api/admin/payment-events
+// @access  Private/Admin
+exports.getPaymentEvents = async (req, res, next) => {
+  try {
+    const { status, event, orderId, paymentId, page = 1, limit = 20 } = req.query;
+
+    // Build filter object
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+    if (event) {
+      filter.event = event;
+    }
+    if (orderId) {
+      filter.orderId = orderId;
+    }
+    if (paymentId) {
+      filter.paymentId = paymentId;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const events = await PaymentEvent.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PaymentEvent.countDocuments(filter);
+
+    // Get summary statistics
+    const stats = {
+      processed: await PaymentEvent.countDocuments({ status: 'processed' }),
+      ignored: await PaymentEvent.countDocuments({ status: 'ignored' }),
+      failed: await PaymentEvent.countDocuments({ status: 'failed' }),
+      processing: await PaymentEvent.countDocuments({ status: 'processing' })
+    };
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      stats,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single webhook delivery including its payload
+// @route   GET /api/admin/payment-events/:id
+// @access  Private/Admin
+exports.getPaymentEvent = async (req, res, next) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: `Payment event not found with id of ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List payment reconciliation reports
+// @route   GET /api/admin/reconciliation
+// @access  Private/Admin
+exports.getReconciliationReports = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 30 } = req.query;
+
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const reports = await ReconciliationReport.find(filter)
+      .select('-fixed')
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ReconciliationReport.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the reconciliation report for a day
+// @route   GET /api/admin/reconciliation/:date
+// @access  Private/Admin
+exports.getReconciliationReport = async (req, res, next) => {
+  try {
+    const report = await ReconciliationReport.findOne({ date: req.params.date })
+      .populate('discrepancies.bookingIds', 'bookingCode bookingDate startTime endTime status paymentStatus paymentAmount customerInfo')
+      .populate('fixed.bookingIds', 'bookingCode bookingDate startTime endTime status paymentStatus');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: `No reconciliation report for ${req.params.date}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Run payment reconciliation for a day now
+// @route   POST /api/admin/reconciliation/run
+// @access  Private/Admin
+exports.runReconciliation = async (req, res, next) => {
+  try {
+    const { date } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'date is required in YYYY-MM-DD format'
+      });
+    }
+
+    const existing = await ReconciliationReport.findOne({ date });
+    if (existing && existing.status === 'running') {
+      return res.status(400).json({
+        success: false,
+        message: `Reconciliation for ${date} is already running`
+      });
+    }
+
+    const report = await reconciliationService.reconcileDate(date, { triggeredBy: req.user.id });
+
+    res.status(200).json({
+      success: report.status === 'completed',
+      data: report,
+      message: report.status === 'completed'
+        ? `Reconciliation for ${date} completed`
+        : `Reconciliation for ${date} failed: ${report.error}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a reconciliation discrepancy as resolved
+// @route   PUT /api/admin/reconciliation/:date/discrepancies/:discrepancyId/resolve
+// @access  Private/Admin
+exports.resolveDiscrepancy = async (req, res, next) => {
+  try {
+    const report = await ReconciliationReport.findOne({ date: req.params.date });
+    const discrepancy = report?.discrepancies.id(req.params.discrepancyId);
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discrepancy not found'
+      });
+    }
+
+    discrepancy.resolved = true;
+    discrepancy.resolvedAt = new Date();
+    discrepancy.resolvedBy = req.user.id;
+    await report.save();
+
+    res.status(200).json({
+      success: true,
+      data: discrepancy,
+      message: 'Discrepancy marked as resolved'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List owner payout batches
+// @route   GET /api/admin/payouts
+// @access  Private/Admin
+exports.getPayoutBatches = async (req, res, next) => {
+  try {
+    const { status, ownerId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+    if (ownerId) {
+      filter.ownerId = ownerId;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const batches = await PayoutBatch.find(filter)
+      .populate('ownerId', 'firstName lastName email businessName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PayoutBatch.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      data: batches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a payout batch from an owner's unsettled ledger entries
+// @route   POST /api/admin/payouts
+// @access  Private/Admin
+exports.createPayoutBatch = async (req, res, next) => {
+  try {
+    const { ownerId, periodEnd } = req.body;
+
+    const owner = ownerId ? await User.findById(ownerId) : null;
+    if (!owner || owner.userType !== 'owner') {
+      return res.status(404).json({
+        success: false,
+        message: 'Owner not found'
+      });
+    }
+
+    const end = periodEnd ? new Date(periodEnd) : new Date();
+    if (isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid periodEnd date'
+      });
+    }
+
+    let batch;
+    try {
+      batch = await ledgerService.createPayoutBatch(owner._id, end, req.user.id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+      message: `Payout batch of ${batch.amount} INR created`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a payout batch as settled
+// @route   PUT /api/admin/payouts/:id/settle
+// @access  Private/Admin
+exports.settlePayoutBatch = async (req, res, next) => {
+  try {
+    const { reference, notes } = req.body;
+
+    const batch = await ledgerService.settlePayoutBatch(req.params.id, { reference, notes }, req.user.id);
+    if (!batch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout batch not found or not pending'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+      message: 'Payout batch marked as settled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending payout batch
+// @route   PUT /api/admin/payouts/:id/cancel
+// @access  Private/Admin
+exports.cancelPayoutBatch = async (req, res, next) => {
+  try {
+    const batch = await ledgerService.cancelPayoutBatch(req.params.id);
+    if (!batch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout batch not found or not pending'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+      message: 'Payout batch cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List commission and convenience fee rules
+// @route   GET /api/admin/commission-rules
+// @access  Private/Admin
+exports.getCommissionRules = async (req, res, next) => {
+  try {
+    const rules = await CommissionRule.find()
+      .populate('ownerId', 'firstName lastName email businessName')
+      .sort({ ownerId: 1, sport: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a commission rule (global, per-owner or per-sport)
+// @route   POST /api/admin/commission-rules
+// @access  Private/Admin
+exports.createCommissionRule = async (req, res, next) => {
+  try {
+    const { ownerId, sport, commissionPercent, convenienceFee, isActive, notes } = req.body;
+
+    if (ownerId) {
+      const owner = await User.findById(ownerId);
+      if (!owner || owner.userType !== 'owner') {
+        return res.status(404).json({
+          success: false,
+          message: 'Owner not found'
+        });
+      }
+    }
+
+    const existing = await CommissionRule.findOne({ ownerId: ownerId || null, sport: sport || null });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule already exists for this owner/sport, update it instead'
+      });
+    }
+
+    const rule = await CommissionRule.create({
+      ownerId: ownerId || null,
+      sport: sport || null,
+      commissionPercent,
+      convenienceFee,
+      isActive,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: `${rule.scope} commission rule created`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a commission rule
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private/Admin
+exports.updateCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: `Commission rule not found with id of ${req.params.id}`
+      });
+    }
+
+    // Scope (ownerId/sport) is fixed; create a new rule for a different scope
+    for (const field of ['commissionPercent', 'convenienceFee', 'isActive', 'notes']) {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    }
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Commission rule updated. New bookings will use it.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a commission rule
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private/Admin
+exports.deleteCommissionRule = async (req, res, next) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: `Commission rule not found with id of ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,26 @@
+const mongoose = require('mongoose');
 const Turf = require('../models/Turf');
 const Match = require('../models/Match');
 const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const BookingSeries = require('../models/BookingSeries');
+const Coupon = require('../models/Coupon');
+const PricingRule = require('../models/PricingRule');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { DEFAULT_TIERS } = require('../utils/cancellationPolicy');
+const { toCalendarDate, nowInZone } = require('../utils/timezone');
+const { slotLength } = require('../utils/slotTemplate');
+const { verifyCheckInToken } = require('../utils/checkInToken');
+const refundService = require('../services/refundService');
+const waitlistService = require('../services/waitlistService');
+const rescheduleService = require('../services/rescheduleService');
+
+// How long an online booking keeps its slot while the player pays
+const HOLD_WINDOW_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES || '10', 10);
+
+// Ways an owner can collect the remaining balance at the venue
+const BALANCE_PAYMENT_METHODS = ['cash', 'upi'];
 
 // @desc    Get all bookings for the authenticated user
 // @route   GET /api/bookings
@@ -36,11 +54,118 @@ exports.getBooking = asyncHandler(async (req, res, next) => {
   res.status(200).json({ success: true, data: booking });
 });
 
+// Helper: check a requested slot against the turf template and the slot
+// inventory for that date. options: { court, courtType, allowStarted }, where
+// allowStarted lets a slot that has begun but not ended be booked. Resolves
+// to { instances, court, pricing } or { error }.
+const checkRequestedSlot = async (turf, sDate, startTime, endTime, options = {}) => {
+  const windowError = turf.getBookingWindowError(sDate);
+  if (windowError) {
+    return { error: windowError };
+  }
+
+  const sDay = SlotInstance.dayOfWeek(sDate, turf.getTimeZone());
+  const daySlots = turf.availableSlots?.[sDay];
+  if (!daySlots || !daySlots.isOpen) {
+    return { error: `No slots available on ${sDay}` };
+  }
+
+  // Check if it's today at the turf and slot time has passed
+  const now = nowInZone(turf.getTimeZone());
+  const isToday = SlotInstance.toDateKey(sDate, turf.getTimeZone()) === now.dateKey;
+  if (isToday) {
+    const currentTime = now.minutes;
+    const slotStartTime = turf.parseTimeToMinutes(startTime);
+    const cutoff = options.allowStarted ? slotStartTime + slotLength(startTime, endTime) : slotStartTime;
+    if (cutoff <= currentTime) {
+      return { error: 'Cannot book slots that have already passed' };
+    }
+  }
+
+  const { instances, court, error } = await SlotInstance.findSlot(turf, sDate, startTime, endTime, options);
+  if (error === 'Slot not found') {
+    return { error: 'Selected slot is not available' };
+  }
+  if (error === 'Slot is already booked for this date') {
+    return { error: 'One or more selected slots are already booked' };
+  }
+  if (error) {
+    return { error };
+  }
+
+  const pricing = await PricingRule.priceSlot(turf, sDate, instances[0]);
+  return { instances, court, pricing };
+};
+
+// Helper: booking fields that snapshot the price a slot was booked at
+const pricingFields = (pricing) => ({
+  pricePerHour: pricing.price,
+  pricingRule: pricing.rule
+    ? { ...pricing.rule.toSnapshot(), basePrice: pricing.basePrice }
+    : undefined
+});
+
+// Helper: normalise the requested payment method
+const resolvePaymentMethod = (method) => (
+  ['cash', 'card', 'upi', 'bank_transfer', 'online'].includes((method || '').toLowerCase())
+    ? (method || 'online')
+    : 'online'
+);
+
+// Helper: customer details for bookings made by a logged-in user
+const customerInfoFor = (user) => ({
+  name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || 'Customer',
+  phone: user.phone || 'N/A',
+  email: user.email || ''
+});
+
+// Helper: start and end of a booking's match as dates, in the turf's timezone
+const matchTimesFor = (booking) => ({
+  startDateTime: booking.getStartDateTime(),
+  endDateTime: booking.getEndDateTime()
+});
+
+// Helper: auto-create a match for a booking (one per slot). Non-fatal.
+const createMatchForBooking = async (turf, booking, user, teams) => {
+  try {
+    const { startDateTime, endDateTime } = matchTimesFor(booking);
+
+    const providedTeams = Array.isArray(teams) && teams.length >= 2 ? teams.slice(0,2) : [];
+    const defaultTeams = [
+      { name: 'Team A', score: 0, players: [], captain: '' },
+      { name: 'Team B', score: 0, players: [], captain: '' }
+    ];
+
+    await Match.create({
+      turfId: turf._id,
+      ownerId: turf.ownerId,
+      bookingId: booking._id,
+      customerId: user.id,
+      customerName: booking.customerInfo?.name,
+      matchName: `${turf.name} Match` ,
+      matchType: (turf.sport || 'football').toLowerCase(),
+      startTime: startDateTime,
+      endTime: endDateTime,
+      teams: (providedTeams.length ? providedTeams : defaultTeams).map(t => ({
+        name: t.name || 'Team',
+        score: 0,
+        players: Array.isArray(t.players) ? t.players : (typeof t.players === 'string' ? t.players.split(',').map(p=>p.trim()).filter(Boolean) : []),
+        captain: t.captain || ''
+      })),
+      isPublic: true,
+      status: 'scheduled'
+    });
+  } catch (e) {
+    // Non-fatal if match creation fails
+    console.warn('Match auto-create failed:', e.message);
+  }
+};
+
 // @desc    Create a new online booking (customer must be logged in)
 // @route   POST /api/bookings
 // @access  Private
 exports.createBooking = asyncHandler(async (req, res, next) => {
-  const { turfId, date, startTime, endTime, paymentMethod, slots, teams, courtType } = req.body;
+  const { turfId, date, startTime, endTime, paymentMethod, slots, teams, courtType, court, couponCode } = req.body;
 
   const isBulk = Array.isArray(slots) && slots.length > 0;
 
@@ -56,115 +181,368 @@ exports.createBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Turf not found', 404));
   }
 
-  const toProcess = isBulk ? slots : [{ date, startTime, endTime, paymentMethod, courtType }];
-  const created = [];
+  // Free slots whose payment hold lapsed since the last sweep and offer
+  // them to the waitlist
+  await waitlistService.releaseExpiredHolds({ turfId: turf._id });
+
+  const toProcess = isBulk ? slots : [{ date, startTime, endTime, paymentMethod, courtType, court }];
 
+  // Validate every requested slot before reserving any of them
+  const planned = [];
   for (const s of toProcess) {
-    const sDate = new Date(s.date);
-    const sDay = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'][sDate.getDay()];
-    const daySlots = turf.availableSlots?.[sDay];
-    if (!daySlots || !daySlots.isOpen) {
-      return next(new ErrorResponse(`No slots available on ${sDay}`, 400));
-    }
-    const slot = daySlots.slots.find(ds => ds.startTime === s.startTime && ds.endTime === s.endTime);
-    if (!slot) {
-      return next(new ErrorResponse('Selected slot is not available', 400));
-    }
-    
-    // Check if it's today and slot time has passed
-    const today = new Date();
-    const isToday = sDate.toDateString() === today.toDateString();
-    if (isToday) {
-      const currentTime = today.getHours() * 60 + today.getMinutes();
-      const slotStartTime = turf.parseTimeToMinutes(s.startTime);
-      if (slotStartTime <= currentTime) {
-        return next(new ErrorResponse('Cannot book slots that have already passed', 400));
-      }
-    }
-    
-    const isAvailable = turf.isSlotAvailable(sDate, sDay, s.startTime, s.endTime);
-    if (!isAvailable) {
-      return next(new ErrorResponse('One or more selected slots are already booked', 400));
-    }
-
-    const pricePerHour = slot.price || turf.pricePerHour;
-    const method = ['cash', 'card', 'upi', 'bank_transfer', 'online'].includes((s.paymentMethod || paymentMethod || '').toLowerCase())
-      ? (s.paymentMethod || paymentMethod || 'online')
-      : 'online';
+    const sDate = toCalendarDate(s.date, turf.getTimeZone());
+    if (isNaN(sDate.getTime())) {
+      return next(new ErrorResponse('Invalid date format', 400));
+    }
+    const method = resolvePaymentMethod(s.paymentMethod || paymentMethod);
 
     // Court type handling (defaults to 'full')
     const ct = ((s.courtType || courtType || 'full').toLowerCase() === 'half') ? 'half' : 'full';
 
-    const booking = await Booking.create({
+    const { instances, court: allocated, pricing, error } = await checkRequestedSlot(turf, sDate, s.startTime, s.endTime, {
+      court: s.court || court,
+      courtType: ct
+    });
+    if (error) {
+      return next(new ErrorResponse(error, 400));
+    }
+
+    planned.push({ s, sDate, instances, court: allocated, pricing, method, ct, bookingId: new mongoose.Types.ObjectId() });
+  }
+
+  // Apply the promo code to the court price of the whole request
+  let coupon = null;
+  let couponDiscount = 0;
+  let lineDiscounts = planned.map(() => 0);
+  if (couponCode) {
+    coupon = await Coupon.findByCode(couponCode);
+    if (!coupon) {
+      return next(new ErrorResponse('Invalid coupon code', 400));
+    }
+
+    const amounts = planned.map(p => Booking.computeBaseAmount({
+      startTime: p.s.startTime,
+      endTime: p.s.endTime,
+      pricePerHour: p.pricing.price,
+      courtType: p.ct
+    }));
+    const { discount, error } = await coupon.checkEligibility({
+      userId: req.user.id,
+      turf,
+      amount: amounts.reduce((sum, a) => sum + a, 0)
+    });
+    if (error) {
+      return next(new ErrorResponse(error, 400));
+    }
+
+    couponDiscount = discount;
+    lineDiscounts = Coupon.splitDiscount(discount, amounts);
+  }
+
+  // Reserve all slots or none. Each claim is a conditional write on the slot
+  // instance, so a concurrent request for the same slot loses cleanly and any
+  // claims already made by this request are handed back.
+  const holdExpiresAt = new Date(Date.now() + HOLD_WINDOW_MINUTES * 60 * 1000);
+  const claimedIds = [];
+  try {
+    for (const p of planned) {
+      await SlotInstance.claimAll(p.instances, p.bookingId, req.user.id, { hold: p.method === 'online' });
+      claimedIds.push(p.bookingId);
+    }
+  } catch (e) {
+    await SlotInstance.releaseForBookings(claimedIds);
+    return next(new ErrorResponse('One or more selected slots are already booked', 400));
+  }
+
+  // Take the coupon use only once the slots are secured
+  let redemption = null;
+  if (coupon) {
+    redemption = await coupon.redeem(req.user.id, claimedIds, couponDiscount);
+    if (!redemption) {
+      await SlotInstance.releaseForBookings(claimedIds);
+      return next(new ErrorResponse('This coupon has been fully redeemed', 400));
+    }
+  }
+
+  let created;
+  try {
+    created = await Booking.create(planned.map((p, i) => ({
+      _id: p.bookingId,
       turfId: turf._id,
       ownerId: turf.ownerId,
       customerId: req.user.id,
-      customerInfo: {
-        name: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.email || 'Customer',
-        phone: req.user.phone || 'N/A',
-        email: req.user.email || ''
-      },
-      bookingDate: sDate,
-      startTime: s.startTime,
-      endTime: s.endTime,
-      pricePerHour,
-      courtType: ct,
-      status: 'confirmed',
-      paymentStatus: method === 'online' ? 'pending' : 'pending',
-      paymentMethod: method,
-      bookingType: 'online'
+      customerInfo: customerInfoFor(req.user),
+      bookingDate: p.sDate,
+      timezone: turf.getTimeZone(),
+      startTime: p.s.startTime,
+      endTime: p.s.endTime,
+      sport: turf.sport,
+      ...pricingFields(p.pricing),
+      courtType: p.ct,
+      court: p.court.key,
+      // Online bookings hold the slot until payment is verified
+      status: p.method === 'online' ? 'held' : 'confirmed',
+      holdExpiresAt: p.method === 'online' ? holdExpiresAt : undefined,
+      paymentStatus: 'pending',
+      paymentMethod: p.method,
+      bookingType: 'online',
+      couponId: coupon?._id,
+      couponCode: coupon?.code,
+      discountAmount: lineDiscounts[i]
+    })));
+  } catch (e) {
+    await Booking.deleteMany({ _id: { $in: claimedIds } });
+    await SlotInstance.releaseForBookings(claimedIds);
+    if (redemption) {
+      await Coupon.cancelRedemption(redemption);
+    }
+    return next(e);
+  }
+
+  for (const booking of created) {
+    await createMatchForBooking(turf, booking, req.user, teams);
+  }
+
+  // Email confirmation deferred: will be sent after successful payment.
+
+  res.status(201).json({
+    success: true,
+    message: isBulk ? 'Bookings created' : 'Booking created',
+    data: isBulk ? created : created[0]
+  });
+});
+
+// @desc    Create a recurring booking series (weekly/biweekly)
+// @route   POST /api/bookings/series
+// @access  Private
+exports.createBookingSeries = asyncHandler(async (req, res, next) => {
+  const { turfId, startDate, startTime, endTime, frequency = 'weekly', endDate, occurrences, paymentMethod, courtType, court, teams } = req.body;
+
+  if (!turfId || !startDate || !startTime || !endTime) {
+    return next(new ErrorResponse('turfId, startDate, startTime and endTime are required', 400));
+  }
+
+  const turf = await Turf.findById(turfId);
+  if (!turf) {
+    return next(new ErrorResponse('Turf not found', 404));
+  }
+
+  let dates;
+  try {
+    dates = BookingSeries.generateDates({
+      startDate,
+      frequency,
+      endDate,
+      occurrences: occurrences && parseInt(occurrences, 10),
+      timeZone: turf.getTimeZone()
     });
+  } catch (e) {
+    return next(new ErrorResponse(e.message, 400));
+  }
+
+  await waitlistService.releaseExpiredHolds({ turfId: turf._id });
+
+  const method = resolvePaymentMethod(paymentMethod);
+  const ct = ((courtType || 'full').toLowerCase() === 'half') ? 'half' : 'full';
+
+  const series = await BookingSeries.create({
+    turfId: turf._id,
+    ownerId: turf.ownerId,
+    customerId: req.user.id,
+    customerInfo: customerInfoFor(req.user),
+    frequency,
+    startDate: dates[0],
+    endDate,
+    occurrences: dates.length,
+    startTime,
+    endTime,
+    courtType: ct,
+    court,
+    paymentMethod: method
+  });
+
+  // Each occurrence is booked independently; the ones that cannot be booked
+  // are reported back instead of failing the whole series.
+  const holdExpiresAt = new Date(Date.now() + HOLD_WINDOW_MINUTES * 60 * 1000);
+  const created = [];
+  const conflicts = [];
+  for (const sDate of dates) {
+    const { instances, court: allocated, pricing, error } = await checkRequestedSlot(turf, sDate, startTime, endTime, { court, courtType: ct });
+    if (error) {
+      conflicts.push({ date: sDate, reason: error });
+      continue;
+    }
 
-    await turf.bookSlot(sDate, sDay, s.startTime, s.endTime, booking._id);
-    await turf.save();
-    
-    // Auto-create a match for this booking (one per slot)
+    const bookingId = new mongoose.Types.ObjectId();
     try {
-      const startDateTime = new Date(sDate);
-      const [sh, sm] = String(s.startTime || '').split(':');
-      startDateTime.setHours(parseInt(sh || '0'), parseInt(sm || '0'), 0, 0);
-      const endDateTime = new Date(sDate);
-      const [eh, em] = String(s.endTime || '').split(':');
-      endDateTime.setHours(parseInt(eh || '0'), parseInt(em || '0'), 0, 0);
-
-      const providedTeams = Array.isArray(teams) && teams.length >= 2 ? teams.slice(0,2) : [];
-      const defaultTeams = [
-        { name: 'Team A', score: 0, players: [], captain: '' },
-        { name: 'Team B', score: 0, players: [], captain: '' }
-      ];
-
-      await Match.create({
+      await SlotInstance.claimAll(instances, bookingId, req.user.id, { hold: method === 'online' });
+    } catch (e) {
+      conflicts.push({ date: sDate, reason: e.message });
+      continue;
+    }
+
+    try {
+      // Like single bookings, online occurrences hold their slot until the
+      // player pays for them
+      const booking = await Booking.create({
+        _id: bookingId,
         turfId: turf._id,
         ownerId: turf.ownerId,
-        bookingId: booking._id,
         customerId: req.user.id,
-        customerName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.email || 'Customer',
-        matchName: `${turf.name} Match` ,
-        matchType: (turf.sport || 'football').toLowerCase(),
-        startTime: startDateTime,
-        endTime: endDateTime,
-        teams: (providedTeams.length ? providedTeams : defaultTeams).map(t => ({
-          name: t.name || 'Team',
-          score: 0,
-          players: Array.isArray(t.players) ? t.players : (typeof t.players === 'string' ? t.players.split(',').map(p=>p.trim()).filter(Boolean) : []),
-          captain: t.captain || ''
-        })),
-        isPublic: true,
-        status: 'scheduled'
+        customerInfo: customerInfoFor(req.user),
+        seriesId: series._id,
+        bookingDate: sDate,
+        timezone: turf.getTimeZone(),
+        startTime,
+        endTime,
+        sport: turf.sport,
+        ...pricingFields(pricing),
+        courtType: ct,
+        court: allocated.key,
+        status: method === 'online' ? 'held' : 'confirmed',
+        holdExpiresAt: method === 'online' ? holdExpiresAt : undefined,
+        paymentStatus: 'pending',
+        paymentMethod: method,
+        bookingType: 'online'
       });
+      await createMatchForBooking(turf, booking, req.user, teams);
+      created.push(booking);
     } catch (e) {
-      // Non-fatal if match creation fails
-      console.warn('Match auto-create failed:', e.message);
+      await SlotInstance.releaseForBookings([bookingId]);
+      conflicts.push({ date: sDate, reason: e.message });
     }
-    created.push(booking);
   }
 
-  // Email confirmation deferred: will be sent after successful payment.
+  if (created.length === 0) {
+    await series.deleteOne();
+    return next(new ErrorResponse('None of the requested occurrences could be booked', 400));
+  }
 
   res.status(201).json({
     success: true,
-    message: isBulk ? 'Bookings created' : 'Booking created',
-    data: isBulk ? created : created[0]
+    message: conflicts.length > 0
+      ? `Series created with ${created.length} of ${dates.length} occurrences booked`
+      : 'Series created',
+    data: {
+      series,
+      bookings: created,
+      conflicts
+    }
+  });
+});
+
+// @desc    Get a recurring booking series with its occurrences
+// @route   GET /api/bookings/series/:id
+// @access  Private
+exports.getBookingSeries = asyncHandler(async (req, res, next) => {
+  const series = await BookingSeries.findById(req.params.id)
+    .populate('turfId', 'name location sport images')
+    .populate({ path: 'bookings', options: { sort: { bookingDate: 1 } } });
+
+  if (!series) {
+    return next(new ErrorResponse('Booking series not found', 404));
+  }
+
+  if (series.customerId.toString() !== req.user.id && series.ownerId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to view this booking series', 403));
+  }
+
+  res.status(200).json({ success: true, data: series });
+});
+
+// @desc    Cancel the remaining occurrences of a series (from a date onwards)
+// @route   DELETE /api/bookings/series/:id
+// @access  Private
+exports.cancelBookingSeries = asyncHandler(async (req, res, next) => {
+  const series = await BookingSeries.findById(req.params.id);
+  if (!series) {
+    return next(new ErrorResponse('Booking series not found', 404));
+  }
+
+  if (series.customerId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to cancel this booking series', 403));
+  }
+
+  const turf = await Turf.findById(series.turfId);
+  const timeZone = turf?.getTimeZone();
+  const from = toCalendarDate(req.query.from || nowInZone(timeZone).dateKey, timeZone);
+  if (isNaN(from.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+
+  const bookings = await Booking.find({
+    seriesId: series._id,
+    bookingDate: { $gte: from },
+    status: { $in: ['held', 'confirmed', 'pending'] }
+  }).sort({ bookingDate: 1 });
+
+  const cancelled = [];
+  const skipped = [];
+  const tiers = turf?.cancellationPolicy?.tiers;
+  for (const booking of bookings) {
+    if (!booking.canBeCancelled(tiers)) {
+      skipped.push({ bookingId: booking._id, date: booking.bookingDate, reason: 'Too close to start time' });
+      continue;
+    }
+    await booking.cancelBooking(req.user.id, 'Series cancelled by customer', { tiers });
+    await refundService.initiateRefund(booking);
+    if (turf) {
+      await turf.cancelSlotBooking(booking.bookingDate, booking.startTime, booking.endTime, booking._id).catch(() => null);
+      await waitlistService.offerNext(turf, booking.bookingDate, booking.startTime, booking.endTime);
+    }
+    await Match.updateMany({ bookingId: booking._id }, { $set: { status: 'cancelled' } });
+    cancelled.push({
+      bookingId: booking._id,
+      refundAmount: booking.refundAmount,
+      refundStatus: booking.refundStatus
+    });
+  }
+
+  const remaining = await Booking.countDocuments({
+    seriesId: series._id,
+    bookingDate: { $gte: toCalendarDate(nowInZone(timeZone).dateKey) },
+    status: { $in: ['held', 'confirmed', 'pending'] }
+  });
+  if (remaining === 0) {
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Cancelled ${cancelled.length} occurrences`,
+    data: {
+      seriesStatus: series.status,
+      cancelled,
+      skipped
+    }
+  });
+});
+
+// @desc    Preview the refund for cancelling a booking now
+// @route   GET /api/bookings/:id/cancellation-preview
+// @access  Private
+exports.getCancellationPreview = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new ErrorResponse('Booking not found', 404));
+  }
+
+  if (booking.customerId?.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to view this booking', 403));
+  }
+
+  const turf = await Turf.findById(booking.turfId).select('cancellationPolicy');
+  const tiers = turf?.cancellationPolicy?.tiers;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...booking.getCancellationQuote(tiers),
+      paidAmount: ['paid', 'partial'].includes(booking.paymentStatus) ? booking.paymentAmount : 0,
+      policy: tiers || DEFAULT_TIERS
+    }
   });
 });
 
@@ -181,57 +559,435 @@ exports.cancelBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to cancel this booking', 403));
   }
 
-  // Cancel booking record
-  await booking.cancelBooking(req.user.id, 'Cancelled by customer');
+  const turf = await Turf.findById(booking.turfId);
+  const tiers = turf?.cancellationPolicy?.tiers;
+
+  if (!booking.canBeCancelled(tiers)) {
+    return next(new ErrorResponse('Booking can no longer be cancelled under this turf\'s cancellation policy', 400));
+  }
+
+  // Cancel booking record, recording the refund owed under the turf policy
+  await booking.cancelBooking(req.user.id, 'Cancelled by customer', { tiers });
+  await refundService.initiateRefund(booking);
 
   // Free the slot on turf
-  const turf = await Turf.findById(booking.turfId);
   if (turf) {
-    const dayOfWeek = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'][booking.bookingDate.getDay()];
-    await turf.cancelSlotBooking(booking.bookingDate, dayOfWeek, booking.startTime, booking.endTime);
-    await turf.save();
+    await turf.cancelSlotBooking(booking.bookingDate, booking.startTime, booking.endTime, booking._id);
+    // Offer the freed slot to the next player on its waitlist
+    await waitlistService.offerNext(turf, booking.bookingDate, booking.startTime, booking.endTime);
   }
 
-  res.status(200).json({ success: true, message: 'Booking cancelled' });
+  res.status(200).json({
+    success: true,
+    message: 'Booking cancelled',
+    data: {
+      refundAmount: booking.refundAmount,
+      refundStatus: booking.refundStatus
+    }
+  });
 });
 
-// @desc    Owner check-in booking by bookingCode
-// @route   POST /api/bookings/checkin
-// @access  Private/Owner
-exports.checkInBooking = asyncHandler(async (req, res, next) => {
-  const { bookingCode, turfId, date } = req.body;
-  if (!bookingCode) {
-    return next(new ErrorResponse('bookingCode is required', 400));
+// @desc    Move a booking to another slot on the same turf
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private
+exports.rescheduleBooking = asyncHandler(async (req, res, next) => {
+  const { date, startTime, endTime, court } = req.body;
+  if (!date || !startTime || !endTime) {
+    return next(new ErrorResponse('date, startTime and endTime are required', 400));
   }
 
-  // Find booking by code and owner
-  const booking = await Booking.findOne({ bookingCode });
+  const booking = await Booking.findById(req.params.id);
   if (!booking) {
     return next(new ErrorResponse('Booking not found', 404));
   }
 
-  if (booking.ownerId.toString() !== req.user.id) {
-    return next(new ErrorResponse('Not authorized to check in this booking', 403));
+  const sDate = toCalendarDate(date, booking.getTimeZone());
+  if (isNaN(sDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+
+  if (booking.customerId?.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to reschedule this booking', 403));
+  }
+
+  if (!['held', 'pending', 'confirmed'].includes(booking.status)) {
+    return next(new ErrorResponse(`Cannot reschedule a booking that is ${booking.status}`, 400));
+  }
+  if (booking.status === 'held' && booking.holdExpiresAt <= new Date()) {
+    return next(new ErrorResponse('The hold on this booking has expired', 400));
+  }
+  if (booking.getStartDateTime() <= new Date()) {
+    return next(new ErrorResponse('Cannot reschedule a booking that has already started', 400));
+  }
+  if (booking.rescheduleHistory.some(c => c.settlement === 'charge' && c.settlementStatus === 'pending')) {
+    return next(new ErrorResponse('Pay the price difference from the last reschedule before moving this booking again', 400));
+  }
+
+  const sameSlot = SlotInstance.toDateKey(sDate) === SlotInstance.toDateKey(booking.bookingDate, booking.getTimeZone())
+    && startTime === booking.startTime
+    && endTime === booking.endTime
+    && (!court || court === booking.court);
+  if (sameSlot) {
+    return next(new ErrorResponse('The booking is already in this slot', 400));
+  }
+
+  const turf = await Turf.findById(booking.turfId);
+  if (!turf) {
+    return next(new ErrorResponse('Turf not found', 404));
+  }
+
+  const { instances, court: allocated, pricing, error } = await checkRequestedSlot(turf, sDate, startTime, endTime, {
+    court,
+    courtType: booking.courtType
+  });
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  // Take the new slot before letting go of the old one, so the booking is
+  // never left without a slot if someone else grabs it first
+  const oldInstanceIds = (await SlotInstance.find({ bookingId: booking._id }).select('_id')).map(i => i._id);
+  try {
+    await SlotInstance.claimAll(instances, booking._id, booking.customerId, { hold: booking.status === 'held' });
+  } catch (e) {
+    return next(new ErrorResponse('One or more selected slots are already booked', 409));
+  }
+
+  const from = {
+    bookingDate: booking.bookingDate,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    court: booking.court,
+    totalAmount: booking.totalAmount
+  };
+  const previous = {
+    commissionAmount: booking.commissionAmount,
+    convenienceFee: booking.convenienceFee,
+    paymentStatus: booking.paymentStatus
+  };
+
+  let change;
+  try {
+    booking.bookingDate = sDate;
+    booking.startTime = startTime;
+    booking.endTime = endTime;
+    booking.court = allocated.key;
+    Object.assign(booking, pricingFields(pricing));
+    // A new price needs its commission and fees re-resolved even if the times match
+    booking.markModified('pricePerHour');
+    await booking.validate();
+
+    booking.rescheduleHistory.push({
+      from,
+      to: {
+        bookingDate: booking.bookingDate,
+        startTime,
+        endTime,
+        court: booking.court,
+        totalAmount: booking.totalAmount
+      },
+      priceDifference: Math.round((booking.totalAmount - from.totalAmount) * 100) / 100,
+      changedBy: req.user.id
+    });
+    change = booking.rescheduleHistory[booking.rescheduleHistory.length - 1];
+    await booking.save();
+  } catch (e) {
+    // Hand the new slot back; the booking keeps its old one
+    await SlotInstance.releaseForBookings([booking._id], { except: oldInstanceIds });
+    throw e;
+  }
+  await SlotInstance.releaseForBookings([booking._id], { except: instances.map(i => i._id) });
+
+  const { startDateTime, endDateTime } = matchTimesFor(booking);
+  await Match.updateMany(
+    { bookingId: booking._id },
+    { $set: { startTime: startDateTime, endTime: endDateTime } }
+  );
+
+  const settlement = await rescheduleService.settleDifference(booking, change, previous);
+
+  // The old slot is free again, so offer it to its waitlist
+  await waitlistService.offerNext(turf, from.bookingDate, from.startTime, from.endTime);
+
+  res.status(200).json({
+    success: true,
+    message: settlement.settlement === 'charge' && settlement.orderId
+      ? 'Booking rescheduled, pay the price difference to complete it'
+      : 'Booking rescheduled',
+    data: {
+      booking,
+      settlement,
+      balanceDue: booking.getBalanceDue()
+    }
+  });
+});
+
+// Helper: find the booking an owner is checking in, from a scanned QR token
+// or a typed booking code. Resolves to { booking } or { error }.
+const findBookingToCheckIn = async ({ token, bookingCode, turfId, date }, ownerId) => {
+  if (token) {
+    const verified = verifyCheckInToken(token);
+    if (verified.error) {
+      return { error: new ErrorResponse(verified.error, 400) };
+    }
+    if (turfId && verified.turfId !== turfId) {
+      return { error: new ErrorResponse('This booking is for a different turf', 400) };
+    }
+
+    const booking = await Booking.findById(verified.bookingId);
+    if (!booking) {
+      return { error: new ErrorResponse('Booking not found', 404) };
+    }
+    if (booking.ownerId.toString() !== ownerId) {
+      return { error: new ErrorResponse('Not authorized to check in this booking', 403) };
+    }
+    // A rescheduled booking gets a new code; the old one must not work
+    if (booking.turfId.toString() !== verified.turfId ||
+        SlotInstance.toDateKey(booking.bookingDate, booking.getTimeZone()) !== verified.dateKey) {
+      return { error: new ErrorResponse('This QR code is out of date; the booking has been moved', 400) };
+    }
+    return { booking };
+  }
+
+  let bookings = await Booking.find({ bookingCode: String(bookingCode).trim().toUpperCase(), ownerId });
+  if (bookings.length === 0) {
+    return { error: new ErrorResponse('Booking not found', 404) };
+  }
+  if (turfId) {
+    bookings = bookings.filter(b => b.turfId.toString() === turfId);
+    if (bookings.length === 0) {
+      return { error: new ErrorResponse('This booking is for a different turf', 400) };
+    }
+  }
+
+  // Older four-digit codes can repeat, so narrow them down to the day
+  if (bookings.length > 1) {
+    bookings = bookings.filter(b => {
+      const timeZone = b.getTimeZone();
+      const day = date ? SlotInstance.toDateKey(date, timeZone) : nowInZone(timeZone).dateKey;
+      return SlotInstance.toDateKey(b.bookingDate, timeZone) === day;
+    });
+    if (bookings.length !== 1) {
+      return { error: new ErrorResponse('Several bookings share this code; scan the QR code instead', 400) };
+    }
+  }
+  return { booking: bookings[0] };
+};
+
+// @desc    Owner check-in of a booking by its QR token or booking code
+// @route   POST /api/bookings/checkin
+// @access  Private/Owner
+exports.checkInBooking = asyncHandler(async (req, res, next) => {
+  const { token, bookingCode, turfId, date, balancePaymentMethod } = req.body;
+  if (!token && !bookingCode) {
+    return next(new ErrorResponse('Scan the QR code or enter the booking code', 400));
+  }
+
+  if (balancePaymentMethod && !BALANCE_PAYMENT_METHODS.includes(balancePaymentMethod)) {
+    return next(new ErrorResponse(`Balance payment method must be one of: ${BALANCE_PAYMENT_METHODS.join(', ')}`, 400));
   }
 
-  // Optional validations: turf and date
-  if (turfId && booking.turfId.toString() !== turfId) {
-    return next(new ErrorResponse('Booking does not belong to this turf', 400));
+  const { booking, error } = await findBookingToCheckIn({ token, bookingCode, turfId, date }, req.user.id);
+  if (error) {
+    return next(error);
   }
+
+  // Optional validation: date
   if (date) {
-    const d = new Date(date);
-    const bd = new Date(booking.bookingDate);
-    const sameDay = d.getFullYear() === bd.getFullYear() && d.getMonth() === bd.getMonth() && d.getDate() === bd.getDate();
-    if (!sameDay) {
-      return next(new ErrorResponse('Booking is not for the selected date', 400));
+    const timeZone = booking.getTimeZone();
+    const bookingDay = SlotInstance.toDateKey(booking.bookingDate, timeZone);
+    if (SlotInstance.toDateKey(date, timeZone) !== bookingDay) {
+      return next(new ErrorResponse(`Booking is for ${bookingDay}, not the selected date`, 400));
     }
   }
 
+  const checkInError = booking.getCheckInError();
+  if (checkInError) {
+    return next(new ErrorResponse(checkInError, 400));
+  }
+
   // Mark as in_progress on check-in
   booking.status = 'in_progress';
+  booking.checkedInAt = new Date();
+  booking.checkedInBy = req.user.id;
   await booking.save();
 
-  res.status(200).json({ success: true, data: booking, message: 'Booking checked-in successfully' });
+  // Record the balance collected at the desk, if the owner took it now
+  if (balancePaymentMethod && booking.getBalanceDue() > 0) {
+    await booking.settleBalance(balancePaymentMethod, req.user.id);
+  }
+
+  const balanceDue = booking.getBalanceDue();
+
+  res.status(200).json({
+    success: true,
+    data: booking,
+    balanceDue,
+    message: balanceDue > 0
+      ? `Booking checked-in. Collect ${balanceDue} INR at the venue.`
+      : 'Booking checked-in successfully'
+  });
 });
 
+// @desc    Record the balance collected at the venue for a booking
+// @route   POST /api/bookings/:id/settle-balance
+// @access  Private (Owner)
+exports.settleBookingBalance = asyncHandler(async (req, res, next) => {
+  const { method } = req.body;
+
+  if (!BALANCE_PAYMENT_METHODS.includes(method)) {
+    return next(new ErrorResponse(`Payment method must be one of: ${BALANCE_PAYMENT_METHODS.join(', ')}`, 400));
+  }
 
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new ErrorResponse('Booking not found', 404));
+  }
+
+  if (booking.ownerId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to settle this booking', 403));
+  }
+
+  if (['cancelled', 'expired'].includes(booking.status)) {
+    return next(new ErrorResponse(`Cannot settle a ${booking.status} booking`, 400));
+  }
+
+  const amount = booking.getBalanceDue();
+  if (amount <= 0) {
+    return next(new ErrorResponse('No balance is due for this booking', 400));
+  }
+
+  await booking.settleBalance(method, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Collected ${amount} INR by ${method}`,
+    data: booking
+  });
+});
+
+// @desc    Create an offline or walk-in booking at the desk. Existing
+//          customers are found by phone; cash or UPI taken now is recorded.
+// @route   POST /api/bookings/offline
+// @access  Private (Owner)
+exports.createOfflineBooking = asyncHandler(async (req, res, next) => {
+  const { turfId, date, startTime, endTime, court, customerPhone, customerName, customerEmail, price, notes } = req.body;
+  const bookingType = req.body.bookingType || 'offline';
+  const courtType = req.body.courtType === 'half' ? 'half' : 'full';
+  const amountPaid = Number(req.body.amountPaid || 0);
+  const paymentMethod = req.body.paymentMethod || 'cash';
+
+  if (!turfId || !date || !startTime || !endTime || !customerPhone) {
+    return next(new ErrorResponse('turfId, date, startTime, endTime and customerPhone are required', 400));
+  }
+  if (!['offline', 'walk-in'].includes(bookingType)) {
+    return next(new ErrorResponse('bookingType must be offline or walk-in', 400));
+  }
+  if (!Booking.phonePattern(customerPhone)) {
+    return next(new ErrorResponse('Please enter a valid phone number', 400));
+  }
+  if (!Number.isFinite(amountPaid) || amountPaid < 0) {
+    return next(new ErrorResponse('amountPaid must be 0 or more', 400));
+  }
+  if (!BALANCE_PAYMENT_METHODS.includes(paymentMethod)) {
+    return next(new ErrorResponse(`Payment method must be one of: ${BALANCE_PAYMENT_METHODS.join(', ')}`, 400));
+  }
+  if (price !== undefined && !(Number(price) >= 0)) {
+    return next(new ErrorResponse('Price cannot be negative', 400));
+  }
+
+  const turf = await Turf.findById(turfId);
+  if (!turf) {
+    return next(new ErrorResponse('Turf not found', 404));
+  }
+  if (turf.ownerId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to book slots for this turf', 403));
+  }
+
+  const bookingDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(bookingDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+  if (bookingType === 'walk-in' && SlotInstance.toDateKey(bookingDate) !== nowInZone(turf.getTimeZone()).dateKey) {
+    return next(new ErrorResponse('Walk-in bookings can only be made for today', 400));
+  }
+
+  // Fill in the details of a customer who has booked here before
+  const [known] = await Booking.findOwnerCustomers(turf.ownerId, { phone: customerPhone });
+  const name = customerName || known?.name;
+  if (!name) {
+    return next(new ErrorResponse('customerName is required for new customers', 400));
+  }
+
+  // Free slots whose payment hold lapsed since the last sweep and offer
+  // them to the waitlist
+  await waitlistService.releaseExpiredHolds({ turfId: turf._id });
+
+  // A walk-in can take a slot that is already under way
+  const { instances, court: allocated, pricing, error } = await checkRequestedSlot(turf, bookingDate, startTime, endTime, {
+    court,
+    courtType,
+    allowStarted: bookingType === 'walk-in'
+  });
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  // The owner can agree a different hourly price at the desk
+  const slotPricing = price !== undefined ? { price: Number(price) } : pricing;
+  const total = Booking.computeBaseAmount({ startTime, endTime, pricePerHour: slotPricing.price, courtType });
+  if (amountPaid > total) {
+    return next(new ErrorResponse(`amountPaid cannot be more than the booking total of ${total}`, 400));
+  }
+
+  const bookingId = new mongoose.Types.ObjectId();
+  try {
+    await SlotInstance.claimAll(instances, bookingId, known?.customerId);
+  } catch (e) {
+    return next(new ErrorResponse('Slot is already booked for this date', 400));
+  }
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      _id: bookingId,
+      turfId: turf._id,
+      ownerId: turf.ownerId,
+      customerId: known?.customerId || undefined,
+      customerInfo: {
+        name,
+        phone: customerPhone,
+        email: customerEmail || known?.email || ''
+      },
+      bookingDate,
+      timezone: turf.getTimeZone(),
+      startTime,
+      endTime,
+      sport: turf.sport,
+      ...pricingFields(slotPricing),
+      courtType,
+      court: allocated.key,
+      status: 'confirmed',
+      paymentStatus: amountPaid >= total ? 'paid' : (amountPaid > 0 ? 'partial' : 'pending'),
+      paymentMethod,
+      balancePayment: amountPaid > 0
+        ? { amount: amountPaid, method: paymentMethod, collectedAt: new Date(), collectedBy: req.user.id }
+        : undefined,
+      bookingType,
+      notes: notes || ''
+    });
+  } catch (e) {
+    await SlotInstance.releaseForBookings([bookingId]);
+    return next(e);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${bookingType === 'walk-in' ? 'Walk-in' : 'Offline'} booking created`,
+    data: {
+      booking,
+      existingCustomer: !!known,
+      balanceDue: booking.getBalanceDue()
+    }
+  });
+});
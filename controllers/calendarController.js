@@ -0,0 +1,128 @@
+const Booking = require('../models/Booking');
+const Turf = require('../models/Turf');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { bookingEvent, buildCalendar } = require('../utils/icalendar');
+
+// How far back and ahead a feed reaches, in days
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: public URL of a feed
+const feedUrl = (req, kind, token) => `${req.protocol}://${req.get('host')}/api/calendar/${kind}/${token}.ics`;
+
+// Helper: send the bookings matching a query as an .ics feed
+const sendFeed = async (res, query, name) => {
+  const now = Date.now();
+  const bookings = await Booking.find({
+    ...query,
+    status: { $ne: 'expired' },
+    bookingDate: { $gte: new Date(now - FEED_PAST_DAYS * DAY_MS), $lt: new Date(now + FEED_FUTURE_DAYS * DAY_MS) }
+  })
+    .populate('turfId', 'name location timezone')
+    .sort({ bookingDate: 1, startTime: 1 });
+
+  const calendar = buildCalendar(
+    bookings.map(booking => bookingEvent(booking, booking.turfId, { forOwner: true })),
+    { name }
+  );
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="bookings.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(calendar);
+};
+
+// @desc    Get the owner's calendar feed URLs, creating them on first use
+// @route   GET /api/calendar/feeds
+// @access  Private (Owner)
+exports.getFeeds = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+calendarFeedToken');
+  if (!user.calendarFeedToken) {
+    user.getCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  const turfs = await Turf.find({ ownerId: req.user.id }).select('name +calendarFeedToken');
+  for (const turf of turfs) {
+    if (!turf.calendarFeedToken) {
+      // Write directly so the owner checks in the turf save hook do not run
+      await Turf.updateOne({ _id: turf._id }, { calendarFeedToken: turf.getCalendarFeedToken() });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ownerFeedUrl: feedUrl(req, 'owners', user.calendarFeedToken),
+      turfs: turfs.map(turf => ({
+        turfId: turf._id,
+        name: turf.name,
+        feedUrl: feedUrl(req, 'turfs', turf.calendarFeedToken)
+      }))
+    }
+  });
+});
+
+// @desc    Replace a calendar feed URL, e.g. after it was shared by mistake.
+//          Pass turfId to replace that turf's feed, otherwise the owner feed.
+// @route   POST /api/calendar/feeds/regenerate
+// @access  Private (Owner)
+exports.regenerateFeed = asyncHandler(async (req, res, next) => {
+  const { turfId } = req.body;
+
+  if (turfId) {
+    const turf = await Turf.findById(turfId).select('name ownerId +calendarFeedToken');
+    if (!turf) {
+      return next(new ErrorResponse(`Turf not found with id of ${turfId}`, 404));
+    }
+    if (turf.ownerId.toString() !== req.user.id) {
+      return next(new ErrorResponse('Not authorized to manage this turf', 403));
+    }
+
+    await Turf.updateOne({ _id: turf._id }, { calendarFeedToken: turf.rotateCalendarFeedToken() });
+    return res.status(200).json({
+      success: true,
+      data: { turfId: turf._id, feedUrl: feedUrl(req, 'turfs', turf.calendarFeedToken) }
+    });
+  }
+
+  const user = await User.findById(req.user.id).select('+calendarFeedToken');
+  user.rotateCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { ownerFeedUrl: feedUrl(req, 'owners', user.calendarFeedToken) }
+  });
+});
+
+// @desc    iCalendar feed of all bookings at the owner's turfs
+// @route   GET /api/calendar/owners/:token.ics
+// @access  Public (secret token)
+exports.getOwnerFeed = asyncHandler(async (req, res, next) => {
+  const owner = await User.findOne({ calendarFeedToken: req.params.token, userType: 'owner' })
+    .select('firstName businessName');
+  if (!owner) {
+    return next(new ErrorResponse('Calendar feed not found', 404));
+  }
+
+  await sendFeed(res, { ownerId: owner._id }, `${owner.businessName || owner.firstName || 'TurfEase'} bookings`);
+});
+
+// @desc    iCalendar feed of one turf's bookings
+// @route   GET /api/calendar/turfs/:token.ics
+// @access  Public (secret token)
+exports.getTurfFeed = asyncHandler(async (req, res, next) => {
+  const turf = await Turf.findOne({ calendarFeedToken: req.params.token }).select('name');
+  if (!turf) {
+    return next(new ErrorResponse('Calendar feed not found', 404));
+  }
+
+  await sendFeed(res, { turfId: turf._id }, `${turf.name} bookings`);
+});
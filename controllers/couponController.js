@@ -0,0 +1,152 @@
+const Coupon = require('../models/Coupon');
+const Turf = require('../models/Turf');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'minAmount',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'turfIds',
+  'sports',
+  'firstBookingOnly',
+  'isActive'
+];
+
+// @desc    Check a coupon code against a turf and court price
+// @route   POST /api/coupons/validate
+// @access  Private
+exports.validateCoupon = asyncHandler(async (req, res, next) => {
+  const { code, turfId, amount } = req.body;
+
+  if (!code || !turfId || amount == null) {
+    return next(new ErrorResponse('code, turfId and amount are required', 400));
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) {
+    return next(new ErrorResponse('amount must be a positive number', 400));
+  }
+
+  const turf = await Turf.findById(turfId).select('name sport');
+  if (!turf) {
+    return next(new ErrorResponse('Turf not found', 404));
+  }
+
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) {
+    return next(new ErrorResponse('Invalid coupon code', 400));
+  }
+
+  const { discount, error } = await coupon.checkEligibility({ userId: req.user.id, turf, amount: value });
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      discount,
+      finalAmount: Math.round((value - discount) * 100) / 100
+    }
+  });
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+exports.getCoupons = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active === 'true') filter.isActive = true;
+  if (req.query.active === 'false') filter.isActive = false;
+
+  const coupons = await Coupon.find(filter)
+    .populate('turfIds', 'name')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    data: coupons
+  });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+exports.createCoupon = asyncHandler(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new ErrorResponse('Coupon code is required', 400));
+  }
+
+  const existing = await Coupon.findOne({ code: String(req.body.code).trim().toUpperCase() });
+  if (existing) {
+    return next(new ErrorResponse(`Coupon ${existing.code} already exists`, 400));
+  }
+
+  const fields = { code: req.body.code, createdBy: req.user.id };
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      fields[field] = req.body[field];
+    }
+  }
+
+  const coupon = await Coupon.create(fields);
+
+  res.status(201).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  // The code is fixed once players may have seen it; create a new coupon instead
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      coupon[field] = req.body[field];
+    }
+  }
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Deactivate a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+  }
+
+  // Bookings keep a reference to the coupon, so it is only switched off
+  coupon.isActive = false;
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Coupon ${coupon.code} deactivated`
+  });
+});
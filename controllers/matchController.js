@@ -1,6 +1,7 @@
 const Match = require('../models/Match');
 const Turf = require('../models/Turf');
 const asyncHandler = require('../middleware/async');
+const { nowInZone, zonedDayRange } = require('../utils/timezone');
 
 // @desc    Create a new match
 // @route   POST /api/matches
@@ -59,14 +60,13 @@ const getMatches = asyncHandler(async (req, res) => {
 
     // Optional: constrain to today or a specific date
     if (day === 'today' || date) {
-      const target = date ? new Date(date) : new Date();
-      const startOfDay = new Date(target);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(target);
-      endOfDay.setHours(23, 59, 59, 999);
+      // Days are the turf's when filtering one turf, otherwise the default zone
+      const turf = turfId ? await Turf.findById(turfId).select('timezone') : null;
+      const timeZone = turf?.getTimeZone();
+      const { $gte: startOfDay, $lt: endOfDay } = zonedDayRange(date || nowInZone(timeZone).dateKey, timeZone);
       // Start time should be between now and end of the specified day
       const lowerBound = (day === 'today' && !date) ? now : startOfDay;
-      query.startTime = { $gte: lowerBound, $lte: endOfDay };
+      query.startTime = { $gte: lowerBound, $lt: endOfDay };
     } else {
       // Default upcoming (no day constraint)
       query.startTime = { $gte: now };
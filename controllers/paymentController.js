@@ -1,25 +1,30 @@
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const Booking = require('../models/Booking');
 const Turf = require('../models/Turf');
+const PaymentEvent = require('../models/PaymentEvent');
+const Coupon = require('../models/Coupon');
+const PaymentSplit = require('../models/PaymentSplit');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
-
-// Initialize Razorpay
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_RL5vMta3bKvRd4',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || '9qxxugjEleGtcqcOjWFmCB2n'
-});
-
-// Helper: send booking confirmation email with booking code + QR
+const razorpay = require('../config/razorpay');
+const refundService = require('../services/refundService');
+const ledgerService = require('../services/ledgerService');
+const rescheduleService = require('../services/rescheduleService');
+const splitPaymentService = require('../services/splitPaymentService');
+
+// Helper: send booking confirmation email with booking code + QR, a PDF
+// receipt and an .ics calendar event
 const sendBookingConfirmationEmailForBooking = async (booking, recipientEmail, recipientName = 'Player') => {
     try {
         const { sendEmail } = require('../utils/universalEmailService');
         const { generateBookingReceiptPDF } = require('../utils/pdfReceipt');
+        const { bookingEvent, buildCalendar } = require('../utils/icalendar');
+
+        const QRCode = require('qrcode');
 
         const code = booking.bookingCode || (booking._id?.toString() || '').slice(-8).toUpperCase();
-        const qrData = JSON.stringify({ bookingId: booking._id?.toString(), bookingCode: code });
-        const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=140x140&data=${encodeURIComponent(qrData)}`;
+        // The QR holds the signed check-in token and is embedded in the email
+        const qrBuffer = await QRCode.toBuffer(booking.getCheckInToken(), { width: 140, margin: 1 });
 
         const turfName = booking.turfId?.name || 'Turf';
         const html = `
@@ -43,10 +48,10 @@ const sendBookingConfirmationEmailForBooking = async (booking, recipientEmail, r
                             </thead>
                             <tbody>
                                 <tr>
-                                    <td style="padding:8px;border:1px solid #e5e7eb;">${new Date(booking.bookingDate).toDateString()}</td>
+                                    <td style="padding:8px;border:1px solid #e5e7eb;">${new Date(booking.bookingDate).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</td>
                                     <td style="padding:8px;border:1px solid #e5e7eb;">${booking.startTime} - ${booking.endTime}</td>
                                     <td style="padding:8px;border:1px solid #e5e7eb;"><code>${code}</code></td>
-                                    <td style="padding:8px;border:1px solid #e5e7eb;"><img src="${qrUrl}" alt="QR" /></td>
+                                    <td style="padding:8px;border:1px solid #e5e7eb;"><img src="cid:checkin-qr" width="140" height="140" alt="QR" /></td>
                                 </tr>
                             </tbody>
                         </table>
@@ -64,16 +69,21 @@ const sendBookingConfirmationEmailForBooking = async (booking, recipientEmail, r
           orderId: booking.razorpayOrderId,
           paymentId: booking.razorpayPaymentId,
           signature: booking.razorpaySignature,
-          amount: booking.paymentAmount,
+          amount: Math.round((booking.paymentAmount || 0) * 100),
         });
 
+        // Calendar invite so the player can add the booking in one tap
+        const ics = buildCalendar([bookingEvent(booking, booking.turfId)], { method: 'PUBLISH' });
+
         await sendEmail(
           recipientEmail,
           'Your TurfEase booking is confirmed',
           html,
           `Your booking at ${turfName} is confirmed. Code: ${code}.`,
           [
-            { filename: `booking-${booking._id}-receipt.pdf`, content: pdfBuffer }
+            { filename: 'checkin-qr.png', content: qrBuffer, cid: 'checkin-qr' },
+            { filename: `booking-${booking._id}-receipt.pdf`, content: pdfBuffer },
+            { filename: 'booking.ics', content: ics, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }
           ]
         );
     } catch (e) {
@@ -81,56 +91,235 @@ const sendBookingConfirmationEmailForBooking = async (booking, recipientEmail, r
     }
 };
 
-// @desc    Create Razorpay payment order
+// Helper: promote a paid booking's slot hold to a confirmed booking. When the
+// booking was cancelled, or the hold lapsed and someone else took the slot,
+// flag the payment for refund.
+const settleHeldBooking = async (booking) => {
+    const secured = await booking.confirmHold();
+    if (!secured) {
+        booking.refundAmount = booking.paymentAmount;
+        booking.refundStatus = 'pending';
+        await booking.save();
+        console.log(`Paid booking ${booking._id} is ${booking.status} and its slot is gone; refunding`);
+        await refundService.initiateRefund(booking, { reason: 'Slot hold expired before payment' });
+    }
+    return secured;
+};
+
+// Helper: undo a coupon applied at checkout, restoring the bookings' price
+const releaseCheckoutCoupon = async (redemption, bookings) => {
+    await Coupon.cancelRedemption(redemption);
+    for (const booking of bookings) {
+        booking.couponId = undefined;
+        booking.couponCode = undefined;
+        booking.discountAmount = 0;
+        await booking.save();
+    }
+};
+
+// Helper: check the orders earlier checkouts created for these bookings, so
+// a payment made on one of them is never orphaned by a new order. Resolves to
+// { order } when the earlier order is for the same bookings and amount and can
+// be paid again, { error } when a payment on an earlier order has gone through
+// or may still be captured, or {} when a new order can be created.
+const checkPreviousOrders = async (bookings, amountPaise) => {
+    const orderIds = [...new Set(bookings.map(b => b.razorpayOrderId).filter(Boolean))];
+    for (const orderId of orderIds) {
+        const order = await razorpay.getClient().orders.fetch(orderId);
+        if (order.status === 'paid') {
+            return { error: 'A payment for these bookings has already been received and is being confirmed' };
+        }
+
+        const sameCheckout = orderIds.length === 1
+            && bookings.every(b => b.razorpayOrderId === orderId)
+            && order.amount === amountPaise
+            && await Booking.countDocuments({ razorpayOrderId: orderId }) === bookings.length;
+        if (sameCheckout) {
+            return { order };
+        }
+
+        const payments = await razorpay.getClient().orders.fetchPayments(orderId);
+        if ((payments.items || []).some(p => ['authorized', 'captured'].includes(p.status))) {
+            return { error: 'A payment for these bookings is still being processed, please try again shortly' };
+        }
+    }
+    return {};
+};
+
+// @desc    Create Razorpay payment order for one or more bookings
 // @route   POST /api/payment/create-order
 // @access  Private
 const createPaymentOrder = asyncHandler(async (req, res, next) => {
-    const { bookingId, amount } = req.body;
+    const { bookingId, bookingIds, amount, payInFull, couponCode } = req.body;
+    const ids = Array.isArray(bookingIds) && bookingIds.length > 0 ? bookingIds : (bookingId ? [bookingId] : []);
 
-    console.log('Payment order request:', { bookingId, amount, userId: req.user?.id });
+    console.log('Payment order request:', { bookingIds: ids, amount, userId: req.user?.id });
 
-    if (!bookingId || !amount) {
-        return next(new ErrorResponse('Booking ID and amount are required', 400));
+    if (ids.length === 0) {
+        return next(new ErrorResponse('At least one booking ID is required', 400));
     }
 
-    // Verify booking exists and belongs to user
-    const booking = await Booking.findById(bookingId).populate('turfId', 'name');
-    console.log('Found booking:', booking ? 'Yes' : 'No', booking?._id);
+    // Verify every booking exists and belongs to user
+    const bookings = await Booking.find({ _id: { $in: ids } }).populate('turfId', 'name advancePayment sport');
+    console.log('Found bookings:', bookings.length, 'of', ids.length);
 
-    if (!booking) {
+    if (bookings.length !== new Set(ids.map(String)).size) {
         return next(new ErrorResponse('Booking not found', 404));
     }
 
-    if (booking.customerId.toString() !== req.user.id) {
-        return next(new ErrorResponse('Not authorized to pay for this booking', 403));
+    for (const booking of bookings) {
+        if (booking.customerId.toString() !== req.user.id) {
+            return next(new ErrorResponse('Not authorized to pay for this booking', 403));
+        }
+
+        if (booking.paymentStatus === 'paid') {
+            return next(new ErrorResponse(`Booking ${booking._id} is already paid`, 400));
+        }
+
+        if (booking.paymentStatus === 'partial') {
+            return next(new ErrorResponse(`Advance for booking ${booking._id} is already paid; the balance is collected at the venue`, 400));
+        }
+
+        if (await PaymentSplit.exists({ bookingId: booking._id, status: 'collecting' })) {
+            return next(new ErrorResponse(`Booking ${booking._id} is being paid by split; pay your share or cancel the split first`, 400));
+        }
+
+        const holdLapsed = booking.status === 'held' && booking.holdExpiresAt && booking.holdExpiresAt <= new Date();
+        if (booking.status === 'expired' || booking.status === 'cancelled' || holdLapsed) {
+            return next(new ErrorResponse('Booking hold has expired, please book the slot again', 400));
+        }
     }
 
-    if (booking.paymentStatus === 'paid') {
-        return next(new ErrorResponse('Booking is already paid', 400));
+    // A coupon can still be applied at checkout if none was used when booking.
+    // Retrying with the code already on the bookings is a no-op.
+    let redemption = null;
+    if (couponCode) {
+        const code = String(couponCode).trim().toUpperCase();
+        const withCoupon = bookings.filter(b => b.couponId);
+
+        if (withCoupon.length > 0 && !(withCoupon.length === bookings.length && withCoupon.every(b => b.couponCode === code))) {
+            return next(new ErrorResponse('A coupon has already been applied to these bookings', 400));
+        }
+
+        if (withCoupon.length === 0) {
+            const turfIds = new Set(bookings.map(b => b.turfId?._id?.toString()));
+            if (turfIds.size > 1) {
+                return next(new ErrorResponse('A coupon can only be applied to bookings at one turf', 400));
+            }
+
+            const coupon = await Coupon.findByCode(code);
+            if (!coupon) {
+                return next(new ErrorResponse('Invalid coupon code', 400));
+            }
+
+            const amounts = bookings.map(b => b.getPriceBreakdown().subtotal);
+            const { discount, error } = await coupon.checkEligibility({
+                userId: req.user.id,
+                turf: bookings[0].turfId,
+                amount: amounts.reduce((acc, a) => acc + a, 0),
+                excludeBookingIds: bookings.map(b => b._id)
+            });
+            if (error) {
+                return next(new ErrorResponse(error, 400));
+            }
+
+            redemption = await coupon.redeem(req.user.id, bookings.map(b => b._id), discount);
+            if (!redemption) {
+                return next(new ErrorResponse('This coupon has been fully redeemed', 400));
+            }
+
+            // Saving recomputes each booking's total and commission
+            const shares = Coupon.splitDiscount(discount, amounts);
+            for (const [i, booking] of bookings.entries()) {
+                booking.couponId = coupon._id;
+                booking.couponCode = coupon.code;
+                booking.discountAmount = shares[i];
+                await booking.save();
+            }
+        }
     }
 
+    // The amount charged always comes from the bookings, never from the client.
+    // Turfs that take an advance only charge that part online unless the player pays in full.
+    const lines = bookings.map(booking => {
+        const breakdown = booking.getPriceBreakdown();
+        // The convenience fee is always collected online with the advance
+        const payNow = payInFull || !booking.turfId?.getAdvanceAmount
+            ? breakdown.total
+            : Math.min(breakdown.total, booking.turfId.getAdvanceAmount(breakdown.total - breakdown.fees) + breakdown.fees);
+        return {
+            booking,
+            breakdown: {
+                ...breakdown,
+                payNow,
+                payAtVenue: Math.round((breakdown.total - payNow) * 100) / 100
+            }
+        };
+    });
+    const totalPaise = lines.reduce((sum, line) => sum + Math.round(line.breakdown.payNow * 100), 0);
+
+    if (totalPaise <= 0) {
+        return next(new ErrorResponse('Nothing to pay for these bookings', 400));
+    }
+
+    if (amount != null && Math.round(Number(amount) * 100) !== totalPaise) {
+        return next(new ErrorResponse(`Payment amount does not match the amount due of ${totalPaise / 100} INR`, 400));
+    }
+
+    const sum = (key) => Math.round(lines.reduce((acc, line) => acc + line.breakdown[key], 0) * 100) / 100;
+    const breakdown = {
+        subtotal: sum('subtotal'),
+        discount: sum('discount'),
+        fees: sum('fees'),
+        total: sum('total'),
+        payNow: totalPaise / 100,
+        payAtVenue: sum('payAtVenue')
+    };
+
+    const [first] = bookings;
+
+    let order = null;
     try {
         // Create Razorpay order
         const options = {
-            amount: Math.round(amount * 100), // Convert to paise
+            amount: totalPaise,
             currency: 'INR',
-            receipt: `booking_${bookingId}`,
+            receipt: `booking_${first._id}`,
             notes: {
-                bookingId: bookingId,
-                turfName: booking.turfId?.name || 'Turf',
-                customerName: booking.customerInfo?.name || 'Customer',
-                bookingDate: booking.bookingDate.toISOString(),
-                timeSlot: `${booking.startTime} - ${booking.endTime}`
+                bookingIds: bookings.map(b => b._id.toString()).join(','),
+                turfName: first.turfId?.name || 'Turf',
+                customerName: first.customerInfo?.name || 'Customer',
+                bookingDate: first.bookingDate.toISOString(),
+                timeSlot: bookings.map(b => `${b.startTime} - ${b.endTime}`).join(', '),
+                subtotal: String(breakdown.subtotal),
+                discount: String(breakdown.discount),
+                convenienceFee: String(breakdown.fees),
+                payAtVenue: String(breakdown.payAtVenue)
             }
         };
 
-        const order = await razorpay.orders.create(options);
-        console.log('Razorpay order created:', order.id);
+        // A retry of the same checkout pays the order it already has
+        const previous = await checkPreviousOrders(bookings, totalPaise);
+        if (previous.error) {
+            if (redemption) {
+                await releaseCheckoutCoupon(redemption, bookings);
+            }
+            return next(new ErrorResponse(previous.error, 409));
+        }
+        if (previous.order) {
+            order = previous.order;
+            console.log('Razorpay order reused:', order.id);
+        } else {
+            order = await razorpay.getClient().orders.create(options);
+            console.log('Razorpay order created:', order.id);
+        }
 
-        // Update booking with order details
-        booking.razorpayOrderId = order.id;
-        booking.paymentAmount = amount;
-        await booking.save();
+        // Update bookings with order details and the amount each one accounts for
+        for (const { booking, breakdown: line } of lines) {
+            booking.razorpayOrderId = order.id;
+            booking.paymentAmount = line.payNow;
+            await booking.save();
+        }
 
         const responseData = {
             success: true,
@@ -139,13 +328,23 @@ const createPaymentOrder = asyncHandler(async (req, res, next) => {
                 amount: order.amount,
                 currency: order.currency,
                 keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_RL5vMta3bKvRd4',
+                breakdown,
                 bookingDetails: {
+                    id: first._id,
+                    turfName: first.turfId?.name,
+                    date: first.bookingDate,
+                    timeSlot: `${first.startTime} - ${first.endTime}`,
+                    customerName: first.customerInfo?.name,
+                    holdExpiresAt: first.holdExpiresAt
+                },
+                bookings: lines.map(({ booking, breakdown: line }) => ({
                     id: booking._id,
-                    turfName: booking.turfId?.name,
                     date: booking.bookingDate,
                     timeSlot: `${booking.startTime} - ${booking.endTime}`,
-                    customerName: booking.customerInfo?.name
-                }
+                    amount: line.payNow,
+                    payAtVenue: line.payAtVenue,
+                    holdExpiresAt: booking.holdExpiresAt
+                }))
             }
         };
 
@@ -153,6 +352,11 @@ const createPaymentOrder = asyncHandler(async (req, res, next) => {
         res.status(200).json(responseData);
     } catch (error) {
         console.error('Razorpay order creation error:', error);
+        // Give back a coupon applied in this request, so a failed checkout
+        // neither uses it up nor leaves the bookings discounted without a use
+        if (redemption && !order) {
+            await releaseCheckoutCoupon(redemption, bookings);
+        }
         return next(new ErrorResponse('Failed to create payment order', 500));
     }
 });
@@ -164,11 +368,10 @@ const verifyPayment = asyncHandler(async (req, res, next) => {
     const {
         razorpay_order_id,
         razorpay_payment_id,
-        razorpay_signature,
-        bookingId
+        razorpay_signature
     } = req.body;
 
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !bookingId) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
         return next(new ErrorResponse('Missing payment verification data', 400));
     }
 
@@ -184,44 +387,68 @@ const verifyPayment = asyncHandler(async (req, res, next) => {
             return next(new ErrorResponse('Invalid payment signature', 400));
         }
 
-        // Find and update booking
-        const booking = await Booking.findById(bookingId).populate('turfId', 'name');
-        if (!booking) {
-            return next(new ErrorResponse('Booking not found', 404));
+        // Find every booking paid by this order
+        const bookings = await Booking.find({ razorpayOrderId: razorpay_order_id }).populate('turfId', 'name');
+        if (bookings.length === 0) {
+            const share = await PaymentSplit.findByOrderId(razorpay_order_id);
+            return share
+                ? verifySplitPayment(req, res, next, share)
+                : verifyRescheduleCharge(req, res, next);
         }
 
-        if (booking.customerId.toString() !== req.user.id) {
+        if (bookings.some(b => b.customerId.toString() !== req.user.id)) {
             return next(new ErrorResponse('Not authorized', 403));
         }
 
-        // Update booking payment status
-        const wasPaid = booking.paymentStatus === 'paid';
-        booking.paymentStatus = 'paid';
-        booking.paymentMethod = 'online';
-        booking.razorpayPaymentId = razorpay_payment_id;
-        booking.razorpayOrderId = razorpay_order_id;
-        booking.razorpaySignature = razorpay_signature;
-        booking.paidAt = new Date();
+        const confirmed = [];
+        const refunded = [];
+        for (const booking of bookings) {
+            // Update booking payment status
+            const wasPaid = ['paid', 'partial'].includes(booking.paymentStatus);
+            booking.paymentStatus = booking.getOnlinePaymentStatus();
+            booking.paymentMethod = 'online';
+            booking.razorpayPaymentId = razorpay_payment_id;
+            booking.razorpayOrderId = razorpay_order_id;
+            booking.razorpaySignature = razorpay_signature;
+            booking.paidAt = new Date();
 
-        await booking.save();
+            await booking.save();
+            await ledgerService.recordBookingPayment(booking);
 
-        // Send only booking confirmation email with PDF receipt (combined email)
-        try {
-            if (!wasPaid && req.user?.email) {
-                await sendBookingConfirmationEmailForBooking(booking, req.user.email, req.user.firstName || 'Player');
+            // Confirm the slot hold now that the money is in
+            if (!(await settleHeldBooking(booking))) {
+                refunded.push(booking._id);
+                continue;
             }
-        } catch (e) {
-            console.log('Booking confirmation email after payment failed:', e.message);
+            confirmed.push(booking._id);
+
+            // Send only booking confirmation email with PDF receipt (combined email)
+            try {
+                if (!wasPaid && req.user?.email) {
+                    await sendBookingConfirmationEmailForBooking(booking, req.user.email, req.user.firstName || 'Player');
+                }
+            } catch (e) {
+                console.log('Booking confirmation email after payment failed:', e.message);
+            }
+        }
+
+        if (confirmed.length === 0) {
+            return next(new ErrorResponse('Your slot hold expired and the slot was booked by someone else. The payment will be refunded.', 409));
         }
 
         res.status(200).json({
             success: true,
-            message: 'Payment verified successfully',
+            message: refunded.length > 0
+                ? `Payment verified. ${refunded.length} slot(s) were lost after the hold expired and will be refunded.`
+                : 'Payment verified successfully',
             data: {
-                bookingId: booking._id,
+                bookingId: confirmed[0],
+                bookingIds: confirmed,
+                refundedBookingIds: refunded,
                 paymentId: razorpay_payment_id,
-                amount: booking.paymentAmount,
-                status: 'paid'
+                amount: Math.round(bookings.reduce((sum, b) => sum + (b.paymentAmount || 0), 0) * 100) / 100,
+                balanceDue: Math.round(bookings.reduce((sum, b) => sum + b.getBalanceDue(), 0) * 100) / 100,
+                status: bookings.some(b => b.paymentStatus === 'partial') ? 'partial' : 'paid'
             }
         });
     } catch (error) {
@@ -230,6 +457,70 @@ const verifyPayment = asyncHandler(async (req, res, next) => {
     }
 });
 
+// Helper: verify a teammate's share (or the organiser's cover) of a split booking
+const verifySplitPayment = async (req, res, next, { split, participant, isCover }) => {
+    const { razorpay_order_id, razorpay_payment_id } = req.body;
+
+    const payerId = isCover ? split.organiserId : participant.userId;
+    if (payerId?.toString() !== req.user.id) {
+        return next(new ErrorResponse('Not authorized', 403));
+    }
+
+    const { split: updated, booking, accepted } = await splitPaymentService.markPaid(razorpay_order_id, razorpay_payment_id);
+    if (!accepted) {
+        return next(new ErrorResponse('This share is no longer owed. The payment will be refunded.', 409));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: updated.status === 'completed'
+            ? 'Payment verified, the booking is fully paid'
+            : 'Payment verified, waiting for the rest of the team',
+        data: {
+            bookingId: booking?._id,
+            bookingIds: booking ? [booking._id] : [],
+            splitId: updated._id,
+            splitStatus: updated.status,
+            paymentId: razorpay_payment_id,
+            amount: isCover ? updated.cover.amount : participant.amount,
+            paidAmount: updated.getPaidAmount(),
+            remaining: Math.round((updated.totalAmount - updated.getPaidAmount()) * 100) / 100,
+            status: booking?.paymentStatus
+        }
+    });
+};
+
+// Helper: verify the payment of a reschedule price difference (signature already checked)
+const verifyRescheduleCharge = async (req, res, next) => {
+    const { razorpay_order_id, razorpay_payment_id } = req.body;
+
+    const owner = await Booking.findOne({ 'rescheduleHistory.razorpayOrderId': razorpay_order_id }).select('customerId');
+    if (!owner) {
+        return next(new ErrorResponse('Booking not found', 404));
+    }
+    if (owner.customerId.toString() !== req.user.id) {
+        return next(new ErrorResponse('Not authorized', 403));
+    }
+
+    const { booking, change } = await rescheduleService.markChargePaid(razorpay_order_id, razorpay_payment_id);
+    if (change.settlementStatus !== 'paid') {
+        return next(new ErrorResponse('The price difference was already settled. The payment will be refunded.', 409));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Reschedule payment verified successfully',
+        data: {
+            bookingId: booking._id,
+            bookingIds: [booking._id],
+            paymentId: razorpay_payment_id,
+            amount: change.settlementAmount,
+            balanceDue: booking.getBalanceDue(),
+            status: booking.paymentStatus
+        }
+    });
+};
+
 // @desc    Get payment status
 // @route   GET /api/payment/status/:orderId
 // @access  Private
@@ -237,7 +528,7 @@ const getPaymentStatus = asyncHandler(async (req, res, next) => {
     const { orderId } = req.params;
 
     try {
-        const order = await razorpay.orders.fetch(orderId);
+        const order = await razorpay.getClient().orders.fetch(orderId);
         const booking = await Booking.findOne({ razorpayOrderId: orderId });
 
         if (!booking) {
@@ -269,109 +560,158 @@ const getPaymentStatus = asyncHandler(async (req, res, next) => {
 // @access  Public (but verified)
 const handlePaymentWebhook = asyncHandler(async (req, res, next) => {
     const webhookSignature = req.headers['x-razorpay-signature'];
-    const webhookBody = JSON.stringify(req.body);
 
-    try {
-        // Verify webhook signature
-        const expectedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET || '9qxxugjEleGtcqcOjWFmCB2n')
-            .update(webhookBody)
-            .digest('hex');
+    // The signature covers the exact bytes Razorpay sent, so verify against the
+    // raw body captured by the JSON parser rather than a re-serialised object
+    if (!req.rawBody || !webhookSignature) {
+        return res.status(400).json({ error: 'Missing webhook body or signature' });
+    }
 
-        if (webhookSignature !== expectedSignature) {
-            return res.status(400).json({ error: 'Invalid webhook signature' });
-        }
+    const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET || '9qxxugjEleGtcqcOjWFmCB2n')
+        .update(req.rawBody)
+        .digest('hex');
+
+    const received = Buffer.from(String(webhookSignature));
+    const expected = Buffer.from(expectedSignature);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = req.body;
+    const payment = event.payload?.payment?.entity;
+    const refund = event.payload?.refund?.entity;
+    const order = event.payload?.order?.entity;
+
+    // Razorpay sends the same event id on every retry of a delivery
+    const eventId = req.headers['x-razorpay-event-id']
+        || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const { event: record, duplicate } = await PaymentEvent.claim(eventId, {
+        event: event.event,
+        orderId: payment?.order_id || order?.id,
+        paymentId: payment?.id || refund?.payment_id,
+        refundId: refund?.id,
+        payload: event
+    });
+
+    if (duplicate) {
+        console.log(`Duplicate webhook ${eventId} (${event.event}) ignored`);
+        return res.status(200).json({ status: 'ok', duplicate: true });
+    }
 
-        const event = req.body;
+    try {
+        let result;
 
         // Handle different webhook events
         switch (event.event) {
             case 'payment.captured':
-                await handlePaymentCaptured(event.payload.payment.entity);
+                result = await handlePaymentCaptured(payment);
                 break;
             case 'payment.failed':
-                await handlePaymentFailed(event.payload.payment.entity);
+                result = await handlePaymentFailed(payment);
                 break;
             case 'order.paid':
-                await handleOrderPaid(event.payload.order.entity);
+                result = await handleOrderPaid(order, payment);
                 break;
+            case 'refund.processed':
+            case 'refund.failed': {
+                const booking = await refundService.handleRefundEvent(refund, event.event.split('.')[1]);
+                result = booking ? `Refund recorded on booking ${booking._id}` : 'No matching booking';
+                break;
+            }
             default:
                 console.log(`Unhandled webhook event: ${event.event}`);
+                await record.markDone('ignored', 'Unhandled event type');
+                return res.status(200).json({ status: 'ok' });
         }
 
+        await record.markDone('processed', result);
         res.status(200).json({ status: 'ok' });
     } catch (error) {
         console.error('Webhook processing error:', error);
+        // A non-2xx response makes Razorpay retry; the failed record is picked up again
+        await record.markFailed(error).catch(() => null);
         res.status(500).json({ error: 'Webhook processing failed' });
     }
 });
 
-// Helper function to handle payment captured
-const handlePaymentCaptured = async (payment) => {
-    try {
-        const booking = await Booking.findOne({ razorpayOrderId: payment.order_id });
-        if (booking && booking.paymentStatus !== 'paid') {
-            booking.paymentStatus = 'paid';
-            booking.razorpayPaymentId = payment.id;
-            booking.paidAt = new Date();
-                        await booking.save();
-            console.log(`Payment captured for booking ${booking._id}`);
-
-                        // Best-effort: send booking confirmation email with QR/code if we can infer recipient
-                        try {
-                            // We don't have req.user in webhook; try customerInfo.email
-                            const recipientEmail = booking.customerInfo?.email;
-                            if (recipientEmail) {
-                                await sendBookingConfirmationEmailForBooking(booking, recipientEmail, booking.customerInfo?.name || 'Player');
-                            }
-                        } catch (e) {
-                            console.log('Webhook: booking confirmation (QR) email failed:', e.message);
-                        }
-        }
-    } catch (error) {
-        console.error('Error handling payment captured:', error);
+// Helper: mark every booking on a Razorpay order as paid, confirm the slot
+// holds and send the confirmation emails
+const markOrderBookingsPaid = async (orderId, paymentId, source) => {
+    const bookings = await Booking.find({ razorpayOrderId: orderId, paymentStatus: { $nin: ['paid', 'partial'] } });
+
+    // Bookings already marked paid without the payment id (e.g. by an earlier
+    // event) get it now, so they can be refunded and reach the ledger
+    const filled = await Booking.fillMissingPaymentId(orderId, paymentId);
+    for (const booking of filled) {
+        await ledgerService.recordBookingPayment(booking);
+        console.log(`${source}: payment id recorded for booking ${booking._id}`);
     }
-};
 
-// Helper function to handle payment failed
-const handlePaymentFailed = async (payment) => {
-    try {
-        const booking = await Booking.findOne({ razorpayOrderId: payment.order_id });
-        if (booking) {
-            booking.paymentStatus = 'failed';
-            await booking.save();
-            console.log(`Payment failed for booking ${booking._id}`);
+    // Orders for split shares and reschedule price differences are tracked
+    // outside the booking's own order id
+    if (bookings.length === 0 && filled.length === 0) {
+        const share = await splitPaymentService.markPaid(orderId, paymentId);
+        if (share) {
+            return `Split ${share.split._id} share ${share.accepted ? 'recorded' : 'refunded'} (${share.split.status})`;
+        }
+
+        const charged = await rescheduleService.markChargePaid(orderId, paymentId);
+        if (charged) {
+            return `Reschedule charge ${charged.change.settlementStatus} for booking ${charged.booking._id}`;
         }
-    } catch (error) {
-        console.error('Error handling payment failed:', error);
     }
-};
 
-// Helper function to handle order paid
-const handleOrderPaid = async (order) => {
-    try {
-        const booking = await Booking.findOne({ razorpayOrderId: order.id });
-        if (booking && booking.paymentStatus !== 'paid') {
-            booking.paymentStatus = 'paid';
-            booking.paidAt = new Date();
-                        await booking.save();
-            console.log(`Order paid for booking ${booking._id}`);
-
-                        // Best-effort: send booking confirmation email with QR/code if we can infer recipient
-                        try {
-                            const recipientEmail = booking.customerInfo?.email;
-                            if (recipientEmail) {
-                                await sendBookingConfirmationEmailForBooking(booking, recipientEmail, booking.customerInfo?.name || 'Player');
-                            }
-                        } catch (e) {
-                            console.log('Webhook (order.paid): booking confirmation (QR) email failed:', e.message);
-                        }
+    let confirmed = 0;
+    for (const booking of bookings) {
+        booking.paymentStatus = booking.getOnlinePaymentStatus();
+        if (paymentId) {
+            booking.razorpayPaymentId = paymentId;
+        }
+        booking.paidAt = new Date();
+        await booking.save();
+        await ledgerService.recordBookingPayment(booking);
+        console.log(`${source}: payment recorded for booking ${booking._id}`);
+
+        if (!(await settleHeldBooking(booking))) {
+            continue;
+        }
+        confirmed++;
+
+        // Best-effort: send booking confirmation email with QR/code if we can infer recipient
+        try {
+            // We don't have req.user in webhook; try customerInfo.email
+            const recipientEmail = booking.customerInfo?.email;
+            if (recipientEmail) {
+                await sendBookingConfirmationEmailForBooking(booking, recipientEmail, booking.customerInfo?.name || 'Player');
+            }
+        } catch (e) {
+            console.log(`Webhook (${source}): booking confirmation (QR) email failed:`, e.message);
         }
-    } catch (error) {
-        console.error('Error handling order paid:', error);
     }
+
+    const result = `Paid ${bookings.length} booking(s), confirmed ${confirmed}`;
+    return filled.length > 0 ? `${result}, payment id recorded on ${filled.length}` : result;
+};
+
+// Helper function to handle payment captured
+const handlePaymentCaptured = (payment) => markOrderBookingsPaid(payment.order_id, payment.id, 'payment.captured');
+
+// Helper function to handle payment failed
+const handlePaymentFailed = async (payment) => {
+    const result = await Booking.updateMany(
+        { razorpayOrderId: payment.order_id, paymentStatus: { $nin: ['paid', 'partial'] } },
+        { $set: { paymentStatus: 'failed' } }
+    );
+    console.log(`Payment failed for ${result.modifiedCount} booking(s) on order ${payment.order_id}`);
+    return `Marked ${result.modifiedCount} booking(s) failed`;
 };
 
+// Helper function to handle order paid. The event carries the payment that
+// paid the order alongside it.
+const handleOrderPaid = (order, payment) => markOrderBookingsPaid(order.id, payment?.id || null, 'order.paid');
+
 module.exports = {
     createPaymentOrder,
     verifyPayment,
@@ -0,0 +1,356 @@
+const Booking = require('../models/Booking');
+const PaymentSplit = require('../models/PaymentSplit');
+const User = require('../models/User');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const splitPaymentService = require('../services/splitPaymentService');
+
+// How long teammates have to pay once a booking is split
+const SPLIT_HOLD_MINUTES = parseInt(process.env.SPLIT_PAYMENT_HOLD_MINUTES || '30', 10);
+
+// Helper: load a split the current user organises or takes part in
+const findSplitFor = async (id, user) => {
+  const split = await PaymentSplit.findById(id);
+  if (!split) {
+    return { error: new ErrorResponse('Split payment not found', 404) };
+  }
+  if (split.organiserId.toString() !== user.id && !split.findParticipant(user)) {
+    return { error: new ErrorResponse('Not authorized to view this split payment', 403) };
+  }
+  return { split };
+};
+
+// Helper: split details safe to show every participant
+const splitSummary = (split, booking) => ({
+  _id: split._id,
+  bookingId: split.bookingId,
+  status: split.status,
+  mode: split.mode,
+  totalAmount: split.totalAmount,
+  paidAmount: split.getPaidAmount(),
+  holdExpiresAt: booking?.holdExpiresAt,
+  shareUrl: split.getShareUrl(),
+  participants: split.participants.map(p => ({
+    _id: p._id,
+    name: p.name,
+    isOrganiser: p.isOrganiser,
+    amount: p.amount,
+    status: p.status,
+    joined: !!p.userId
+  }))
+});
+
+// Helper: Razorpay checkout details for an order
+const checkoutData = (order, split) => ({
+  orderId: order.id,
+  amount: order.amount,
+  currency: order.currency,
+  keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_RL5vMta3bKvRd4',
+  splitId: split._id,
+  bookingId: split.bookingId
+});
+
+// @desc    Split a held booking's fee between teammates
+// @route   POST /api/splits
+// @access  Private
+exports.createSplit = asyncHandler(async (req, res, next) => {
+  const { bookingId, participants = [], includeOrganiser = true } = req.body;
+  const mode = req.body.mode === 'custom' ? 'custom' : 'even';
+
+  if (!bookingId) {
+    return next(new ErrorResponse('bookingId is required', 400));
+  }
+  if (!Array.isArray(participants) || participants.length === 0) {
+    return next(new ErrorResponse('Invite at least one participant', 400));
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(new ErrorResponse('Booking not found', 404));
+  }
+  if (booking.customerId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Only the organiser can split this booking', 403));
+  }
+  if (booking.status !== 'held' || booking.paymentStatus !== 'pending') {
+    return next(new ErrorResponse('Only unpaid bookings awaiting payment can be split', 400));
+  }
+  if (booking.holdExpiresAt && booking.holdExpiresAt <= new Date()) {
+    return next(new ErrorResponse('Booking hold has expired, please book the slot again', 400));
+  }
+  if (await PaymentSplit.exists({ bookingId: booking._id, status: 'collecting' })) {
+    return next(new ErrorResponse('This booking is already being split', 400));
+  }
+
+  // Build the share list: the organiser first, then each invitee by user id,
+  // phone, or as an open seat anyone with the share link can take
+  const seats = [];
+  if (includeOrganiser) {
+    seats.push({
+      userId: req.user._id,
+      name: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || 'Organiser',
+      isOrganiser: true,
+      amount: req.body.organiserAmount
+    });
+  }
+
+  for (const invitee of participants) {
+    const seat = { name: invitee.name, amount: invitee.amount };
+    if (invitee.userId) {
+      const user = await User.findById(invitee.userId).select('firstName lastName phone');
+      if (!user) {
+        return next(new ErrorResponse(`User ${invitee.userId} not found`, 400));
+      }
+      seat.userId = user._id;
+      seat.name = seat.name || `${user.firstName || ''} ${user.lastName || ''}`.trim();
+    } else if (invitee.phone) {
+      seat.phone = PaymentSplit.normalisePhone(invitee.phone);
+      if (seat.phone.length !== 10) {
+        return next(new ErrorResponse(`Invalid phone number ${invitee.phone}`, 400));
+      }
+    }
+    seats.push(seat);
+  }
+
+  const invited = seats.filter(s => s.userId).map(s => s.userId.toString());
+  if (new Set(invited).size !== invited.length) {
+    return next(new ErrorResponse('A participant is listed more than once', 400));
+  }
+
+  const totalAmount = booking.getPriceBreakdown().total;
+  if (mode === 'even') {
+    PaymentSplit.splitEvenly(totalAmount, seats.length).forEach((amount, i) => {
+      seats[i].amount = amount;
+    });
+  } else if (seats.some(s => !(Number(s.amount) > 0))) {
+    return next(new ErrorResponse('Every participant needs an amount for a custom split', 400));
+  }
+
+  const split = new PaymentSplit({
+    bookingId: booking._id,
+    organiserId: req.user.id,
+    turfId: booking.turfId,
+    mode,
+    totalAmount,
+    participants: seats.map(s => ({ ...s, amount: Math.round(Number(s.amount) * 100) / 100 }))
+  });
+  try {
+    await split.validate();
+  } catch (e) {
+    return next(new ErrorResponse(e.errors?.participants?.message || e.message, 400));
+  }
+  await split.save();
+
+  // Give the team time to pay, but never past the slot start
+  const extended = Math.min(Date.now() + SPLIT_HOLD_MINUTES * 60 * 1000, booking.getStartDateTime().getTime());
+  if (!booking.holdExpiresAt || extended > booking.holdExpiresAt.getTime()) {
+    booking.holdExpiresAt = new Date(extended);
+    await booking.save();
+  }
+
+  await splitPaymentService.notifyParticipants(split, booking, 'Pay your share',
+    `${req.user.firstName || 'A teammate'} split a booking with you. Pay your share before the hold expires.`,
+    { onlyPending: true });
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking split created',
+    data: splitSummary(split, booking)
+  });
+});
+
+// @desc    Get a split payment
+// @route   GET /api/splits/:id
+// @access  Private
+exports.getSplit = asyncHandler(async (req, res, next) => {
+  const { split, error } = await findSplitFor(req.params.id, req.user);
+  if (error) {
+    return next(error);
+  }
+
+  const booking = await Booking.findById(split.bookingId)
+    .select('turfId bookingDate startTime endTime holdExpiresAt status')
+    .populate('turfId', 'name location');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...splitSummary(split, booking),
+      booking
+    }
+  });
+});
+
+// @desc    Preview a split from its share link
+// @route   GET /api/splits/share/:token
+// @access  Private
+exports.getSplitByToken = asyncHandler(async (req, res, next) => {
+  const split = await PaymentSplit.findOne({ shareToken: req.params.token });
+  if (!split) {
+    return next(new ErrorResponse('Split payment not found', 404));
+  }
+
+  const booking = await Booking.findById(split.bookingId)
+    .select('turfId bookingDate startTime endTime holdExpiresAt status')
+    .populate('turfId', 'name location');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...splitSummary(split, booking),
+      booking
+    }
+  });
+});
+
+// @desc    Join a split from its share link
+// @route   POST /api/splits/share/:token/join
+// @access  Private
+exports.joinSplit = asyncHandler(async (req, res, next) => {
+  const split = await PaymentSplit.findOne({ shareToken: req.params.token });
+  if (!split) {
+    return next(new ErrorResponse('Split payment not found', 404));
+  }
+  if (split.status !== 'collecting') {
+    return next(new ErrorResponse(`This split is ${split.status}`, 400));
+  }
+
+  let seat = split.findParticipant(req.user);
+  if (!seat) {
+    // A share reserved for this user's phone number, otherwise any open seat
+    const phone = PaymentSplit.normalisePhone(req.user.phone);
+    const unclaimed = split.participants.filter(p => !p.userId && p.status === 'pending');
+    seat = (phone && unclaimed.find(p => p.phone === phone)) || unclaimed.find(p => !p.phone);
+    if (!seat) {
+      return next(new ErrorResponse('Every share in this split has been taken', 400));
+    }
+
+    // Claim the seat only if nobody took it in the meantime
+    const claimed = await PaymentSplit.findOneAndUpdate(
+      { _id: split._id, participants: { $elemMatch: { _id: seat._id, userId: { $exists: false } } } },
+      {
+        $set: {
+          'participants.$.userId': req.user._id,
+          'participants.$.name': seat.name || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim()
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return next(new ErrorResponse('That share was just taken, please try again', 409));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Joined the split',
+    data: {
+      splitId: split._id,
+      participantId: seat._id,
+      amount: seat.amount,
+      status: seat.status
+    }
+  });
+});
+
+// @desc    Create the Razorpay order for the current user's share
+// @route   POST /api/splits/:id/pay
+// @access  Private
+exports.payShare = asyncHandler(async (req, res, next) => {
+  const { split, error } = await findSplitFor(req.params.id, req.user);
+  if (error) {
+    return next(error);
+  }
+
+  const participant = split.findParticipant(req.user);
+  if (!participant) {
+    return next(new ErrorResponse('You do not have a share in this split', 403));
+  }
+  if (split.status !== 'collecting' || participant.status !== 'pending') {
+    return next(new ErrorResponse(`This share cannot be paid (split ${split.status}, share ${participant.status})`, 400));
+  }
+
+  const booking = await Booking.findById(split.bookingId).select('status holdExpiresAt');
+  if (booking?.status !== 'held' || booking.holdExpiresAt <= new Date()) {
+    return next(new ErrorResponse('The booking hold has expired', 400));
+  }
+
+  try {
+    const order = await splitPaymentService.createShareOrder(split, participant);
+    res.status(200).json({
+      success: true,
+      data: {
+        ...checkoutData(order, split),
+        holdExpiresAt: booking.holdExpiresAt
+      }
+    });
+  } catch (e) {
+    console.error('Split share order error:', e);
+    return next(new ErrorResponse('Failed to create payment order', 500));
+  }
+});
+
+// @desc    Organiser pays every share still unpaid so the booking can be confirmed
+// @route   POST /api/splits/:id/cover
+// @access  Private
+exports.coverRemainder = asyncHandler(async (req, res, next) => {
+  const split = await PaymentSplit.findById(req.params.id);
+  if (!split) {
+    return next(new ErrorResponse('Split payment not found', 404));
+  }
+  if (split.organiserId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Only the organiser can cover the remainder', 403));
+  }
+  if (split.status !== 'collecting') {
+    return next(new ErrorResponse(`This split is ${split.status}`, 400));
+  }
+  if (split.getUnpaidShares().length === 0) {
+    return next(new ErrorResponse('Every share has already been paid', 400));
+  }
+
+  const booking = await Booking.findById(split.bookingId).select('status holdExpiresAt');
+  if (booking?.status !== 'held' || booking.holdExpiresAt <= new Date()) {
+    return next(new ErrorResponse('The booking hold has expired', 400));
+  }
+
+  try {
+    const order = await splitPaymentService.createCoverOrder(split);
+    res.status(200).json({
+      success: true,
+      data: {
+        ...checkoutData(order, split),
+        coveredShares: split.getUnpaidShares().length,
+        holdExpiresAt: booking.holdExpiresAt
+      }
+    });
+  } catch (e) {
+    console.error('Split cover order error:', e);
+    return next(new ErrorResponse('Failed to create payment order', 500));
+  }
+});
+
+// @desc    Cancel a split; shares already paid are refunded
+// @route   DELETE /api/splits/:id
+// @access  Private
+exports.cancelSplit = asyncHandler(async (req, res, next) => {
+  const split = await PaymentSplit.findById(req.params.id);
+  if (!split) {
+    return next(new ErrorResponse('Split payment not found', 404));
+  }
+  if (split.organiserId.toString() !== req.user.id) {
+    return next(new ErrorResponse('Only the organiser can cancel the split', 403));
+  }
+  if (split.status !== 'collecting') {
+    return next(new ErrorResponse(`This split is ${split.status}`, 400));
+  }
+
+  const closed = await splitPaymentService.close(split, 'cancelled', 'Split payment cancelled by organiser');
+  if (!closed) {
+    return next(new ErrorResponse('This split has just completed or closed', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Split cancelled, the booking can be paid directly',
+    data: splitSummary(closed)
+  });
+});
@@ -1,11 +1,21 @@
 const Turf = require('../models/Turf');
 const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const PricingRule = require('../models/PricingRule');
 const Review = require('../models/Review');
 const mongoose = require('mongoose');
 const aiAnalyticsService = require('../services/aiAnalyticsService');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const imageUploadService = require('../services/imageUploadService');
+const refundService = require('../services/refundService');
+const waitlistService = require('../services/waitlistService');
+const closureService = require('../services/closureService');
+const ledgerService = require('../services/ledgerService');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const { validateHours, generateTemplate } = require('../utils/slotTemplate');
+const { toCalendarDate, nowInZone, calendarDayRange } = require('../utils/timezone');
 
 // @desc    Get all turfs
 // @route   GET /api/turfs
@@ -223,6 +233,20 @@ exports.createTurf = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Sport type must be one of your registered sport types: ${sportsList}`, 400));
   }
 
+  // Owners can send opening hours instead of a hand-built slot template
+  if (req.body.operatingHours && !req.body.availableSlots) {
+    const slotDuration = Number(req.body.slotDuration || 60);
+    const invalid = checkOperatingHours(req.body.operatingHours, slotDuration);
+    if (invalid) {
+      return next(new ErrorResponse(invalid, 400));
+    }
+    req.body.slotDuration = slotDuration;
+    req.body.availableSlots = generateTemplate(req.body.operatingHours, {
+      slotDuration,
+      price: req.body.pricePerHour
+    });
+  }
+
   // Create turf with image URLs (requires admin approval)
   const turfData = {
     ...req.body,
@@ -339,11 +363,24 @@ exports.updateTurf = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Opening hours regenerate the slot template unless one is sent as well
+  if (directUpdates.operatingHours && !directUpdates.availableSlots) {
+    const invalid = checkOperatingHours(directUpdates.operatingHours, Number(directUpdates.slotDuration || turf.slotDuration));
+    if (invalid) {
+      return next(new ErrorResponse(invalid, 400));
+    }
+  }
+
   // Apply direct updates (non-restricted fields)
   if (Object.keys(directUpdates).length > 0) {
     Object.assign(turf, directUpdates);
   }
 
+  const hoursChanged = directUpdates.operatingHours || directUpdates.slotDuration;
+  if (hoursChanged && !directUpdates.availableSlots && turf.operatingHours?.openTime) {
+    turf.applyOperatingHours(turf.toObject().operatingHours);
+  }
+
   // Handle changes that need approval
   if (Object.keys(needsApproval).length > 0) {
     turf.pendingChanges = new Map(Object.entries(needsApproval));
@@ -351,8 +388,17 @@ exports.updateTurf = asyncHandler(async (req, res, next) => {
     turf.changeApprovalNotes = '';
   }
 
+  const timezoneChanged = turf.isModified('timezone');
   await turf.save();
 
+  // A corrected timezone applies to the bookings still to be played
+  if (timezoneChanged) {
+    await Booking.updateMany(
+      { turfId: turf._id, status: { $in: ['held', 'pending', 'confirmed'] } },
+      { $set: { timezone: turf.getTimeZone() } }
+    );
+  }
+
   const message = Object.keys(needsApproval).length > 0
     ? 'Turf updated. Some changes require admin approval.'
     : (req.body.images ? 'Turf updated successfully with new images' : 'Turf updated successfully');
@@ -571,7 +617,7 @@ exports.approveTurf = asyncHandler(async (req, res, next) => {
 // @route   GET /api/turfs/:id/slots/check
 // @access  Public
 exports.checkSlotAvailability = asyncHandler(async (req, res, next) => {
-  const { date, startTime, endTime } = req.query;
+  const { date, startTime, endTime, court, courtType } = req.query;
   
   if (!date || !startTime || !endTime) {
     return next(new ErrorResponse('Date, start time, and end time are required', 400));
@@ -583,10 +629,16 @@ exports.checkSlotAvailability = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Turf not found with id of ${req.params.id}`, 404));
   }
 
-  const bookingDate = new Date(date);
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][bookingDate.getDay()];
-  
-  const isAvailable = turf.isSlotAvailable(bookingDate, dayOfWeek, startTime, endTime);
+  const bookingDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(bookingDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+  const windowError = turf.getBookingWindowError(bookingDate);
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
+  const isAvailable = await turf.isSlotAvailable(bookingDate, startTime, endTime, { court, courtType });
+  const closure = turf.getClosure(bookingDate, startTime, endTime);
   
   res.status(200).json({
     success: true,
@@ -594,7 +646,10 @@ exports.checkSlotAvailability = asyncHandler(async (req, res, next) => {
       available: isAvailable,
       date,
       startTime,
-      endTime
+      endTime,
+      court: court || null,
+      courtType: courtType === 'half' ? 'half' : 'full',
+      closedReason: closure ? turf.describeClosure(closure) : null
     }
   });
 });
@@ -615,8 +670,15 @@ exports.getAvailableSlots = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Turf not found with id of ${req.params.id}`, 404));
   }
 
-  const bookingDate = new Date(date);
-  const availableSlots = turf.getAvailableSlots(bookingDate);
+  const bookingDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(bookingDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+  const windowError = turf.getBookingWindowError(bookingDate);
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
+  const availableSlots = await turf.getAvailableSlots(bookingDate);
   
   res.status(200).json({
     success: true,
@@ -631,7 +693,7 @@ exports.getAvailableSlots = asyncHandler(async (req, res, next) => {
 // @route   POST /api/turfs/:id/slots/book
 // @access  Private/Owner
 exports.bookSlot = asyncHandler(async (req, res, next) => {
-  const { date, startTime, endTime, customerName, customerPhone, customerEmail, price, notes } = req.body;
+  const { date, startTime, endTime, customerName, customerPhone, customerEmail, price, notes, court, courtType } = req.body;
   
   if (!date || !startTime || !endTime || !customerName || !customerPhone) {
     return next(new ErrorResponse('Date, start time, end time, customer name, and customer phone are required', 400));
@@ -648,23 +710,30 @@ exports.bookSlot = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to book slots for this turf', 403));
   }
 
-  const bookingDate = new Date(date);
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][bookingDate.getDay()];
+  const bookingDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(bookingDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
   
   try {
-    // Check if slot is available
-    const isAvailable = turf.isSlotAvailable(bookingDate, dayOfWeek, startTime, endTime);
-    if (!isAvailable) {
-      return next(new ErrorResponse('Slot is not available for booking', 400));
+    // Check if slot is available on the requested (or any) court
+    const ct = courtType === 'half' ? 'half' : 'full';
+    const { instances, court: allocated, error } = await SlotInstance.findSlot(turf, bookingDate, startTime, endTime, { court, courtType: ct });
+    if (error) {
+      return next(new ErrorResponse(`Slot is not available for booking: ${error}`, 400));
     }
 
-    // Get slot price if not provided
-    const daySlots = turf.availableSlots[dayOfWeek];
-    const slot = daySlots.slots.find(s => s.startTime === startTime && s.endTime === endTime);
-    const slotPrice = price || slot.price || turf.pricePerHour;
+    // Use the owner's price if given, otherwise the slot's effective price
+    const pricing = price ? null : await PricingRule.priceSlot(turf, bookingDate, instances[0]);
+    const slotPrice = price || pricing.price;
 
-    // Create booking record
+    // Claim the slot first so a concurrent booking cannot take it as well
+    const bookingId = new mongoose.Types.ObjectId();
+    await SlotInstance.claimAll(instances, bookingId);
+
+    // Create booking record, handing the slot back if that fails
     const booking = await Booking.create({
+      _id: bookingId,
       turfId: turf._id,
       ownerId: turf.ownerId,
       customerInfo: {
@@ -673,19 +742,25 @@ exports.bookSlot = asyncHandler(async (req, res, next) => {
         email: customerEmail || ''
       },
       bookingDate,
+      timezone: turf.getTimeZone(),
       startTime,
       endTime,
+      sport: turf.sport,
       pricePerHour: slotPrice,
+      courtType: ct,
+      court: allocated.key,
+      pricingRule: pricing?.rule
+        ? { ...pricing.rule.toSnapshot(), basePrice: pricing.basePrice }
+        : undefined,
       status: 'confirmed',
       paymentStatus: 'pending',
       paymentMethod: 'cash',
       bookingType: 'offline',
       notes: notes || ''
+    }).catch(async (error) => {
+      await SlotInstance.releaseForBookings([bookingId]);
+      throw error;
     });
-
-    // Update turf slot status
-    turf.bookSlot(bookingDate, dayOfWeek, startTime, endTime, booking._id);
-    await turf.save();
     
     res.status(200).json({
       success: true,
@@ -695,6 +770,8 @@ exports.bookSlot = asyncHandler(async (req, res, next) => {
         date,
         startTime,
         endTime,
+        court: allocated.key,
+        courtType: ct,
         customerName,
         customerPhone,
         totalAmount: booking.totalAmount
@@ -726,34 +803,46 @@ exports.cancelSlotBooking = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to cancel bookings for this turf', 403));
   }
 
-  const bookingDate = new Date(date);
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][bookingDate.getDay()];
+  const bookingDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(bookingDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
   
   try {
     // Find and cancel the booking record if bookingId is provided
+    let booking = null;
     if (bookingId) {
-      const booking = await Booking.findById(bookingId);
-      if (booking && booking.turfId.toString() === turf._id.toString()) {
-        await booking.cancelBooking(req.user.id, reason || 'Cancelled by owner');
+      booking = await Booking.findById(bookingId);
+      if (booking && booking.turfId.toString() !== turf._id.toString()) {
+        booking = null;
       }
     } else {
-      // Find booking by date and time
-      const booking = await Booking.findOne({
+      // Find booking by date and time; courts can be shared, so it must be
+      // unambiguous. Lapsed holds and finished bookings no longer hold the slot.
+      const matches = await Booking.find({
         turfId: turf._id,
         bookingDate,
         startTime,
         endTime,
-        status: { $ne: 'cancelled' }
+        status: { $nin: ['cancelled', 'expired', 'completed', 'no-show'] }
       });
-      
-      if (booking) {
-        await booking.cancelBooking(req.user.id, reason || 'Cancelled by owner');
+
+      if (matches.length > 1) {
+        return next(new ErrorResponse('Several bookings share this slot; pass the bookingId to cancel', 400));
       }
+      booking = matches[0] || null;
     }
 
-    // Update turf slot status
-    turf.cancelSlotBooking(bookingDate, dayOfWeek, startTime, endTime);
-    await turf.save();
+    if (booking) {
+      await booking.cancelBooking(req.user.id, reason || 'Cancelled by owner', { byOwner: true });
+      await refundService.initiateRefund(booking);
+    }
+
+    // Free the slot inventory for this date
+    await turf.cancelSlotBooking(bookingDate, startTime, endTime, booking?._id);
+
+    // Offer the freed slot to the next player on its waitlist
+    await waitlistService.offerNext(turf, bookingDate, startTime, endTime);
     
     res.status(200).json({
       success: true,
@@ -1067,49 +1156,19 @@ exports.getOwnerAnalytics = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Get owner customers
+// @desc    Get owner customers, including offline and walk-in customers.
+//          Pass ?phone= to look a customer up at the desk.
 // @route   GET /api/turfs/owner/customers
 // @access  Private (Owner)
 exports.getOwnerCustomers = asyncHandler(async (req, res, next) => {
+  const { phone } = req.query;
+  if (phone && !Booking.phonePattern(phone)) {
+    return next(new ErrorResponse('Please enter a valid phone number', 400));
+  }
+
   try {
-    const ownerId = req.user.id;
-    
-    // Get unique customers who have booked turfs owned by this owner
-    const customers = await Booking.aggregate([
-      { $match: { ownerId: req.user.id } },
-      {
-        $group: {
-          _id: '$userId',
-          totalBookings: { $sum: 1 },
-          totalSpent: { $sum: '$totalAmount' },
-          lastBooking: { $max: '$createdAt' }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'userDetails'
-        }
-      },
-      {
-        $unwind: '$userDetails'
-      },
-      {
-        $project: {
-          _id: 1,
-          name: '$userDetails.name',
-          email: '$userDetails.email',
-          phone: '$userDetails.phone',
-          totalBookings: 1,
-          totalSpent: 1,
-          lastBooking: 1
-        }
-      },
-      { $sort: { totalSpent: -1 } }
-    ]);
-    
+    const customers = await Booking.findOwnerCustomers(req.user.id, { phone });
+
     res.status(200).json({
       success: true,
       count: customers.length,
@@ -1120,6 +1179,72 @@ exports.getOwnerCustomers = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Get owner payout balances, ledger entries and payout batches
+// @route   GET /api/turfs/owner/payouts
+// @access  Private (Owner)
+exports.getOwnerPayouts = asyncHandler(async (req, res, next) => {
+  const { from, to, type, page = 1, limit = 50 } = req.query;
+
+  const filter = { ownerId: req.user.id };
+  if (type) {
+    filter.type = type;
+  }
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = new Date(from);
+    if (to) filter.occurredAt.$lte = new Date(to);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [summary, entries, total, batches] = await Promise.all([
+    ledgerService.getSummary(req.user.id),
+    LedgerEntry.find(filter)
+      .populate('turfId', 'name')
+      .populate('bookingId', 'bookingCode bookingDate startTime endTime')
+      .sort({ occurredAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    LedgerEntry.countDocuments(filter),
+    PayoutBatch.find({ ownerId: req.user.id }).sort({ createdAt: -1 }).limit(12)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary,
+      entries,
+      batches,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Download the owner's monthly settlement statement
+// @route   GET /api/turfs/owner/payouts/statement?month=YYYY-MM
+// @access  Private (Owner)
+exports.getOwnerPayoutStatement = asyncHandler(async (req, res, next) => {
+  const month = req.query.month || nowInZone().dateKey.slice(0, 7);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return next(new ErrorResponse('month must be in YYYY-MM format', 400));
+  }
+
+  const { generateOwnerStatementPDF } = require('../utils/pdfStatement');
+  const statement = await ledgerService.getMonthlyStatement(req.user.id, month);
+  const pdfBuffer = await generateOwnerStatementPDF(req.user, statement);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="turfease-statement-${month}.pdf"`,
+    'Content-Length': pdfBuffer.length
+  });
+  res.status(200).send(pdfBuffer);
+});
+
 // @desc    Allocate slots for a day
 // @route   POST /api/turfs/:id/slots/allocate
 // @access  Private (Owner)
@@ -1143,14 +1268,13 @@ exports.allocateSlotsForDay = asyncHandler(async (req, res, next) => {
     }
     
     // Validate date format
-    const allocateDate = new Date(date);
+    const allocateDate = toCalendarDate(date, turf.getTimeZone());
     if (isNaN(allocateDate.getTime())) {
       return next(new ErrorResponse('Invalid date format', 400));
     }
     
-    // Check if date is not in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Check if date is not in the past at the turf
+    const today = toCalendarDate(nowInZone(turf.getTimeZone()).dateKey);
     if (allocateDate < today) {
       return next(new ErrorResponse('Cannot allocate slots for past dates', 400));
     }
@@ -1201,15 +1325,25 @@ exports.getOwnerBookings = asyncHandler(async (req, res, next) => {
     // Get total count for pagination
     const totalBookings = await Booking.countDocuments({
       ownerId: req.user.id,
-      ...(date && {
-        bookingDate: {
-          $gte: new Date(date + 'T00:00:00.000Z'),
-          $lte: new Date(date + 'T23:59:59.999Z')
-        }
-      }),
+      ...(date && { bookingDate: calendarDayRange(date) }),
       ...(status && { status }),
       ...(turfId && { turfId })
     });
+
+    // Group recurring occurrences under their series
+    const seriesGroups = new Map();
+    bookings.forEach(booking => {
+      if (!booking.seriesId) return;
+      const key = booking.seriesId._id.toString();
+      if (!seriesGroups.has(key)) {
+        seriesGroups.set(key, {
+          series: booking.seriesId,
+          customerName: booking.customerInfo?.name,
+          bookings: []
+        });
+      }
+      seriesGroups.get(key).bookings.push(booking);
+    });
     
     res.status(200).json({
       success: true,
@@ -1217,9 +1351,375 @@ exports.getOwnerBookings = asyncHandler(async (req, res, next) => {
       total: totalBookings,
       page: parseInt(page),
       pages: Math.ceil(totalBookings / parseInt(limit)),
-      data: bookings
+      data: bookings,
+      series: Array.from(seriesGroups.values())
     });
   } catch (error) {
     return next(new ErrorResponse(error.message, 500));
   }
 });
+
+// Helper: load a turf and make sure the current user owns it. Resolves to { turf } or { error }.
+const findOwnedTurf = async (turfId, userId) => {
+  const turf = await Turf.findById(turfId);
+  if (!turf) {
+    return { error: new ErrorResponse(`Turf not found with id of ${turfId}`, 404) };
+  }
+  if (turf.ownerId.toString() !== userId) {
+    return { error: new ErrorResponse('Not authorized to manage this turf', 403) };
+  }
+  return { turf };
+};
+
+const PRICING_RULE_FIELDS = [
+  'name',
+  'type',
+  'days',
+  'startTime',
+  'endTime',
+  'dates',
+  'hoursBefore',
+  'minOccupancy',
+  'adjustmentType',
+  'adjustmentValue',
+  'priority',
+  'isActive'
+];
+
+// @desc    Get pricing rules for a turf
+// @route   GET /api/turfs/:id/pricing-rules
+// @access  Private/Owner
+exports.getPricingRules = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const rules = await PricingRule.find({ turfId: turf._id }).sort({ priority: -1, createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Create a pricing rule for a turf
+// @route   POST /api/turfs/:id/pricing-rules
+// @access  Private/Owner
+exports.createPricingRule = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const fields = {};
+  for (const field of PRICING_RULE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      fields[field] = req.body[field];
+    }
+  }
+
+  const rule = await PricingRule.create({
+    ...fields,
+    turfId: turf._id,
+    ownerId: turf.ownerId,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create a pricing rule from an analytics pricing suggestion
+// @route   POST /api/turfs/:id/pricing-rules/from-suggestion
+// @access  Private/Owner
+exports.applyPricingSuggestion = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  // Accepts an entry of revenueOptimization.pricingStrategies from /owner/analytics
+  const fields = PricingRule.fromSuggestion(req.body.suggestion || req.body);
+  if (!fields) {
+    return next(new ErrorResponse('Suggestion must include a timeSlot such as "18:00"', 400));
+  }
+
+  const existing = await PricingRule.findOne({
+    turfId: turf._id,
+    source: 'suggestion',
+    type: fields.type,
+    startTime: fields.startTime,
+    endTime: fields.endTime,
+    isActive: true
+  });
+  if (existing) {
+    return next(new ErrorResponse(`Suggestion already applied as rule "${existing.name}"`, 400));
+  }
+
+  const rule = await PricingRule.create({
+    ...fields,
+    turfId: turf._id,
+    ownerId: turf.ownerId,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Update a pricing rule
+// @route   PUT /api/turfs/:id/pricing-rules/:ruleId
+// @access  Private/Owner
+exports.updatePricingRule = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const rule = await PricingRule.findOne({ _id: req.params.ruleId, turfId: turf._id });
+  if (!rule) {
+    return next(new ErrorResponse(`Pricing rule not found with id of ${req.params.ruleId}`, 404));
+  }
+
+  for (const field of PRICING_RULE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      rule[field] = req.body[field];
+    }
+  }
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete a pricing rule
+// @route   DELETE /api/turfs/:id/pricing-rules/:ruleId
+// @access  Private/Owner
+exports.deletePricingRule = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  // Bookings keep their own snapshot of the rule, so it can be removed outright
+  const rule = await PricingRule.findOneAndDelete({ _id: req.params.ruleId, turfId: turf._id });
+  if (!rule) {
+    return next(new ErrorResponse(`Pricing rule not found with id of ${req.params.ruleId}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// Helper: read operating hours and an optional new slot duration from a request body
+const readOperatingHours = (body) => ({
+  hours: {
+    openTime: body.openTime,
+    closeTime: body.closeTime,
+    bufferMinutes: body.bufferMinutes != null ? Number(body.bufferMinutes) : 0,
+    breaks: Array.isArray(body.breaks) ? body.breaks : [],
+    days: body.days || {}
+  },
+  slotDuration: body.slotDuration != null ? Number(body.slotDuration) : undefined
+});
+
+// Helper: check operating hours against the slot duration they will be used with
+const checkOperatingHours = (hours, slotDuration) => {
+  if (![30, 60, 90, 120].includes(slotDuration)) {
+    return 'slotDuration must be 30, 60, 90 or 120 minutes';
+  }
+  return validateHours(hours, slotDuration);
+};
+
+// @desc    Get a turf's operating hours and the slot template generated from them
+// @route   GET /api/turfs/:id/operating-hours
+// @access  Private/Owner
+exports.getOperatingHours = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      operatingHours: turf.operatingHours?.openTime ? turf.operatingHours : null,
+      slotDuration: turf.slotDuration,
+      availableSlots: turf.availableSlots
+    }
+  });
+});
+
+// @desc    Preview the slot template operating hours would generate, without saving
+// @route   POST /api/turfs/:id/operating-hours/preview
+// @access  Private/Owner
+exports.previewOperatingHours = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const { hours, slotDuration = turf.slotDuration } = readOperatingHours(req.body);
+  const invalid = checkOperatingHours(hours, slotDuration);
+  if (invalid) {
+    return next(new ErrorResponse(invalid, 400));
+  }
+
+  turf.slotDuration = slotDuration;
+  const availableSlots = turf.applyOperatingHours(hours);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      operatingHours: hours,
+      slotDuration,
+      availableSlots
+    }
+  });
+});
+
+// @desc    Set a turf's operating hours and regenerate its weekly slot template.
+//          Upcoming bookings keep their slots; only free slots change.
+// @route   PUT /api/turfs/:id/operating-hours
+// @access  Private/Owner
+exports.updateOperatingHours = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const { hours, slotDuration = turf.slotDuration } = readOperatingHours(req.body);
+  const invalid = checkOperatingHours(hours, slotDuration);
+  if (invalid) {
+    return next(new ErrorResponse(invalid, 400));
+  }
+
+  turf.slotDuration = slotDuration;
+  turf.applyOperatingHours(hours);
+  await turf.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Operating hours updated and slots regenerated',
+    data: {
+      operatingHours: turf.operatingHours,
+      slotDuration: turf.slotDuration,
+      availableSlots: turf.availableSlots
+    }
+  });
+});
+
+// Helper: shape an affected booking for the closure responses
+const affectedBookingSummary = (booking) => ({
+  _id: booking._id,
+  customerId: booking.customerId,
+  bookingDate: booking.bookingDate,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  court: booking.court,
+  status: booking.status,
+  refundAmount: booking.refundAmount,
+  refundStatus: booking.refundStatus
+});
+
+// @desc    Get a turf's closures, maintenance blocks and holidays
+// @route   GET /api/turfs/:id/closures
+// @access  Private/Owner
+exports.getClosures = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  // Past closures are hidden unless asked for
+  const today = nowInZone(turf.getTimeZone()).dateKey;
+  const closures = turf.closures
+    .filter(c => req.query.includePast === 'true' || c.endDate >= today)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  res.status(200).json({
+    success: true,
+    count: closures.length,
+    data: closures
+  });
+});
+
+// @desc    Close a turf for a date range, optionally cancelling and refunding
+//          the bookings inside it and notifying their players
+// @route   POST /api/turfs/:id/closures
+// @access  Private/Owner
+exports.createClosure = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const { startDate, endDate = startDate, startTime, endTime, type, reason } = req.body;
+  const cancelBookings = req.body.cancelBookings === true;
+  const notifyCustomers = req.body.notifyCustomers !== false;
+
+  if (!startDate) {
+    return next(new ErrorResponse('startDate is required', 400));
+  }
+  if (endDate < nowInZone(turf.getTimeZone()).dateKey) {
+    return next(new ErrorResponse('Closure cannot end in the past', 400));
+  }
+
+  turf.closures.push({ startDate, endDate, startTime, endTime, type, reason, createdBy: req.user.id });
+  const closure = turf.closures[turf.closures.length - 1];
+  await turf.save();
+
+  const affected = await closureService.findAffectedBookings(turf, closure);
+  const cancelled = cancelBookings
+    ? await closureService.cancelBookings(turf, closure, affected, req.user.id)
+    : [];
+  if (notifyCustomers) {
+    await closureService.notifyCustomers(turf, closure, affected);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: cancelled.length > 0
+      ? `Closure added and ${cancelled.length} booking(s) cancelled`
+      : 'Closure added',
+    data: {
+      closure,
+      affectedBookings: affected.map(affectedBookingSummary),
+      cancelledCount: cancelled.length,
+      notified: notifyCustomers
+    }
+  });
+});
+
+// @desc    Remove a closure; its slots go back on sale
+// @route   DELETE /api/turfs/:id/closures/:closureId
+// @access  Private/Owner
+exports.deleteClosure = asyncHandler(async (req, res, next) => {
+  const { turf, error } = await findOwnedTurf(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  const closure = turf.closures.id(req.params.closureId);
+  if (!closure) {
+    return next(new ErrorResponse('Closure not found', 404));
+  }
+
+  closure.deleteOne();
+  await turf.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,185 @@
+const Turf = require('../models/Turf');
+const SlotInstance = require('../models/SlotInstance');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { toCalendarDate, zonedDateTime } = require('../utils/timezone');
+const waitlistService = require('../services/waitlistService');
+
+// Helper: load an entry that belongs to the current user
+const findOwnEntry = async (id, userId) => {
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    return { error: new ErrorResponse('Waitlist entry not found', 404) };
+  }
+  if (entry.userId.toString() !== userId) {
+    return { error: new ErrorResponse('Not authorized to manage this waitlist entry', 403) };
+  }
+  return { entry };
+};
+
+// @desc    Join the waitlist for a fully booked slot
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinWaitlist = asyncHandler(async (req, res, next) => {
+  const { turfId, date, startTime, endTime, court } = req.body;
+  const courtType = req.body.courtType === 'half' ? 'half' : 'full';
+
+  if (!turfId || !date || !startTime || !endTime) {
+    return next(new ErrorResponse('turfId, date, startTime and endTime are required', 400));
+  }
+
+  const turf = await Turf.findById(turfId);
+  if (!turf) {
+    return next(new ErrorResponse('Turf not found', 404));
+  }
+
+  const slotDate = toCalendarDate(date, turf.getTimeZone());
+  if (isNaN(slotDate.getTime())) {
+    return next(new ErrorResponse('Invalid date format', 400));
+  }
+
+  const startsAt = zonedDateTime(slotDate, startTime, turf.getTimeZone());
+  if (startsAt <= new Date()) {
+    return next(new ErrorResponse('This slot has already started', 400));
+  }
+
+  const { error } = await SlotInstance.findSlot(turf, slotDate, startTime, endTime, { court, courtType });
+  if (!error) {
+    return next(new ErrorResponse('This slot is still available, book it directly', 400));
+  }
+  if (error !== 'Slot is already booked for this date') {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const dateKey = SlotInstance.toDateKey(slotDate);
+  const existing = await WaitlistEntry.findOne({
+    turfId: turf._id,
+    userId: req.user.id,
+    date: dateKey,
+    startTime,
+    endTime,
+    status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+  });
+  if (existing) {
+    return next(new ErrorResponse('You are already on the waitlist for this slot', 400));
+  }
+
+  const entry = await WaitlistEntry.create({
+    turfId: turf._id,
+    userId: req.user.id,
+    date: dateKey,
+    startTime,
+    endTime,
+    courtType,
+    court
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to the waitlist',
+    data: {
+      ...entry.toObject(),
+      position: await entry.getPosition()
+    }
+  });
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/waitlist/my
+// @access  Private
+exports.getMyWaitlist = asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.all !== 'true') {
+    filter.status = { $in: WaitlistEntry.ACTIVE_STATUSES };
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate('turfId', 'name location sport')
+    .sort({ date: 1, startTime: 1 });
+
+  const data = [];
+  for (const entry of entries) {
+    data.push({ ...entry.toObject(), position: await entry.getPosition() });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Accept a waitlist offer; the held booking must then be paid before the offer expires
+// @route   POST /api/waitlist/:id/accept
+// @access  Private
+exports.acceptOffer = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await findOwnEntry(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  if (entry.status !== 'offered') {
+    return next(new ErrorResponse(`This entry has no open offer (status: ${entry.status})`, 400));
+  }
+  if (entry.offerExpiresAt <= new Date()) {
+    return next(new ErrorResponse('This offer has expired', 400));
+  }
+
+  entry.status = 'accepted';
+  entry.respondedAt = new Date();
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer accepted, complete the payment to confirm the booking',
+    data: {
+      bookingId: entry.bookingId,
+      offerExpiresAt: entry.offerExpiresAt
+    }
+  });
+});
+
+// @desc    Decline a waitlist offer so it goes to the next player
+// @route   POST /api/waitlist/:id/decline
+// @access  Private
+exports.declineOffer = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await findOwnEntry(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  if (!['offered', 'accepted'].includes(entry.status)) {
+    return next(new ErrorResponse(`This entry has no open offer (status: ${entry.status})`, 400));
+  }
+
+  const turf = await Turf.findById(entry.turfId);
+  await waitlistService.withdraw(entry, turf, 'declined');
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer declined'
+  });
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+exports.leaveWaitlist = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await findOwnEntry(req.params.id, req.user.id);
+  if (error) {
+    return next(error);
+  }
+
+  if (!WaitlistEntry.ACTIVE_STATUSES.includes(entry.status)) {
+    return next(new ErrorResponse('This entry is no longer on the waitlist', 400));
+  }
+
+  const turf = await Turf.findById(entry.turfId);
+  await waitlistService.withdraw(entry, turf, 'cancelled');
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from the waitlist'
+  });
+});
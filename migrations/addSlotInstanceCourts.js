@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Turf = require('../models/Turf');
+const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+
+const LEGACY_INDEX = 'turfId_1_date_1_startTime_1_endTime_1';
+
+// Migration script to split slot instances per court. Instances created
+// before courts existed become the first half of the default 'main' court;
+// taken ones get a matching second half so the whole court stays blocked.
+const addSlotInstanceCourts = async () => {
+  try {
+    console.log('Starting slot instance court migration...');
+
+    // Connect to MongoDB if not already connected
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/turfbooking');
+      console.log('Connected to MongoDB');
+    }
+
+    // The old unique index allows only one instance per time range
+    try {
+      await SlotInstance.collection.dropIndex(LEGACY_INDEX);
+      console.log(`Dropped index ${LEGACY_INDEX}`);
+    } catch (error) {
+      console.log(`Index ${LEGACY_INDEX} not found, skipping`);
+    }
+    await SlotInstance.syncIndexes();
+
+    const legacy = await SlotInstance.find({ court: { $exists: false } }).lean();
+    console.log(`Found ${legacy.length} slot instances without a court`);
+
+    // Turfs that already list their courts get their instances regenerated instead
+    const turfIds = [...new Set(legacy.map(i => i.turfId.toString()))];
+    const configured = new Set((await Turf.find({ _id: { $in: turfIds }, 'courts.0': { $exists: true } }).select('_id'))
+      .map(t => t._id.toString()));
+
+    let splitCount = 0;
+    let removedCount = 0;
+
+    for (const instance of legacy) {
+      if (configured.has(instance.turfId.toString()) && instance.status === 'available') {
+        await SlotInstance.deleteOne({ _id: instance._id });
+        removedCount++;
+        continue;
+      }
+
+      await SlotInstance.collection.updateOne(
+        { _id: instance._id },
+        { $set: { court: 'main', unit: 'a' } }
+      );
+
+      if (instance.status !== 'available') {
+        const { _id, ...rest } = instance;
+        await SlotInstance.collection.insertOne({ ...rest, court: 'main', unit: 'b' });
+        await Booking.updateOne({ _id: instance.bookingId, court: { $exists: false } }, { $set: { court: 'main' } });
+      }
+      splitCount++;
+    }
+
+    console.log(`Migration completed. Split ${splitCount} slot instances, removed ${removedCount}.`);
+
+    return {
+      success: true,
+      message: `Migration completed successfully. Split ${splitCount} slot instances.`,
+      splitCount,
+      removedCount
+    };
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  addSlotInstanceCourts
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  addSlotInstanceCourts()
+    .then(() => {
+      console.log('Migration script completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Turf = require('../models/Turf');
+const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const { toCalendarDate, nowInZone } = require('../utils/timezone');
+
+// Migration script to move booked state from the weekly availableSlots
+// template into date-specific slot instances
+const createSlotInstances = async () => {
+  try {
+    console.log('Starting slot instance migration...');
+
+    // Connect to MongoDB if not already connected
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/turfbooking');
+      console.log('Connected to MongoDB');
+    }
+
+    const today = toCalendarDate(nowInZone().dateKey);
+
+    // Only upcoming bookings still hold a slot
+    const bookings = await Booking.find({
+      bookingDate: { $gte: today },
+      status: { $in: ['confirmed', 'pending', 'in_progress'] }
+    });
+
+    console.log(`Found ${bookings.length} upcoming bookings to migrate`);
+
+    const turfCache = new Map();
+    let bookedCount = 0;
+    let skippedCount = 0;
+
+    for (const booking of bookings) {
+      const turfKey = booking.turfId.toString();
+      if (!turfCache.has(turfKey)) {
+        turfCache.set(turfKey, await Turf.findById(booking.turfId));
+      }
+      const turf = turfCache.get(turfKey);
+
+      if (!turf) {
+        skippedCount++;
+        continue;
+      }
+
+      const { instances, court, error } = await SlotInstance.findSlot(turf, booking.bookingDate, booking.startTime, booking.endTime, {
+        courtType: booking.courtType
+      });
+      if (error) {
+        console.log(`Skipped booking ${booking._id}: ${error}`);
+        skippedCount++;
+        continue;
+      }
+
+      await SlotInstance.claimAll(instances, booking._id, booking.customerId);
+      await Booking.updateOne({ _id: booking._id }, { $set: { court: court.key } });
+      bookedCount++;
+    }
+
+    // Drop the legacy per-weekday booking flags from the template
+    for (const day of ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']) {
+      await Turf.collection.updateMany(
+        { [`availableSlots.${day}.slots.0`]: { $exists: true } },
+        {
+          $unset: {
+            [`availableSlots.${day}.slots.$[].isBooked`]: 1,
+            [`availableSlots.${day}.slots.$[].bookedBy`]: 1,
+            [`availableSlots.${day}.slots.$[].bookingDate`]: 1
+          }
+        }
+      );
+    }
+
+    console.log(`Migration completed. Booked ${bookedCount} slot instances, skipped ${skippedCount}.`);
+
+    return {
+      success: true,
+      message: `Migration completed successfully. Booked ${bookedCount} slot instances.`,
+      bookedCount,
+      skippedCount
+    };
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+};
+
+// Function to rollback migration (if needed)
+const rollbackSlotInstances = async () => {
+  try {
+    console.log('Rolling back slot instance migration...');
+
+    const result = await SlotInstance.deleteMany({});
+
+    console.log(`Rollback completed. Removed ${result.deletedCount} slot instances.`);
+
+    return {
+      success: true,
+      message: `Rollback completed successfully. Removed ${result.deletedCount} slot instances.`,
+      deletedCount: result.deletedCount
+    };
+
+  } catch (error) {
+    console.error('Rollback failed:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createSlotInstances,
+  rollbackSlotInstances
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  createSlotInstances()
+    .then(() => {
+      console.log('Migration script completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Turf = require('../models/Turf');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const { DEFAULT_TIMEZONE, toCalendarDate } = require('../utils/timezone');
+
+// Migration script for per-turf timezones. Turfs without a timezone get the
+// default one, and booking dates saved at the server's local midnight are
+// moved to midnight UTC of the same calendar day in the turf's timezone.
+// Bookings also get their turf's timezone copied onto them.
+const normaliseBookingDates = async () => {
+  try {
+    console.log('Starting booking date migration...');
+
+    // Connect to MongoDB if not already connected
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/turfbooking');
+      console.log('Connected to MongoDB');
+    }
+
+    const turfResult = await Turf.updateMany(
+      { timezone: { $exists: false } },
+      { $set: { timezone: DEFAULT_TIMEZONE } }
+    );
+    console.log(`Set the default timezone on ${turfResult.modifiedCount} turfs`);
+
+    const timezones = new Map((await Turf.find().select('timezone').lean())
+      .map(t => [t._id.toString(), t.timezone || DEFAULT_TIMEZONE]));
+
+    let movedCount = 0;
+    let zonedCount = 0;
+
+    const cursor = Booking.find().select('turfId bookingDate timezone').lean().cursor();
+    for await (const booking of cursor) {
+      const timeZone = booking.timezone || timezones.get(String(booking.turfId)) || DEFAULT_TIMEZONE;
+      const calendarDate = toCalendarDate(booking.bookingDate, timeZone);
+
+      const update = {};
+      if (calendarDate.getTime() !== new Date(booking.bookingDate).getTime()) {
+        update.bookingDate = calendarDate;
+        movedCount++;
+      }
+      if (!booking.timezone) {
+        update.timezone = timeZone;
+        zonedCount++;
+      }
+      if (Object.keys(update).length > 0) {
+        // Write directly so price and commission hooks do not run again
+        await Booking.collection.updateOne({ _id: booking._id }, { $set: update });
+      }
+    }
+
+    let seriesCount = 0;
+    for (const series of await BookingSeries.find().select('turfId startDate').lean()) {
+      const timeZone = timezones.get(String(series.turfId)) || DEFAULT_TIMEZONE;
+      const startDate = toCalendarDate(series.startDate, timeZone);
+      if (startDate.getTime() !== new Date(series.startDate).getTime()) {
+        await BookingSeries.collection.updateOne({ _id: series._id }, { $set: { startDate } });
+        seriesCount++;
+      }
+    }
+
+    console.log(`Migration completed. Moved ${movedCount} booking dates, set ${zonedCount} booking timezones, moved ${seriesCount} series start dates.`);
+
+    return {
+      success: true,
+      message: `Migration completed successfully. Moved ${movedCount} booking dates.`,
+      movedCount,
+      zonedCount,
+      seriesCount
+    };
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  normaliseBookingDates
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  normaliseBookingDates()
+    .then(() => {
+      console.log('Migration script completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
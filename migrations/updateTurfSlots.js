@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Turf = require('../models/Turf');
+const { generateTemplate } = require('../utils/slotTemplate');
 
 // Migration script to update existing turfs with proper slot structure
 const updateTurfSlots = async () => {
@@ -23,36 +24,8 @@ const updateTurfSlots = async () => {
     
     console.log(`Found ${turfs.length} turfs to update`);
     
-    // Default slot structure
-    const defaultSlots = {
-      monday: {
-        isOpen: true,
-        slots: [
-          { startTime: '06:00', endTime: '07:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '07:00', endTime: '08:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '08:00', endTime: '09:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '09:00', endTime: '10:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '10:00', endTime: '11:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '11:00', endTime: '12:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '12:00', endTime: '13:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '13:00', endTime: '14:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '14:00', endTime: '15:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '15:00', endTime: '16:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '16:00', endTime: '17:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '17:00', endTime: '18:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '18:00', endTime: '19:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '19:00', endTime: '20:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '20:00', endTime: '21:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null },
-          { startTime: '21:00', endTime: '22:00', price: 0, isBooked: false, bookedBy: null, bookingDate: null }
-        ]
-      }
-    };
-    
-    // Copy the same structure for all days
-    const daysOfWeek = ['tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    daysOfWeek.forEach(day => {
-      defaultSlots[day] = JSON.parse(JSON.stringify(defaultSlots.monday));
-    });
+    // Default opening hours the slot template is generated from
+    const defaultHours = { openTime: '06:00', closeTime: '22:00', bufferMinutes: 0, breaks: [] };
     
     let updatedCount = 0;
     
@@ -60,19 +33,13 @@ const updateTurfSlots = async () => {
     for (const turf of turfs) {
       const updateData = {};
       
-      // Add slot structure if missing
+      // Add slot structure if missing, generated from the default hours
       if (!turf.availableSlots) {
-        // Set default price based on turf's pricePerHour
-        const hourlyPrice = turf.pricePerHour || 500;
-        
-        // Update all slot prices
-        Object.keys(defaultSlots).forEach(day => {
-          defaultSlots[day].slots.forEach(slot => {
-            slot.price = hourlyPrice;
-          });
+        updateData.operatingHours = defaultHours;
+        updateData.availableSlots = generateTemplate(defaultHours, {
+          slotDuration: turf.slotDuration || 60,
+          price: turf.pricePerHour || 500
         });
-        
-        updateData.availableSlots = defaultSlots;
       }
       
       // Add slot duration if missing
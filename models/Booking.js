@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getRefundQuote } = require('../utils/cancellationPolicy');
+const { DEFAULT_TIMEZONE, addDays, toDateKey, zonedDateTime, nowInZone, calendarDayRange } = require('../utils/timezone');
+const { slotLength, crossesMidnight } = require('../utils/slotTemplate');
+const { createCheckInToken } = require('../utils/checkInToken');
+
+// Booking codes are typed in by hand at the desk, so leave out characters
+// that are easy to confuse (0/O, 1/I/L)
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+
+// Minutes before the start that players can check in
+const CHECKIN_OPENS_MINUTES = parseInt(process.env.CHECKIN_OPENS_MINUTES || '60', 10);
 
 const BookingSchema = new mongoose.Schema({
   // Basic booking information
@@ -37,11 +50,15 @@ const BookingSchema = new mongoose.Schema({
     }
   },
   
-  // Booking details
+  // Booking details. bookingDate is the calendar date (midnight UTC) and the
+  // times are wall-clock times in the turf's timezone, copied to `timezone`.
   bookingDate: {
     type: Date,
     required: [true, 'Booking date is required']
   },
+  timezone: {
+    type: String
+  },
   startTime: {
     type: String,
     required: [true, 'Start time is required']
@@ -62,11 +79,66 @@ const BookingSchema = new mongoose.Schema({
     enum: ['full', 'half'],
     default: 'full'
   },
+  // Key of the turf court the booking was allocated
+  court: {
+    type: String
+  },
   pricePerHour: {
     type: Number,
     required: [true, 'Price per hour is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Pricing rule that set pricePerHour when the booking was made
+  pricingRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PricingRule'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    basePrice: Number
+  },
+  sport: {
+    type: String,
+    trim: true
+  },
+  // Court price before the convenience fee
+  baseAmount: {
+    type: Number,
+    min: [0, 'Base amount cannot be negative']
+  },
+  // Player-facing platform fee added to online bookings
+  convenienceFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Convenience fee cannot be negative']
+  },
+  // Platform commission on the court price, taken from the owner's share
+  commissionPercent: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Commission cannot be negative']
+  },
+  // Promo code applied to the court price
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: {
+    type: String,
+    trim: true
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
   totalAmount: {
     type: Number,
     required: false,
@@ -77,9 +149,13 @@ const BookingSchema = new mongoose.Schema({
   // Booking status
   status: {
     type: String,
-    enum: ['confirmed', 'in_progress', 'pending', 'cancelled', 'completed', 'no-show'],
+    enum: ['held', 'confirmed', 'in_progress', 'pending', 'cancelled', 'completed', 'no-show', 'expired'],
     default: 'confirmed'
   },
+  // Slot is reserved until this time while the player completes payment
+  holdExpiresAt: {
+    type: Date
+  },
   
   // Payment information
   paymentStatus: {
@@ -97,7 +173,44 @@ const BookingSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Payment amount cannot be negative']
   },
+  razorpayOrderId: {
+    type: String,
+    index: true
+  },
+  razorpayPaymentId: {
+    type: String
+  },
+  razorpaySignature: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  // Remaining balance collected at the venue after an online advance
+  balancePayment: {
+    amount: {
+      type: Number,
+      min: [0, 'Balance amount cannot be negative']
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'upi']
+    },
+    collectedAt: {
+      type: Date
+    },
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   
+  // Recurring series this booking belongs to (if any)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+
   // Booking type
   bookingType: {
     type: String,
@@ -136,6 +249,94 @@ const BookingSchema = new mongoose.Schema({
     enum: ['none', 'pending', 'processed', 'failed'],
     default: 'none'
   },
+  razorpayRefundId: {
+    type: String,
+    index: true
+  },
+  refundedAt: {
+    type: Date
+  },
+  refundError: {
+    type: String
+  },
+  // Each Razorpay refund behind refundStatus. A booking paid by teammates or
+  // with reschedule charges is refunded as several payments, and the refund
+  // is only processed once all of them are.
+  refunds: [{
+    razorpayRefundId: {
+      type: String,
+      index: true
+    },
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    error: String
+  }],
+
+  // Moves to another slot, oldest first. When the booking was paid online
+  // the price difference is charged or refunded through Razorpay.
+  rescheduleHistory: [{
+    from: {
+      bookingDate: Date,
+      startTime: String,
+      endTime: String,
+      court: String,
+      totalAmount: Number
+    },
+    to: {
+      bookingDate: Date,
+      startTime: String,
+      endTime: String,
+      court: String,
+      totalAmount: Number
+    },
+    // New total minus old total
+    priceDifference: {
+      type: Number,
+      default: 0
+    },
+    settlement: {
+      type: String,
+      enum: ['none', 'charge', 'refund'],
+      default: 'none'
+    },
+    settlementStatus: {
+      type: String,
+      // 'refunded' is a charge paid after the difference was already settled
+      enum: ['none', 'pending', 'paid', 'processed', 'failed', 'refunded'],
+      default: 'none'
+    },
+    settlementAmount: {
+      type: Number,
+      default: 0
+    },
+    razorpayOrderId: {
+      type: String,
+      index: true
+    },
+    razorpayPaymentId: String,
+    razorpayRefundId: {
+      type: String,
+      index: true
+    },
+    // Part of a paid charge given back by a later refund
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    settlementError: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Post-completion email
   reviewEmailSent: {
@@ -143,11 +344,19 @@ const BookingSchema = new mongoose.Schema({
     default: false
   },
 
-  // Verification helpers
+  // Verification helpers. The code is the manual fallback for the signed
+  // QR check-in token.
   bookingCode: {
     type: String,
     index: true
   },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   
   // Timestamps
   createdAt: {
@@ -180,6 +389,8 @@ BookingSchema.index({ status: 1 });
 BookingSchema.index({ paymentStatus: 1 });
 BookingSchema.index({ bookingDate: 1, startTime: 1, endTime: 1 });
 BookingSchema.index({ bookingCode: 1 });
+BookingSchema.index({ status: 1, holdExpiresAt: 1 });
+BookingSchema.index({ seriesId: 1, bookingDate: 1 });
 
 // Virtual for formatted booking time
 BookingSchema.virtual('timeSlot').get(function() {
@@ -188,7 +399,8 @@ BookingSchema.virtual('timeSlot').get(function() {
 
 // Virtual for formatted date
 BookingSchema.virtual('formattedDate').get(function() {
-  return this.bookingDate.toLocaleDateString('en-IN');
+  // Calendar dates are stored at midnight UTC
+  return this.bookingDate.toLocaleDateString('en-IN', { timeZone: 'UTC' });
 });
 
 // Virtual for booking duration in hours
@@ -196,16 +408,18 @@ BookingSchema.virtual('durationHours').get(function() {
   return this.duration / 60;
 });
 
-// QR payload virtual
+// QR payload virtual: the signed check-in token. Bookings are serialised
+// with virtuals everywhere, so a missing signing secret leaves the payload
+// empty instead of failing the whole response.
 BookingSchema.virtual('qrPayload').get(function() {
-  return JSON.stringify({
-    bookingId: this._id?.toString(),
-    bookingCode: this.bookingCode,
-    turfId: this.turfId?.toString(),
-    date: this.bookingDate,
-    startTime: this.startTime,
-    endTime: this.endTime
-  });
+  if (!this.bookingDate || !this.turfId) {
+    return null;
+  }
+  try {
+    return this.getCheckInToken();
+  } catch (error) {
+    return null;
+  }
 });
 
 // Virtual to check if booking has a review
@@ -213,56 +427,86 @@ BookingSchema.virtual('hasReview').get(function() {
   return this.reviews && this.reviews.length > 0;
 });
 
-// Ensure duration and totalAmount are set before validation
-BookingSchema.pre('validate', function(next) {
-  if (this.startTime && this.endTime && this.pricePerHour != null) {
-    const start = new Date(`2000-01-01 ${this.startTime}`);
-    const end = new Date(`2000-01-01 ${this.endTime}`);
-    const minutes = (end - start) / (1000 * 60);
-    this.duration = minutes;
-    const courtFactor = this.courtType === 'half' ? 0.5 : 1;
-    this.totalAmount = ((minutes / 60) * this.pricePerHour) * courtFactor;
+// Ensure duration and totalAmount are set before validation. The discount
+// comes off the court price. Commission and convenience fee are resolved
+// from CommissionRule when the booking is created or its price changes, so
+// later rule changes do not alter existing bookings.
+BookingSchema.pre('validate', async function() {
+  if (!(this.startTime && this.endTime && this.pricePerHour != null)) {
+    return;
   }
-  next();
+
+  this.duration = this.constructor.getDurationMinutes(this.startTime, this.endTime);
+  if (!this.duration) {
+    this.invalidate('endTime', 'End time must differ from the start time');
+    return;
+  }
+  const baseAmount = this.constructor.computeBaseAmount(this);
+  const discount = Math.min(this.discountAmount || 0, baseAmount);
+
+  const priceChanged = ['startTime', 'endTime', 'pricePerHour', 'courtType', 'discountAmount'].some(f => this.isModified(f));
+  if (this.isNew || priceChanged) {
+    const CommissionRule = require('./CommissionRule');
+    if ((!this.sport || !this.timezone) && this.turfId) {
+      const turf = await require('./Turf').findById(this.turfId).select('sport timezone');
+      this.sport = this.sport || turf?.sport;
+      this.timezone = this.timezone || turf?.timezone;
+    }
+
+    const { commissionPercent, convenienceFee } = await CommissionRule.resolveFor({
+      ownerId: this.ownerId,
+      sport: this.sport
+    });
+
+    this.commissionPercent = commissionPercent;
+    this.commissionAmount = Math.round((baseAmount - discount) * commissionPercent) / 100;
+
+    let fee = 0;
+    if (this.bookingType === 'online' && convenienceFee) {
+      fee = convenienceFee.mode === 'percent'
+        ? (baseAmount * convenienceFee.value) / 100
+        : convenienceFee.value;
+    }
+    this.convenienceFee = Math.round(fee * 100) / 100;
+  }
+
+  this.baseAmount = baseAmount;
+  this.totalAmount = baseAmount - discount + (this.convenienceFee || 0);
 });
 
+// Static helper to get the length of a slot in minutes. An end time before
+// the start time is after midnight, so 23:00-01:00 lasts 120 minutes.
+BookingSchema.statics.getDurationMinutes = function(startTime, endTime) {
+  return slotLength(startTime, endTime);
+};
+
+// Static helper to get the court price for a slot before fees and discounts
+BookingSchema.statics.computeBaseAmount = function({ startTime, endTime, pricePerHour, courtType }) {
+  const minutes = this.getDurationMinutes(startTime, endTime);
+  const courtFactor = courtType === 'half' ? 0.5 : 1;
+  return ((minutes / 60) * pricePerHour) * courtFactor;
+};
+
 // Pre-save middleware to update timestamps and generate booking code
 BookingSchema.pre('save', async function(next) {
   this.updatedAt = Date.now();
   if (this.isNew && !this.bookingCode) {
-    // Generate a simple 4-digit numeric code, ensure low-collision by retrying a few times
-    for (let i = 0; i < 5; i++) {
-      const code = String(Math.floor(1000 + Math.random() * 9000));
-      // Check for uniqueness only among upcoming bookings to avoid long scans
-      // eslint-disable-next-line no-await-in-loop
-      const exists = await this.constructor.findOne({ bookingCode: code });
-      if (!exists) {
-        this.bookingCode = code;
-        break;
-      }
-    }
-    // Fallback if still not set
-    if (!this.bookingCode) {
-      this.bookingCode = String(Math.floor(1000 + Math.random() * 9000));
-    }
+    this.bookingCode = this.constructor.generateBookingCode();
   }
   next();
 });
 
+// Static helper to make a random booking code
+BookingSchema.statics.generateBookingCode = function() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+};
+
 // Static method to find bookings by turf
 BookingSchema.statics.findByTurf = function(turfId, options = {}) {
   const query = { turfId };
   
   if (options.date) {
-    const startOfDay = new Date(options.date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(options.date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    query.bookingDate = {
-      $gte: startOfDay,
-      $lte: endOfDay
-    };
+    query.bookingDate = calendarDayRange(options.date);
   }
   
   if (options.status) {
@@ -280,15 +524,7 @@ BookingSchema.statics.findByOwner = function(ownerId, options = {}) {
   const query = { ownerId };
   
   if (options.date) {
-    const startOfDay = new Date(options.date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(options.date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    query.bookingDate = {
-      $gte: startOfDay,
-      $lte: endOfDay
-    };
+    query.bookingDate = calendarDayRange(options.date);
   }
   
   if (options.status) {
@@ -302,9 +538,46 @@ BookingSchema.statics.findByOwner = function(ownerId, options = {}) {
   return this.find(query)
     .populate('turfId', 'name location sport')
     .populate('customerId', 'name email phone')
+    .populate('seriesId', 'frequency startDate endDate startTime endTime status')
     .sort({ bookingDate: 1, startTime: 1 });
 };
 
+// Static helper to match a phone number however it was typed: the last ten
+// digits must match, with any spaces, dashes or brackets between them
+BookingSchema.statics.phonePattern = function(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  return digits ? new RegExp(`${digits.split('').join('\\D*')}$`) : null;
+};
+
+// Static method to list an owner's customers, app users and desk customers
+// alike, with their booking totals. Customers are told apart by their account
+// or, for offline bookings, by phone number. options: { phone } to look up
+// customers by phone.
+BookingSchema.statics.findOwnerCustomers = function(ownerId, options = {}) {
+  const match = { ownerId: new mongoose.Types.ObjectId(String(ownerId)), status: { $ne: 'expired' } };
+  if (options.phone) {
+    match['customerInfo.phone'] = this.phonePattern(options.phone);
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { bookingDate: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$customerId', '$customerInfo.phone'] },
+        customerId: { $first: '$customerId' },
+        name: { $first: '$customerInfo.name' },
+        phone: { $first: '$customerInfo.phone' },
+        email: { $first: '$customerInfo.email' },
+        totalBookings: { $sum: 1 },
+        totalSpent: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, '$totalAmount'] } },
+        lastBooking: { $first: '$bookingDate' }
+      }
+    },
+    { $sort: { totalSpent: -1 } }
+  ]);
+};
+
 // Static method to find bookings by customer
 BookingSchema.statics.findByCustomer = function(customerId, options = {}) {
   const query = { customerId };
@@ -324,27 +597,93 @@ BookingSchema.statics.findByCustomer = function(customerId, options = {}) {
     .sort({ bookingDate: -1 });
 };
 
-// Instance method to check if booking can be cancelled
-BookingSchema.methods.canBeCancelled = function() {
-  if (this.status === 'cancelled' || this.status === 'completed') {
-    return false;
+// Instance method to get the timezone the booking's times are in
+BookingSchema.methods.getTimeZone = function() {
+  return this.timezone || this.turfId?.timezone || DEFAULT_TIMEZONE;
+};
+
+// Instance method to get the booking start as a Date
+BookingSchema.methods.getStartDateTime = function() {
+  return zonedDateTime(this.bookingDate, this.startTime, this.getTimeZone());
+};
+
+// Instance method to get the booking end as a Date. Slots that cross
+// midnight end on the day after the booking date.
+BookingSchema.methods.getEndDateTime = function() {
+  const endDate = crossesMidnight(this.startTime, this.endTime)
+    ? addDays(toDateKey(this.bookingDate, this.getTimeZone()), 1)
+    : this.bookingDate;
+  return zonedDateTime(endDate, this.endTime, this.getTimeZone());
+};
+
+// Instance method to get the signed token encoded in the booking's QR code
+BookingSchema.methods.getCheckInToken = function() {
+  return createCheckInToken({
+    bookingId: this._id,
+    turfId: this.turfId?._id || this.turfId,
+    dateKey: toDateKey(this.bookingDate, this.getTimeZone()),
+    endsAt: this.getEndDateTime()
+  });
+};
+
+// Instance method to explain why the booking cannot be checked in now, or
+// null when it can
+BookingSchema.methods.getCheckInError = function(now = new Date()) {
+  if (['cancelled', 'expired', 'no-show'].includes(this.status)) {
+    return `This booking is ${this.status}`;
   }
-  
-  // Check if booking is at least 2 hours in the future
-  const bookingDateTime = new Date(this.bookingDate);
-  const [hours, minutes] = this.startTime.split(':');
-  bookingDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  
-  const now = new Date();
-  const timeDiff = bookingDateTime - now;
-  const hoursDiff = timeDiff / (1000 * 60 * 60);
-  
-  return hoursDiff >= 2;
+  if (this.status === 'held') {
+    return 'This booking has not been paid for yet';
+  }
+  // Bookings also go in_progress on their own once they start, so only
+  // checkedInAt says the player has been at the desk
+  if (this.checkedInAt) {
+    const at = this.checkedInAt.toLocaleTimeString('en-GB', { timeZone: this.getTimeZone(), hour: '2-digit', minute: '2-digit' });
+    return `This booking was already checked in at ${at}`;
+  }
+  if (this.status === 'completed') {
+    return 'This booking has already ended';
+  }
+
+  const opensAt = new Date(this.getStartDateTime().getTime() - CHECKIN_OPENS_MINUTES * 60 * 1000);
+  if (now < opensAt) {
+    const day = nowInZone(this.getTimeZone(), opensAt).dateKey;
+    const time = opensAt.toLocaleTimeString('en-GB', { timeZone: this.getTimeZone(), hour: '2-digit', minute: '2-digit' });
+    return `Too early to check in; check-in opens at ${time} on ${day}`;
+  }
+  if (now >= this.getEndDateTime()) {
+    return 'This booking has already ended';
+  }
+  return null;
+};
+
+// Instance method to quote the refund for cancelling now under a turf's policy
+// tiers. Owner cancellations always refund in full and ignore the cutoff.
+BookingSchema.methods.getCancellationQuote = function(tiers, options = {}) {
+  const paidAmount = ['paid', 'partial'].includes(this.paymentStatus) ? (this.paymentAmount || 0) : 0;
+
+  if (['cancelled', 'completed', 'expired'].includes(this.status)) {
+    return { canCancel: false, hoursUntilStart: null, refundPercent: 0, refundAmount: 0, penalty: 0, tier: null };
+  }
+
+  const hoursUntilStart = (this.getStartDateTime() - new Date()) / (1000 * 60 * 60);
+
+  if (options.byOwner) {
+    return { canCancel: true, hoursUntilStart, refundPercent: 100, refundAmount: paidAmount, penalty: 0, tier: null };
+  }
+
+  return getRefundQuote(tiers, hoursUntilStart, paidAmount);
 };
 
-// Instance method to cancel booking
-BookingSchema.methods.cancelBooking = function(cancelledBy, reason) {
-  if (!this.canBeCancelled()) {
+// Instance method to check if booking can be cancelled
+BookingSchema.methods.canBeCancelled = function(tiers, options = {}) {
+  return this.getCancellationQuote(tiers, options).canCancel;
+};
+
+// Instance method to cancel booking and record the refund owed
+BookingSchema.methods.cancelBooking = async function(cancelledBy, reason, options = {}) {
+  const quote = this.getCancellationQuote(options.tiers, options);
+  if (!quote.canCancel) {
     throw new Error('Booking cannot be cancelled');
   }
   
@@ -352,7 +691,187 @@ BookingSchema.methods.cancelBooking = function(cancelledBy, reason) {
   this.cancellationReason = reason;
   this.cancelledAt = new Date();
   this.cancelledBy = cancelledBy;
+  this.refundAmount = quote.refundAmount;
+  this.refundStatus = quote.refundAmount > 0 ? 'pending' : 'none';
   
+  await this.save();
+
+  // Give the coupon use back once none of its bookings are going ahead
+  if (this.couponId) {
+    await require('./Coupon').releaseForBookings([this._id]);
+  }
+
+  return this;
+};
+
+// Instance method to promote a payment hold to a confirmed booking.
+// Returns false when the booking was cancelled, or the hold lapsed and the
+// slot has since been taken; the payment then has to be refunded.
+BookingSchema.methods.confirmHold = async function() {
+  const SlotInstance = require('./SlotInstance');
+
+  if (this.status === 'cancelled') {
+    // Cancelled while the payment was in flight; its slot is already released
+    return false;
+  }
+
+  if (this.status === 'expired') {
+    // The hold lapsed before payment arrived; take the slot back if it is still free
+    const held = await SlotInstance.countDocuments({ bookingId: this._id });
+    if (held > 0) {
+      await SlotInstance.confirmForBookings([this._id]);
+    } else {
+      const turf = await require('./Turf').findById(this.turfId);
+      if (!turf) {
+        return false;
+      }
+
+      const { instances, court, error } = await SlotInstance.findSlot(turf, this.bookingDate, this.startTime, this.endTime, {
+        court: this.court,
+        courtType: this.courtType
+      });
+      if (error) {
+        return false;
+      }
+
+      try {
+        await SlotInstance.claimAll(instances, this._id, this.customerId);
+      } catch (e) {
+        return false;
+      }
+      this.court = court.key;
+    }
+  } else if (this.status !== 'held') {
+    return true;
+  } else {
+    await SlotInstance.confirmForBookings([this._id]);
+  }
+
+  this.status = 'confirmed';
+  this.holdExpiresAt = undefined;
+  await this.save();
+
+  return true;
+};
+
+// Static method to expire payment holds that have lapsed and free their slots.
+// Resolves to the expired bookings, so their slots can go to the waitlist.
+BookingSchema.statics.releaseExpiredHolds = async function(filter = {}) {
+  const SlotInstance = require('./SlotInstance');
+  const Match = require('./Match');
+
+  const lapsed = await this.find({
+    ...filter,
+    status: 'held',
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id turfId bookingDate startTime endTime');
+
+  if (lapsed.length === 0) {
+    return [];
+  }
+
+  const ids = lapsed.map(b => b._id);
+
+  // Re-check the status so a payment confirmed in the meantime is not expired
+  await this.updateMany(
+    { _id: { $in: ids }, status: 'held' },
+    { $set: { status: 'expired', cancellationReason: 'Payment hold expired', cancelledAt: new Date() } }
+  );
+  const expired = await this.find({ _id: { $in: ids }, status: 'expired' }).distinct('_id');
+
+  await SlotInstance.releaseForBookings(expired);
+  await Match.updateMany({ bookingId: { $in: expired } }, { $set: { status: 'cancelled' } });
+  await require('./Coupon').releaseForBookings(expired);
+
+  const expiredIds = new Set(expired.map(String));
+  return lapsed.filter(b => expiredIds.has(String(b._id)));
+};
+
+// Instance method to get the price breakdown charged for this booking.
+// Amounts are in rupees rounded to the paisa.
+BookingSchema.methods.getPriceBreakdown = function() {
+  const fees = Math.round((this.convenienceFee || 0) * 100) / 100;
+  const discount = Math.round((this.discountAmount || 0) * 100) / 100;
+  const base = this.baseAmount != null ? this.baseAmount : (this.totalAmount || 0) - fees + discount;
+  const subtotal = Math.round(base * 100) / 100;
+
+  return {
+    subtotal,
+    discount,
+    fees,
+    total: Math.round((subtotal - discount + fees) * 100) / 100
+  };
+};
+
+// Instance method to get the payment status after paying paymentAmount online.
+// Anything short of the full price is an advance, leaving a balance for the venue.
+BookingSchema.methods.getOnlinePaymentStatus = function() {
+  const paidPaise = Math.round((this.paymentAmount || 0) * 100);
+  const totalPaise = Math.round(this.getPriceBreakdown().total * 100);
+  return paidPaise < totalPaise ? 'partial' : 'paid';
+};
+
+// Static method to record a Razorpay payment id on the paid bookings of an
+// order that were marked paid without one, e.g. by an order.paid webhook that
+// arrived first. Resolves to the bookings that were filled in.
+BookingSchema.statics.fillMissingPaymentId = async function(orderId, paymentId) {
+  if (!orderId || !paymentId) {
+    return [];
+  }
+
+  const missing = {
+    razorpayOrderId: orderId,
+    paymentStatus: { $in: ['paid', 'partial'] },
+    razorpayPaymentId: { $in: [null, ''] }
+  };
+  const bookings = await this.find(missing);
+
+  const filled = [];
+  for (const booking of bookings) {
+    // Conditional so a concurrent webhook and reconciliation fill it once
+    const result = await this.updateOne({ ...missing, _id: booking._id }, { $set: { razorpayPaymentId: paymentId } });
+    if (result.modifiedCount > 0) {
+      booking.razorpayPaymentId = paymentId;
+      filled.push(booking);
+    }
+  }
+  return filled;
+};
+
+// Instance method to get the reschedule charges that were paid online
+BookingSchema.methods.getPaidRescheduleCharges = function() {
+  return (this.rescheduleHistory || []).filter(change =>
+    change.settlement === 'charge' && change.settlementStatus === 'paid'
+  );
+};
+
+// Instance method to get the amount still to be collected at the venue
+BookingSchema.methods.getBalanceDue = function() {
+  if (['paid', 'refunded'].includes(this.paymentStatus) || ['cancelled', 'expired'].includes(this.status)) {
+    return 0;
+  }
+
+  const paidOnline = this.paymentStatus === 'partial' ? (this.paymentAmount || 0) : 0;
+  const collected = this.balancePayment?.amount || 0;
+  const due = this.getPriceBreakdown().total - paidOnline - collected;
+  return Math.max(0, Math.round(due * 100) / 100);
+};
+
+// Instance method to record the balance collected at the venue
+BookingSchema.methods.settleBalance = function(method, collectedBy) {
+  const due = this.getBalanceDue();
+  if (due <= 0) {
+    throw new Error('No balance is due for this booking');
+  }
+
+  this.balancePayment = {
+    amount: (this.balancePayment?.amount || 0) + due,
+    method,
+    collectedAt: new Date(),
+    collectedBy
+  };
+  this.paymentStatus = 'paid';
+
   return this.save();
 };
 
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { toCalendarDate, addDays } = require('../utils/timezone');
+
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+// Upper bound on occurrences generated for one series
+const MAX_OCCURRENCES = 52;
+
+const BookingSeriesSchema = new mongoose.Schema({
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf',
+    required: [true, 'Turf ID is required']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer ID is required']
+  },
+  customerInfo: {
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true }
+  },
+
+  // Recurrence rule
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_DAYS),
+    default: 'weekly'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  occurrences: {
+    type: Number,
+    min: [1, 'Series must have at least one occurrence'],
+    max: [MAX_OCCURRENCES, `Series cannot have more than ${MAX_OCCURRENCES} occurrences`]
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  courtType: {
+    type: String,
+    enum: ['full', 'half'],
+    default: 'full'
+  },
+  // Court requested for every occurrence (any free court when unset)
+  court: {
+    type: String
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'online'],
+    default: 'cash'
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+BookingSeriesSchema.index({ customerId: 1, createdAt: -1 });
+BookingSeriesSchema.index({ ownerId: 1, status: 1 });
+
+// Virtual populate for the bookings created by this series
+BookingSeriesSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'seriesId',
+  justOne: false
+});
+
+// Virtual for formatted recurrence
+BookingSeriesSchema.virtual('summary').get(function() {
+  return `${this.frequency} ${this.startTime} - ${this.endTime}`;
+});
+
+// Static method to expand a recurrence rule into occurrence dates (calendar
+// dates in the turf's timezone). Requires either an end date or an occurrence
+// count; capped at MAX_OCCURRENCES.
+BookingSeriesSchema.statics.generateDates = function({ startDate, frequency = 'weekly', endDate, occurrences, timeZone }) {
+  const step = FREQUENCY_DAYS[frequency];
+  if (!step) {
+    throw new Error(`Frequency must be one of: ${Object.keys(FREQUENCY_DAYS).join(', ')}`);
+  }
+  if (!endDate && !occurrences) {
+    throw new Error('Either endDate or occurrences is required');
+  }
+
+  const start = toCalendarDate(startDate, timeZone);
+  const end = endDate ? toCalendarDate(endDate, timeZone) : null;
+  if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+    throw new Error('Invalid date format');
+  }
+  if (end && end < start) {
+    throw new Error('endDate cannot be before startDate');
+  }
+
+  const limit = Math.min(occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+  for (let i = 0; i < limit; i++) {
+    const d = toCalendarDate(addDays(start, i * step));
+    if (end && d > end) {
+      break;
+    }
+    dates.push(d);
+  }
+
+  return dates;
+};
+
+module.exports = mongoose.model('BookingSeries', BookingSeriesSchema);
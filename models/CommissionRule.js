@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Used when no global rule has been configured yet
+const DEFAULT_COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '0');
+
+// What the platform earns on a booking. A rule with neither ownerId nor sport
+// is the global default; ownerId and/or sport make it an override. When
+// several rules match, the most specific one wins (owner + sport, then owner,
+// then sport, then global). A field left unset on a rule falls through to the
+// next matching rule.
+const CommissionRuleSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sport: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Share of the court price kept by the platform
+  commissionPercent: {
+    type: Number,
+    min: [0, 'Commission cannot be negative'],
+    max: [100, 'Commission cannot be more than 100%']
+  },
+  // Fee added on top of the court price for online player bookings
+  convenienceFee: {
+    mode: {
+      type: String,
+      enum: ['fixed', 'percent']
+    },
+    value: {
+      type: Number,
+      min: [0, 'Convenience fee cannot be negative']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// At most one rule per scope
+CommissionRuleSchema.index({ ownerId: 1, sport: 1 }, { unique: true });
+
+// Virtual for the scope the rule applies to
+CommissionRuleSchema.virtual('scope').get(function() {
+  if (this.ownerId && this.sport) return 'owner_sport';
+  if (this.ownerId) return 'owner';
+  if (this.sport) return 'sport';
+  return 'global';
+});
+
+const SCOPE_PRIORITY = { owner_sport: 0, owner: 1, sport: 2, global: 3 };
+
+// Static method to resolve the commission and convenience fee for a booking
+CommissionRuleSchema.statics.resolveFor = async function({ ownerId, sport }) {
+  const rules = await this.find({
+    isActive: true,
+    ownerId: { $in: [null, ownerId].filter(v => v !== undefined) },
+    sport: { $in: [null, sport].filter(v => v !== undefined) }
+  });
+  rules.sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope]);
+
+  const commissionRule = rules.find(r => r.commissionPercent != null);
+  const feeRule = rules.find(r => r.convenienceFee?.mode);
+
+  return {
+    commissionPercent: commissionRule ? commissionRule.commissionPercent : DEFAULT_COMMISSION_PERCENT,
+    convenienceFee: feeRule ? { mode: feeRule.convenienceFee.mode, value: feeRule.convenienceFee.value || 0 } : null
+  };
+};
+
+module.exports = mongoose.model('CommissionRule', CommissionRuleSchema);
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const CouponRedemption = require('./CouponRedemption');
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Code must be 3-20 letters, digits, _ or -']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percent' || value <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100'
+    }
+  },
+  // Smallest court price the coupon can be used on
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  // Cap on the discount for percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Total redemptions allowed across all users (unset = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty means every turf / sport
+  turfIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf'
+  }],
+  sports: [{
+    type: String,
+    trim: true
+  }],
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find an active coupon by its code
+CouponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase(), isActive: true });
+};
+
+// Instance method to work out the discount on an amount (no eligibility checks)
+CouponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percent'
+    ? (amount * this.discountValue) / 100
+    : this.discountValue;
+  if (this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Static helper to spread a discount over several bookings in proportion to
+// their court price. The last booking takes the rounding remainder.
+CouponSchema.statics.splitDiscount = function(discount, amounts) {
+  const total = amounts.reduce((sum, a) => sum + a, 0);
+  let remaining = discount;
+  return amounts.map((amount, i) => {
+    if (i === amounts.length - 1) {
+      return Math.round(remaining * 100) / 100;
+    }
+    const share = total > 0 ? Math.round((discount * amount / total) * 100) / 100 : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+// Instance method to check whether a user may use the coupon on a turf for a
+// given court price. Returns { discount } or { error }. Bookings being paid for
+// right now can be passed as excludeBookingIds so they do not count as earlier
+// bookings for first-booking-only coupons.
+CouponSchema.methods.checkEligibility = async function({ userId, turf, amount, excludeBookingIds = [] }) {
+  const now = new Date();
+  if (this.validFrom && this.validFrom > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (this.validUntil && this.validUntil < now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (this.usageLimit != null && this.usedCount >= this.usageLimit) {
+    return { error: 'This coupon has been fully redeemed' };
+  }
+  if (this.turfIds.length > 0 && !this.turfIds.some(id => id.toString() === turf._id.toString())) {
+    return { error: 'This coupon is not valid for this turf' };
+  }
+  if (this.sports.length > 0 && !this.sports.some(s => s.toLowerCase() === (turf.sport || '').toLowerCase())) {
+    return { error: `This coupon is only valid for ${this.sports.join(', ')}` };
+  }
+  if (amount < this.minAmount) {
+    return { error: `This coupon needs a minimum booking amount of ${this.minAmount} INR` };
+  }
+
+  const used = await CouponRedemption.countDocuments({ couponId: this._id, userId, status: 'active' });
+  if (used >= this.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  if (this.firstBookingOnly) {
+    const Booking = mongoose.model('Booking');
+    const previous = await Booking.exists({
+      _id: { $nin: excludeBookingIds },
+      customerId: userId,
+      status: { $nin: ['cancelled', 'expired'] }
+    });
+    if (previous) {
+      return { error: 'This coupon is only valid on your first booking' };
+    }
+  }
+
+  return { discount: this.calculateDiscount(amount) };
+};
+
+// Instance method to take one use of the coupon. The global cap is enforced
+// atomically; returns the redemption, or null if the coupon ran out.
+CouponSchema.methods.redeem = async function(userId, bookingIds, discountAmount) {
+  const filter = { _id: this._id, isActive: true };
+  if (this.usageLimit != null) {
+    filter.usedCount = { $lt: this.usageLimit };
+  }
+
+  const claimed = await this.constructor.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+  if (!claimed) {
+    return null;
+  }
+
+  return CouponRedemption.create({ couponId: this._id, userId, bookingIds, discountAmount });
+};
+
+// Static method to give back coupon uses whose bookings were all cancelled or expired
+CouponSchema.statics.releaseForBookings = async function(bookingIds) {
+  const Booking = mongoose.model('Booking');
+  const redemptions = await CouponRedemption.find({ bookingIds: { $in: bookingIds }, status: 'active' });
+
+  for (const redemption of redemptions) {
+    const live = await Booking.exists({
+      _id: { $in: redemption.bookingIds },
+      status: { $nin: ['cancelled', 'expired'] }
+    });
+    if (live) {
+      continue;
+    }
+
+    const released = await CouponRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'active' },
+      { $set: { status: 'released' } }
+    );
+    if (released) {
+      await this.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+    }
+  }
+};
+
+// Static method to drop a redemption that never went through (booking creation failed)
+CouponSchema.statics.cancelRedemption = async function(redemption) {
+  await CouponRedemption.deleteOne({ _id: redemption._id });
+  await this.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One redemption of a coupon by a user, covering the bookings it was applied to
+const CouponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Released when every booking it covered was cancelled or expired
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+CouponRedemptionSchema.index({ bookingIds: 1 });
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
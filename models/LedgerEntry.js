@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One movement of money on an owner's account. Amounts are signed from the
+// owner's point of view: online payments are credits; refunds, commission,
+// convenience fees and payouts are debits. An owner's balance is the sum of
+// their entries.
+const LedgerEntrySchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf'
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  type: {
+    type: String,
+    enum: ['booking_payment', 'refund', 'commission', 'commission_reversal', 'convenience_fee', 'convenience_fee_reversal', 'payout'],
+    required: [true, 'Entry type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Razorpay payment/refund id or payout reference
+  reference: {
+    type: String
+  },
+  // Identifies the event that created the entry so it is only recorded once
+  sourceKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Payout batch the entry was settled in
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+LedgerEntrySchema.index({ ownerId: 1, occurredAt: -1 });
+LedgerEntrySchema.index({ ownerId: 1, payoutBatchId: 1 });
+LedgerEntrySchema.index({ bookingId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// A delivery still marked processing after this long is assumed to have
+// crashed mid-way and may be picked up again by a Razorpay retry
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// One Razorpay webhook event, keyed by the event id Razorpay sends in the
+// x-razorpay-event-id header. Retries of the same event find the existing
+// record instead of being processed twice.
+const PaymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  orderId: {
+    type: String
+  },
+  paymentId: {
+    type: String
+  },
+  refundId: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  result: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PaymentEventSchema.index({ createdAt: -1 });
+PaymentEventSchema.index({ status: 1, createdAt: -1 });
+PaymentEventSchema.index({ orderId: 1 });
+
+// Static method to claim an event for processing. Returns { event, duplicate };
+// duplicate is true when the event was already handled or is being handled.
+PaymentEventSchema.statics.claim = async function(eventId, fields) {
+  try {
+    const event = await this.create({ eventId, ...fields, status: 'processing' });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Seen before: only a failed or abandoned attempt is processed again
+  const retried = await this.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (retried) {
+    return { event: retried, duplicate: false };
+  }
+
+  const event = await this.findOneAndUpdate({ eventId }, { $inc: { duplicates: 1 } }, { new: true });
+  return { event, duplicate: true };
+};
+
+// Instance method to record the outcome of processing
+PaymentEventSchema.methods.markDone = function(status, result) {
+  this.status = status;
+  this.result = result;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record a processing failure
+PaymentEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  return this.save();
+};
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Phone numbers are matched on their last 10 digits
+const normalisePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// A booking's fee shared between teammates. Each participant pays their own
+// Razorpay order; the held booking is confirmed once every share is paid or
+// the organiser covers whatever is left before the hold runs out.
+const PaymentSplitSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking ID is required']
+  },
+  organiserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Organiser is required']
+  },
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf'
+  },
+  mode: {
+    type: String,
+    enum: ['even', 'custom'],
+    default: 'even'
+  },
+  // Booking total being collected, in rupees
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative']
+  },
+  // Secret part of the share link
+  shareToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(12).toString('hex')
+  },
+  participants: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    phone: {
+      type: String
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    isOrganiser: {
+      type: Boolean,
+      default: false
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Share amount is required'],
+      min: [0, 'Share amount cannot be negative']
+    },
+    // 'covered' shares were paid by the organiser instead
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'covered', 'refunded'],
+      default: 'pending'
+    },
+    razorpayOrderId: {
+      type: String,
+      index: true
+    },
+    razorpayPaymentId: String,
+    paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    razorpayRefundId: String
+  }],
+  // The organiser paying off the unpaid shares in one go
+  cover: {
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'refunded']
+    },
+    razorpayOrderId: {
+      type: String,
+      index: true
+    },
+    razorpayPaymentId: String,
+    paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    razorpayRefundId: String
+  },
+  status: {
+    type: String,
+    enum: ['collecting', 'completed', 'expired', 'cancelled'],
+    default: 'collecting'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSplitSchema.index({ bookingId: 1, status: 1 });
+PaymentSplitSchema.index({ 'participants.userId': 1, status: 1 });
+
+// Shares must add up to the amount being collected
+PaymentSplitSchema.pre('validate', function(next) {
+  const paise = this.participants.reduce((sum, p) => sum + Math.round(p.amount * 100), 0);
+  if (paise !== Math.round(this.totalAmount * 100)) {
+    this.invalidate('participants', `Shares add up to ${paise / 100} but the booking total is ${this.totalAmount}`);
+  }
+  next();
+});
+
+PaymentSplitSchema.statics.normalisePhone = normalisePhone;
+
+// Static helper to divide an amount into n shares that differ by at most a
+// paisa; the first shares take the leftover paise
+PaymentSplitSchema.statics.splitEvenly = function(total, count) {
+  const paise = Math.round(total * 100);
+  const base = Math.floor(paise / count);
+  return Array.from({ length: count }, (_, i) => (base + (i < paise - base * count ? 1 : 0)) / 100);
+};
+
+// Static method to find the split and the share or cover paid by a Razorpay order
+PaymentSplitSchema.statics.findByOrderId = async function(orderId) {
+  const split = await this.findOne({
+    $or: [{ 'participants.razorpayOrderId': orderId }, { 'cover.razorpayOrderId': orderId }]
+  });
+  if (!split) {
+    return null;
+  }
+
+  const participant = split.participants.find(p => p.razorpayOrderId === orderId);
+  return { split, participant, isCover: !participant };
+};
+
+// Instance method to find the share a user holds in the split
+PaymentSplitSchema.methods.findParticipant = function(user) {
+  const userId = (user._id || user.id).toString();
+  return this.participants.find(p => p.userId?.toString() === userId);
+};
+
+// Instance method to get what has been paid online and kept so far, in rupees
+PaymentSplitSchema.methods.getPaidAmount = function() {
+  const paid = this.getPayments().reduce((sum, p) => sum + p.refundable, 0);
+  return Math.round(paid * 100) / 100;
+};
+
+// Instance method to get the shares still waiting for payment
+PaymentSplitSchema.methods.getUnpaidShares = function() {
+  return this.participants.filter(p => p.status === 'pending');
+};
+
+// Instance method to get every captured payment on the split with the part
+// of it not yet refunded
+PaymentSplitSchema.methods.getPayments = function() {
+  const entries = this.participants.filter(p => p.status === 'paid');
+  if (this.cover?.status === 'paid') {
+    entries.push(this.cover);
+  }
+  return entries
+    .filter(entry => entry.razorpayPaymentId)
+    .map(entry => ({
+      entry,
+      paymentId: entry.razorpayPaymentId,
+      refundable: Math.round((entry.amount - (entry.refundedAmount || 0)) * 100) / 100
+    }));
+};
+
+// Instance method to get the link teammates open to join the split
+PaymentSplitSchema.methods.getShareUrl = function() {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/split/${this.shareToken}`;
+};
+
+module.exports = mongoose.model('PaymentSplit', PaymentSplitSchema);
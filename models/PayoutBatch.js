@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A transfer to an owner covering all of their unsettled ledger entries up
+// to periodEnd. Money moves outside the platform; admins mark it settled.
+const PayoutBatchSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date,
+    required: [true, 'Period end is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Payout amount cannot be negative']
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled', 'cancelled'],
+    default: 'pending'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank transfer / UPI reference recorded when settled
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  settledAt: {
+    type: Date
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PayoutBatchSchema.index({ ownerId: 1, createdAt: -1 });
+PayoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema);
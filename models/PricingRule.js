@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const { zonedDateTime } = require('../utils/timezone');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// When several rules match a slot the highest priority wins; on a tie the
+// more specific kind of rule wins. Rules never stack.
+const TYPE_PRECEDENCE = ['holiday', 'last_minute', 'demand', 'peak', 'off_peak', 'weekend'];
+
+// An owner's rule for adjusting the template price of a turf's slots
+const PricingRuleSchema = new mongoose.Schema({
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf',
+    required: [true, 'Turf ID is required']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: TYPE_PRECEDENCE,
+    required: [true, 'Rule type is required']
+  },
+  // Weekdays the rule applies on (empty = every day; weekend rules default to Sat/Sun)
+  days: [{
+    type: String,
+    enum: DAYS
+  }],
+  // Peak/off-peak window, matched against the slot start time
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be in HH:MM format']
+  },
+  // Holiday dates in YYYY-MM-DD form
+  dates: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  }],
+  // Last-minute rules apply to slots starting within this many hours
+  hoursBefore: {
+    type: Number,
+    min: [0, 'Hours before cannot be negative']
+  },
+  // Demand rules apply once this share (%) of the day's slots is taken
+  minOccupancy: {
+    type: Number,
+    min: [0, 'Occupancy cannot be negative'],
+    max: [100, 'Occupancy cannot be more than 100%']
+  },
+  // percent: +/- % of the template price, flat: +/- amount, fixed: replaces the price
+  adjustmentType: {
+    type: String,
+    enum: ['percent', 'flat', 'fixed'],
+    required: [true, 'Adjustment type is required']
+  },
+  adjustmentValue: {
+    type: Number,
+    required: [true, 'Adjustment value is required'],
+    validate: {
+      validator: function(value) {
+        if (this.adjustmentType === 'percent') return value >= -100;
+        if (this.adjustmentType === 'fixed') return value >= 0;
+        return true;
+      },
+      message: 'Percentage cannot be below -100 and fixed prices cannot be negative'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Rules created from an analytics suggestion keep it for reference
+  source: {
+    type: String,
+    enum: ['manual', 'suggestion'],
+    default: 'manual'
+  },
+  suggestion: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PricingRuleSchema.index({ turfId: 1, isActive: 1 });
+
+// Check that each kind of rule has the condition it needs
+PricingRuleSchema.pre('validate', function(next) {
+  if ((this.type === 'peak' || this.type === 'off_peak') && !(this.startTime && this.endTime)) {
+    this.invalidate('startTime', 'Peak and off-peak rules need a startTime and endTime');
+  }
+  if (this.type === 'holiday' && this.dates.length === 0) {
+    this.invalidate('dates', 'Holiday rules need at least one date');
+  }
+  if (this.type === 'last_minute' && this.hoursBefore == null) {
+    this.invalidate('hoursBefore', 'Last-minute rules need hoursBefore');
+  }
+  if (this.type === 'demand' && this.minOccupancy == null) {
+    this.invalidate('minOccupancy', 'Demand rules need minOccupancy');
+  }
+  next();
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Instance method to check whether the rule applies to a slot.
+// context: { date (YYYY-MM-DD), day, startTime, startsAt (Date), now (Date), occupancy (%) }
+PricingRuleSchema.methods.matches = function(context) {
+  const days = this.days.length > 0
+    ? this.days
+    : (this.type === 'weekend' ? ['saturday', 'sunday'] : DAYS);
+  if (!days.includes(context.day)) {
+    return false;
+  }
+
+  switch (this.type) {
+    case 'peak':
+    case 'off_peak': {
+      const start = toMinutes(this.startTime);
+      const end = toMinutes(this.endTime);
+      const slot = toMinutes(context.startTime);
+      // A window such as 22:00-02:00 wraps past midnight
+      return start <= end ? slot >= start && slot < end : slot >= start || slot < end;
+    }
+    case 'weekend':
+      return true;
+    case 'holiday':
+      return this.dates.includes(context.date);
+    case 'last_minute': {
+      const hoursLeft = (context.startsAt - context.now) / (1000 * 60 * 60);
+      return hoursLeft >= 0 && hoursLeft <= this.hoursBefore;
+    }
+    case 'demand':
+      return context.occupancy >= this.minOccupancy;
+    default:
+      return false;
+  }
+};
+
+// Instance method to apply the rule's adjustment to a price
+PricingRuleSchema.methods.apply = function(price) {
+  let adjusted;
+  if (this.adjustmentType === 'fixed') {
+    adjusted = this.adjustmentValue;
+  } else if (this.adjustmentType === 'flat') {
+    adjusted = price + this.adjustmentValue;
+  } else {
+    adjusted = price * (1 + this.adjustmentValue / 100);
+  }
+  return Math.round(Math.max(0, adjusted) * 100) / 100;
+};
+
+// Static method to work out the effective price of slot instances on a date.
+// Returns one { price, basePrice, rule } per instance, in the same order.
+// options: { rules, dayInstances, now } to reuse already loaded data.
+PricingRuleSchema.statics.priceSlots = async function(turf, date, instances, options = {}) {
+  const SlotInstance = require('./SlotInstance');
+  const rules = options.rules || await this.find({ turfId: turf._id, isActive: true });
+  const now = options.now || new Date();
+  const timeZone = turf.getTimeZone();
+  const dateKey = SlotInstance.toDateKey(date, timeZone);
+  const day = SlotInstance.dayOfWeek(date, timeZone);
+
+  let occupancy = 0;
+  if (rules.some(r => r.type === 'demand')) {
+    const dayInstances = options.dayInstances || await SlotInstance.find({ turfId: turf._id, date: dateKey });
+    const taken = dayInstances.filter(i => i.status !== 'available').length;
+    occupancy = dayInstances.length > 0 ? (taken / dayInstances.length) * 100 : 0;
+  }
+
+  const ranked = [...rules].sort((a, b) => (b.priority - a.priority) ||
+    (TYPE_PRECEDENCE.indexOf(a.type) - TYPE_PRECEDENCE.indexOf(b.type)));
+
+  return instances.map(instance => {
+    const basePrice = instance.price || turf.pricePerHour;
+    const startsAt = zonedDateTime(dateKey, instance.startTime, timeZone);
+
+    const rule = ranked.find(r => r.matches({ date: dateKey, day, startTime: instance.startTime, startsAt, now, occupancy }));
+    return {
+      price: rule ? rule.apply(basePrice) : basePrice,
+      basePrice,
+      rule: rule || null
+    };
+  });
+};
+
+// Static method to work out the effective price of a single slot instance
+PricingRuleSchema.statics.priceSlot = async function(turf, date, instance, options = {}) {
+  const [pricing] = await this.priceSlots(turf, date, [instance], options);
+  return pricing;
+};
+
+// Static helper to turn an analytics pricing suggestion into rule fields
+PricingRuleSchema.statics.fromSuggestion = function(suggestion) {
+  const hour = parseInt(String(suggestion?.timeSlot || '').split(':')[0], 10);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return null;
+  }
+
+  const premium = /premium/i.test(suggestion.strategy || '');
+  const pad = (h) => `${String(h % 24).padStart(2, '0')}:00`;
+  return {
+    name: `${premium ? 'Peak' : 'Off-peak'} ${pad(hour)} (suggested)`,
+    type: premium ? 'peak' : 'off_peak',
+    startTime: pad(hour),
+    endTime: pad(hour + 1),
+    adjustmentType: 'percent',
+    adjustmentValue: suggestion.adjustmentPercent != null
+      ? Number(suggestion.adjustmentPercent)
+      : (premium ? 20 : -20),
+    source: 'suggestion',
+    suggestion
+  };
+};
+
+// Snapshot of the rule stored on bookings and returned with slot prices
+PricingRuleSchema.methods.toSnapshot = function() {
+  return {
+    ruleId: this._id,
+    name: this.name,
+    type: this.type
+  };
+};
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
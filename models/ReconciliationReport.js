@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Result of comparing one day of Razorpay payments with Booking records
+const ReconciliationReportSchema = new mongoose.Schema({
+  // Calendar day reconciled, in YYYY-MM-DD form
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    unique: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  summary: {
+    paymentsChecked: { type: Number, default: 0 },
+    bookingsChecked: { type: Number, default: 0 },
+    autoFixed: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 }
+  },
+  // Captured payments that were recorded on their bookings by the job
+  fixed: [{
+    _id: false,
+    orderId: String,
+    paymentId: String,
+    bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+    amount: Number,
+    detail: String
+  }],
+  // Mismatches that need an admin to look at them
+  discrepancies: [{
+    type: {
+      type: String,
+      enum: ['captured_not_recorded', 'recorded_not_captured', 'amount_mismatch', 'orphan_payment', 'authorized_not_captured']
+    },
+    orderId: String,
+    paymentId: String,
+    bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+    gatewayAmount: Number,
+    bookingAmount: Number,
+    detail: String,
+    resolved: { type: Boolean, default: false },
+    resolvedAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  error: {
+    type: String
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ReconciliationReportSchema.index({ status: 1, date: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
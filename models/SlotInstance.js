@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const { toDateKey, weekdayOf } = require('../utils/timezone');
+
+// A bookable slot on one calendar date, generated from the turf's weekly
+// availableSlots template the first time that date is looked at. There is one
+// instance per court, and per half for courts that can be split; a full
+// booking of a split court holds both halves.
+const SlotInstanceSchema = new mongoose.Schema({
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf',
+    required: [true, 'Turf ID is required']
+  },
+  // Calendar day in YYYY-MM-DD form
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  // Key of the court on the turf
+  court: {
+    type: String,
+    default: 'main'
+  },
+  // Half of a splittable court ('a' or 'b'), or 'full' for courts that are not split
+  unit: {
+    type: String,
+    enum: ['full', 'a', 'b'],
+    default: 'full'
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['available', 'held', 'booked'],
+    default: 'available'
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bookedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One instance per turf, date, time range and court unit
+SlotInstanceSchema.index({ turfId: 1, date: 1, startTime: 1, endTime: 1, court: 1, unit: 1 }, { unique: true });
+SlotInstanceSchema.index({ bookingId: 1 });
+
+// Static helper to turn a calendar date into the YYYY-MM-DD key used by
+// instances. Instants that are not stored calendar dates are read in the
+// turf's timezone.
+SlotInstanceSchema.statics.toDateKey = function(date, timeZone) {
+  return toDateKey(date, timeZone);
+};
+
+// Static helper to get the weekday name used by the turf template
+SlotInstanceSchema.statics.dayOfWeek = function(date, timeZone) {
+  return weekdayOf(date, timeZone);
+};
+
+// Static helper to list the bookable units of each court on a turf
+SlotInstanceSchema.statics.courtUnits = function(turf) {
+  return turf.getCourts().flatMap(court => (
+    court.splittable ? ['a', 'b'] : ['full']
+  ).map(unit => ({ court: court.key, unit })));
+};
+
+// Make sure the instances for a date exist and match the weekly template and
+// the turf's courts. Booked instances are never touched; unbooked instances
+// that are no longer in the template are removed.
+SlotInstanceSchema.statics.generateForDate = async function(turf, date) {
+  const dateKey = this.toDateKey(date, turf.getTimeZone());
+  const daySlots = turf.availableSlots?.[this.dayOfWeek(date, turf.getTimeZone())];
+  const templateSlots = daySlots && daySlots.isOpen ? daySlots.slots : [];
+  const units = this.courtUnits(turf);
+
+  if (templateSlots.length > 0) {
+    await this.bulkWrite(templateSlots.flatMap(slot => units.map(({ court, unit }) => ({
+      updateOne: {
+        filter: {
+          turfId: turf._id,
+          date: dateKey,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          court,
+          unit
+        },
+        update: {
+          $set: { price: slot.price || turf.pricePerHour },
+          $setOnInsert: { status: 'available' }
+        },
+        upsert: true
+      }
+    }))), { ordered: false }).catch(error => {
+      // Concurrent generation of the same date races on the unique index;
+      // the other request already created the instance, so that is fine.
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+  }
+
+  const staleQuery = { turfId: turf._id, date: dateKey, status: 'available' };
+  if (templateSlots.length > 0) {
+    staleQuery.$nor = templateSlots.map(slot => ({
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      $or: units.map(({ court, unit }) => ({ court, unit }))
+    }));
+  }
+  await this.deleteMany(staleQuery);
+
+  return this.find({ turfId: turf._id, date: dateKey }).sort({ startTime: 1, court: 1, unit: 1 });
+};
+
+// Find (generating if needed) the free instances a booking of one slot needs.
+// options: { court, courtType ('full' | 'half') }. A full booking needs every
+// unit of one court; a half booking needs one half of a splittable court, and
+// fills courts that already have one half taken first so whole courts stay
+// free. Resolves to { instances, court } or { error }.
+SlotInstanceSchema.statics.findSlot = async function(turf, date, startTime, endTime, options = {}) {
+  const courtType = options.courtType === 'half' ? 'half' : 'full';
+  let courts = turf.getCourts();
+
+  if (options.court) {
+    courts = courts.filter(c => c.key === options.court);
+    if (courts.length === 0) {
+      return { error: `Court ${options.court} not found on this turf` };
+    }
+  }
+  if (courtType === 'half') {
+    courts = courts.filter(c => c.splittable);
+    if (courts.length === 0) {
+      return { error: 'Half-court booking is not available for this court' };
+    }
+  }
+
+  // Closures and maintenance blocks take the slot off sale
+  const closure = turf.getClosure(date, startTime, endTime);
+  if (closure) {
+    return { error: turf.describeClosure(closure) };
+  }
+
+  const instances = (await this.generateForDate(turf, date))
+    .filter(i => i.startTime === startTime && i.endTime === endTime);
+  if (instances.length === 0) {
+    return { error: 'Slot not found' };
+  }
+
+  const candidates = courts.map(court => {
+    const units = instances.filter(i => i.court === court.key);
+    return { court, units, free: units.filter(i => i.status === 'available') };
+  });
+
+  if (courtType === 'full') {
+    const match = candidates.find(c => c.units.length > 0 && c.free.length === c.units.length);
+    return match
+      ? { instances: match.free, court: match.court }
+      : { error: 'Slot is already booked for this date' };
+  }
+
+  const partlyTaken = candidates.find(c => c.free.length === 1);
+  const match = partlyTaken || candidates.find(c => c.free.length > 0);
+  return match
+    ? { instances: [match.free[0]], court: match.court }
+    : { error: 'Slot is already booked for this date' };
+};
+
+// Static method to claim every instance a booking needs. If any of them was
+// taken in the meantime the ones already claimed are handed back.
+SlotInstanceSchema.statics.claimAll = async function(instances, bookingId, userId, options = {}) {
+  const claimed = [];
+  try {
+    for (const instance of instances) {
+      await instance.markBooked(bookingId, userId, options);
+      claimed.push(instance._id);
+    }
+  } catch (error) {
+    // Only give back what this call took; the booking may still hold other
+    // slots (e.g. the old slot while it is being rescheduled)
+    await this.updateMany(
+      { _id: { $in: claimed }, bookingId },
+      {
+        $set: { status: 'available' },
+        $unset: { bookingId: 1, bookedBy: 1, bookedAt: 1 }
+      }
+    );
+    throw error;
+  }
+};
+
+// Static helper to summarise the remaining capacity of each court for one
+// time range, from that date's instances
+SlotInstanceSchema.statics.summariseCapacity = function(turf, instances) {
+  return turf.getCourts().map(court => {
+    const units = instances.filter(i => i.court === court.key);
+    const free = units.filter(i => i.status === 'available').length;
+    return {
+      court: court.key,
+      name: court.name,
+      splittable: !!court.splittable,
+      totalUnits: units.length,
+      freeUnits: free,
+      fullAvailable: units.length > 0 && free === units.length,
+      halvesAvailable: court.splittable ? free : 0
+    };
+  });
+};
+
+// Atomically claim the slot. The status check and update happen in a single
+// conditional write, so concurrent claims on the same slot can never both win.
+// Pass { hold: true } to reserve the slot while payment is pending.
+SlotInstanceSchema.methods.markBooked = async function(bookingId, userId, options = {}) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'available' },
+    {
+      $set: {
+        status: options.hold ? 'held' : 'booked',
+        bookingId,
+        bookedBy: userId,
+        bookedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new Error('Slot is already booked for this date');
+  }
+
+  return claimed;
+};
+
+// Instance method to release a booked slot
+SlotInstanceSchema.methods.release = function() {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, bookingId: this.bookingId },
+    {
+      $set: { status: 'available' },
+      $unset: { bookingId: 1, bookedBy: 1, bookedAt: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to turn payment holds into firm bookings
+SlotInstanceSchema.statics.confirmForBookings = function(bookingIds) {
+  return this.updateMany(
+    { bookingId: { $in: bookingIds }, status: 'held' },
+    { $set: { status: 'booked' } }
+  );
+};
+
+// Static method to release every slot held by the given bookings.
+// Pass { except: [ids] } to keep some of their instances.
+SlotInstanceSchema.statics.releaseForBookings = function(bookingIds, options = {}) {
+  const filter = { bookingId: { $in: bookingIds } };
+  if (options.except?.length) {
+    filter._id = { $nin: options.except };
+  }
+  return this.updateMany(
+    filter,
+    {
+      $set: { status: 'available' },
+      $unset: { bookingId: 1, bookedBy: 1, bookedAt: 1 }
+    }
+  );
+};
+
+module.exports = mongoose.model('SlotInstance', SlotInstanceSchema);
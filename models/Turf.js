@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const SlotInstance = require('./SlotInstance');
+const PricingRule = require('./PricingRule');
+const { DEFAULT_TIERS, validateTiers } = require('../utils/cancellationPolicy');
+const { DAYS, TIME_PATTERN, validateTemplate, generateTemplate } = require('../utils/slotTemplate');
+const { DEFAULT_TIMEZONE, isValidTimeZone, nowInZone, addDays } = require('../utils/timezone');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A period in the day with no play, e.g. a lunch break
+const breakPeriod = {
+  _id: false,
+  startTime: { type: String, required: true, match: [TIME_PATTERN, 'Break times must be in HH:MM format'] },
+  endTime: { type: String, required: true, match: [TIME_PATTERN, 'Break times must be in HH:MM format'] },
+  label: { type: String, trim: true }
+};
 
 const TurfSchema = new mongoose.Schema({
   ownerId: {
@@ -109,10 +127,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     tuesday: {
@@ -120,10 +135,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     wednesday: {
@@ -131,10 +143,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     thursday: {
@@ -142,10 +151,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     friday: {
@@ -153,10 +159,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     saturday: {
@@ -164,10 +167,7 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     },
     sunday: {
@@ -175,20 +175,94 @@ const TurfSchema = new mongoose.Schema({
       slots: [{
         startTime: { type: String, required: true },
         endTime: { type: String, required: true },
-        price: { type: Number, required: true },
-        isBooked: { type: Boolean, default: false },
-        bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        bookingDate: { type: Date }
+        price: { type: Number, required: true }
       }]
     }
   },
 
+  // Courts that can be booked at the same time, e.g. three badminton courts
+  // or one pitch that can be split into two halves. Turfs without courts are
+  // treated as a single court that can be split.
+  courts: {
+    type: [{
+      key: {
+        type: String,
+        required: [true, 'Court key is required'],
+        trim: true,
+        match: [/^[a-z0-9_-]{1,20}$/i, 'Court key must be 1-20 letters, digits, _ or -']
+      },
+      name: {
+        type: String,
+        required: [true, 'Court name is required'],
+        trim: true
+      },
+      splittable: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    validate: {
+      validator: function(courts) {
+        return new Set(courts.map(c => c.key)).size === courts.length;
+      },
+      message: 'Court keys must be unique'
+    }
+  },
+
+  // IANA timezone the turf's dates and slot times are in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+
   slotDuration: {
     type: Number,
     default: 60, // minutes
     enum: [30, 60, 90, 120]
   },
 
+  // Opening hours the availableSlots template is generated from (see
+  // utils/slotTemplate.js). Turfs with a hand-built template leave it unset.
+  operatingHours: {
+    openTime: { type: String, match: [TIME_PATTERN, 'Opening time must be in HH:MM format'] },
+    closeTime: { type: String, match: [TIME_PATTERN, 'Closing time must be in HH:MM format'] },
+    // Cleanup time left between consecutive slots
+    bufferMinutes: { type: Number, default: 0, min: 0, max: 120 },
+    breaks: [breakPeriod],
+    // Per-weekday changes to the hours above
+    days: DAYS.reduce((days, day) => ({
+      ...days,
+      [day]: {
+        isOpen: { type: Boolean },
+        openTime: { type: String, match: [TIME_PATTERN, 'Opening time must be in HH:MM format'] },
+        closeTime: { type: String, match: [TIME_PATTERN, 'Closing time must be in HH:MM format'] },
+        breaks: { type: [breakPeriod], default: undefined }
+      }
+    }), {})
+  },
+
+  // Closures, maintenance blocks and holidays (dates are YYYY-MM-DD,
+  // inclusive). Without times the whole day is blocked; with times only
+  // slots overlapping startTime-endTime on each day in the range are.
+  closures: [{
+    startDate: { type: String, required: [true, 'Closure start date is required'], match: [DATE_PATTERN, 'Closure dates must be in YYYY-MM-DD format'] },
+    endDate: { type: String, required: [true, 'Closure end date is required'], match: [DATE_PATTERN, 'Closure dates must be in YYYY-MM-DD format'] },
+    startTime: { type: String, match: [TIME_PATTERN, 'Closure times must be in HH:MM format'] },
+    endTime: { type: String, match: [TIME_PATTERN, 'Closure times must be in HH:MM format'] },
+    type: {
+      type: String,
+      enum: ['closure', 'maintenance', 'holiday', 'private_event'],
+      default: 'closure'
+    },
+    reason: { type: String, trim: true, maxlength: [200, 'Closure reason cannot be more than 200 characters'] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
   advanceBookingDays: {
     type: Number,
     default: 30,
@@ -196,6 +270,42 @@ const TurfSchema = new mongoose.Schema({
     max: 90
   },
 
+  // Tiered cancellation and refund policy (see utils/cancellationPolicy.js)
+  cancellationPolicy: {
+    tiers: {
+      type: [{
+        _id: false,
+        hoursBefore: { type: Number, required: true, min: 0 },
+        refundPercent: { type: Number, required: true, min: 0, max: 100 }
+      }],
+      default: () => DEFAULT_TIERS.map(tier => ({ ...tier })),
+      validate: {
+        validator: tiers => !validateTiers(tiers),
+        message: props => validateTiers(props.value)
+      }
+    }
+  },
+
+  // Advance collected online at booking time; the rest is paid at the venue
+  advancePayment: {
+    mode: {
+      type: String,
+      enum: ['none', 'fixed', 'percent'],
+      default: 'none'
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Advance cannot be negative'],
+      validate: {
+        validator: function(value) {
+          return this.advancePayment?.mode !== 'percent' || value <= 100;
+        },
+        message: 'Advance percentage cannot be more than 100'
+      }
+    }
+  },
+
   // Pending changes that require admin approval
   pendingChanges: {
     type: Map,
@@ -215,6 +325,12 @@ const TurfSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+
+  // Secret in the URL of this turf's iCalendar booking feed
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -231,6 +347,7 @@ const TurfSchema = new mongoose.Schema({
 
 // Create geospatial index for location queries
 TurfSchema.index({ 'location.coordinates': '2dsphere' }, { background: true });
+TurfSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Virtual for formatted price
 TurfSchema.virtual('formattedPrice').get(function() {
@@ -242,6 +359,31 @@ TurfSchema.virtual('formattedAddress').get(function() {
   return this.location.address;
 });
 
+// Reject slot templates with overlapping slots, slots that end before they
+// start, or slots that do not match the turf's slot duration
+TurfSchema.pre('validate', function(next) {
+  if (this.isModified('availableSlots') || this.isModified('slotDuration')) {
+    const error = validateTemplate(this.availableSlots, this.slotDuration);
+    if (error) {
+      this.invalidate('availableSlots', error);
+    }
+  }
+
+  if (this.isModified('closures')) {
+    this.closures.forEach((closure, i) => {
+      if (closure.endDate < closure.startDate) {
+        this.invalidate(`closures.${i}.endDate`, 'Closure cannot end before it starts');
+      }
+      if (!closure.startTime !== !closure.endTime) {
+        this.invalidate(`closures.${i}.endTime`, 'Give both a start and end time, or neither to close the whole day');
+      } else if (closure.startTime && closure.endTime <= closure.startTime) {
+        this.invalidate(`closures.${i}.endTime`, 'Closure end time must be after its start time');
+      }
+    });
+  }
+  next();
+});
+
 // Pre-save middleware to update updatedAt and validate turf data
 TurfSchema.pre('save', async function(next) {
   this.updatedAt = Date.now();
@@ -292,6 +434,62 @@ TurfSchema.pre('save', async function(next) {
   next();
 });
 
+// Instance method to set the operating hours and regenerate the weekly slot
+// template from them. Existing slots keep their price; new ones get the
+// turf's hourly price. Hours must already be checked with validateHours.
+TurfSchema.methods.applyOperatingHours = function(hours) {
+  this.operatingHours = hours;
+  this.availableSlots = generateTemplate(hours, {
+    slotDuration: this.slotDuration,
+    price: this.pricePerHour,
+    previous: this.availableSlots?.toObject ? this.availableSlots.toObject() : this.availableSlots
+  });
+  return this.availableSlots;
+};
+
+// Instance method to find the closure blocking a date, or a slot on it when
+// startTime and endTime are given. Returns null when the turf is open.
+TurfSchema.methods.getClosure = function(date, startTime, endTime) {
+  return (this.closures || []).find(closure => this.closureBlocks(closure, date, startTime, endTime)) || null;
+};
+
+// Instance method to check whether one closure covers a slot (or the whole
+// date when no times are given). A slot running past midnight is also
+// checked against closures on the next date.
+TurfSchema.methods.closureBlocks = function(closure, date, startTime, endTime) {
+  const dateKey = SlotInstance.toDateKey(date, this.getTimeZone());
+  const closedOn = (key) => key >= closure.startDate && key <= closure.endDate;
+  if (!startTime) {
+    return closedOn(dateKey);
+  }
+
+  const slot = this.getSlotRange(startTime, endTime);
+  const days = [{ key: dateKey, offset: 0 }];
+  if (slot.end > MINUTES_PER_DAY) {
+    days.push({ key: addDays(dateKey, 1), offset: MINUTES_PER_DAY });
+  }
+
+  return days.some(({ key, offset }) => {
+    if (!closedOn(key)) {
+      return false;
+    }
+    if (!closure.startTime) {
+      return true;
+    }
+    const closed = this.getSlotRange(closure.startTime, closure.endTime);
+    return slot.start < closed.end + offset && slot.end > closed.start + offset;
+  });
+};
+
+// Instance method to describe a closure to players
+TurfSchema.methods.describeClosure = function(closure) {
+  const when = closure.startDate === closure.endDate
+    ? closure.startDate
+    : `${closure.startDate} to ${closure.endDate}`;
+  const hours = closure.startTime ? ` (${closure.startTime}-${closure.endTime})` : '';
+  return `Turf is closed on ${when}${hours}${closure.reason ? `: ${closure.reason}` : ''}`;
+};
+
 // Static method to find turfs by owner
 TurfSchema.statics.findByOwner = function(ownerId) {
   return this.find({ ownerId }).sort({ createdAt: -1 });
@@ -340,84 +538,113 @@ TurfSchema.methods.isAvailable = function(date, startTime, endTime) {
   return true;
 };
 
-// Method to check if a specific slot is available on a given date
-TurfSchema.methods.isSlotAvailable = function(date, dayOfWeek, startTime, endTime) {
-  const daySlots = this.availableSlots[dayOfWeek];
-  
-  if (!daySlots || !daySlots.isOpen) {
-    return false;
+// Instance method to get the amount collected online for a booking total
+TurfSchema.methods.getAdvanceAmount = function(total) {
+  const { mode, value } = this.advancePayment || {};
+  let advance = total;
+  if (mode === 'fixed' && value > 0) {
+    advance = Math.min(total, value);
+  } else if (mode === 'percent' && value > 0) {
+    advance = (total * value) / 100;
   }
+  return Math.round(advance * 100) / 100;
+};
 
-  // Find the slot that matches the time range
-  const slot = daySlots.slots.find(slot => 
-    slot.startTime === startTime && slot.endTime === endTime
-  );
+// Instance method to check a date against the booking window: from today at
+// the turf up to advanceBookingDays ahead. Returns the reason a date is
+// outside it, or null.
+TurfSchema.methods.getBookingWindowError = function(date) {
+  const timeZone = this.getTimeZone();
+  const today = nowInZone(timeZone).dateKey;
+  const dateKey = SlotInstance.toDateKey(date, timeZone);
+  if (dateKey < today) {
+    return 'Cannot book dates in the past';
+  }
+  const days = this.advanceBookingDays || 30;
+  if (dateKey > addDays(today, days)) {
+    return `Slots can only be booked up to ${days} days in advance`;
+  }
+  return null;
+};
 
-  if (!slot) {
-    return false;
+// Instance method to get the calendar feed token, generating one on first use
+TurfSchema.methods.getCalendarFeedToken = function() {
+  if (!this.calendarFeedToken) {
+    this.rotateCalendarFeedToken();
   }
+  return this.calendarFeedToken;
+};
+
+// Instance method to set a new calendar feed token. Any previous feed URL
+// stops working.
+TurfSchema.methods.rotateCalendarFeedToken = function() {
+  this.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarFeedToken;
+};
+
+// Instance method to get the turf's timezone
+TurfSchema.methods.getTimeZone = function() {
+  return this.timezone || DEFAULT_TIMEZONE;
+};
+
+// Instance method to get the turf's courts, falling back to one splittable court
+TurfSchema.methods.getCourts = function() {
+  return this.courts && this.courts.length > 0
+    ? this.courts
+    : [{ key: 'main', name: 'Main court', splittable: true }];
+};
 
-  // Check if slot is already booked for this date
-  return !slot.isBooked || 
-         (slot.bookingDate && slot.bookingDate.toDateString() !== date.toDateString());
+// Method to check if a specific slot is available on a given date
+TurfSchema.methods.isSlotAvailable = async function(date, startTime, endTime, options = {}) {
+  const { error } = await SlotInstance.findSlot(this, date, startTime, endTime, options);
+
+  return !error;
 };
 
 // Method to book a slot
-TurfSchema.methods.bookSlot = function(date, dayOfWeek, startTime, endTime, userId) {
-  const daySlots = this.availableSlots[dayOfWeek];
-  
+TurfSchema.methods.bookSlot = async function(date, startTime, endTime, bookingId, userId, options = {}) {
+  const daySlots = this.availableSlots[SlotInstance.dayOfWeek(date, this.getTimeZone())];
+
   if (!daySlots || !daySlots.isOpen) {
     throw new Error('Turf is closed on this day');
   }
 
-  const slot = daySlots.slots.find(slot => 
-    slot.startTime === startTime && slot.endTime === endTime
-  );
-
-  if (!slot) {
-    throw new Error('Slot not found');
-  }
+  const { instances, court, error } = await SlotInstance.findSlot(this, date, startTime, endTime, options);
 
-  if (slot.isBooked && slot.bookingDate && 
-      slot.bookingDate.toDateString() === date.toDateString()) {
-    throw new Error('Slot is already booked for this date');
+  if (error) {
+    throw new Error(error);
   }
 
-  slot.isBooked = true;
-  slot.bookedBy = userId;
-  slot.bookingDate = date;
-
-  // Do not save here; caller should persist once after all changes
-  return this;
+  await SlotInstance.claimAll(instances, bookingId, userId);
+  return court;
 };
 
-// Method to cancel a slot booking
-TurfSchema.methods.cancelSlotBooking = function(date, dayOfWeek, startTime, endTime) {
-  const daySlots = this.availableSlots[dayOfWeek];
-  
-  if (!daySlots) {
-    throw new Error('Invalid day');
+// Method to cancel a slot booking. Several bookings can share a slot on
+// multi-court turfs, so pass the bookingId whenever it is known.
+TurfSchema.methods.cancelSlotBooking = async function(date, startTime, endTime, bookingId) {
+  const filter = {
+    turfId: this._id,
+    date: SlotInstance.toDateKey(date, this.getTimeZone()),
+    startTime,
+    endTime,
+    status: { $ne: 'available' }
+  };
+  if (bookingId) {
+    filter.bookingId = bookingId;
   }
 
-  const slot = daySlots.slots.find(slot => 
-    slot.startTime === startTime && slot.endTime === endTime
-  );
-
-  if (!slot) {
-    throw new Error('Slot not found');
-  }
+  const instances = await SlotInstance.find(filter);
 
-  if (!slot.isBooked || !slot.bookingDate || 
-      slot.bookingDate.toDateString() !== date.toDateString()) {
+  if (instances.length === 0) {
     throw new Error('No booking found for this slot on this date');
   }
 
-  slot.isBooked = false;
-  slot.bookedBy = null;
-  slot.bookingDate = null;
+  const bookingIds = [...new Set(instances.map(i => String(i.bookingId)))];
+  if (bookingIds.length > 1) {
+    throw new Error('Several bookings share this slot; specify the booking to cancel');
+  }
 
-  // Do not save here; caller should persist once after all changes
-  return this;
+  return SlotInstance.releaseForBookings([instances[0].bookingId]);
 };
 
 // Helper method to parse time string to minutes
@@ -440,65 +667,103 @@ TurfSchema.methods.parseTimeToMinutes = function(timeString) {
   return totalMinutes;
 };
 
-// Method to get available slots for a specific date
-TurfSchema.methods.getAvailableSlots = function(date) {
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-  const daySlots = this.availableSlots[dayOfWeek];
+// Helper method to get a slot's start and end in minutes from midnight of
+// its date. An end at or before the start is on the next day, so 23:00-01:00
+// gives { start: 1380, end: 1500 }.
+TurfSchema.methods.getSlotRange = function(startTime, endTime) {
+  const start = this.parseTimeToMinutes(startTime);
+  let end = this.parseTimeToMinutes(endTime);
+  if (end <= start) {
+    end += MINUTES_PER_DAY;
+  }
+  return { start, end };
+};
+
+// Method to get available slots for a specific date, with the remaining
+// capacity of each court
+TurfSchema.methods.getAvailableSlots = async function(date) {
+  const daySlots = this.availableSlots[SlotInstance.dayOfWeek(date, this.getTimeZone())];
   
   if (!daySlots || !daySlots.isOpen) {
     return [];
   }
 
+  const instances = await SlotInstance.generateForDate(this, date);
+
+  // "Today" and the current time are the turf's, not the server's
   const today = new Date();
-  const isToday = date.toDateString() === today.toDateString();
-  const currentTime = today.getHours() * 60 + today.getMinutes(); // Current time in minutes
-
-  return daySlots.slots.filter(slot => {
-    // Check if slot is booked for this specific date
-    const isBookedForThisDate = slot.isBooked && 
-      slot.bookingDate && 
-      slot.bookingDate.toDateString() === date.toDateString();
-    
-    if (isBookedForThisDate) {
-      return false; // Don't show booked slots
+  const now = nowInZone(this.getTimeZone(), today);
+  const isToday = SlotInstance.toDateKey(date, this.getTimeZone()) === now.dateKey;
+  const currentTime = now.minutes; // Current time in minutes
+
+  // Group the court units of each time range
+  const byTime = new Map();
+  instances.forEach(instance => {
+    const key = `${instance.startTime}-${instance.endTime}`;
+    if (!byTime.has(key)) {
+      byTime.set(key, []);
+    }
+    byTime.get(key).push(instance);
+  });
+
+  const available = [];
+  byTime.forEach(units => {
+    if (!units.some(unit => unit.status === 'available')) {
+      return; // Don't show fully booked slots
+    }
+
+    if (this.getClosure(date, units[0].startTime, units[0].endTime)) {
+      return; // Don't show slots the owner has closed
     }
 
     // If it's today, filter out past time slots
     if (isToday) {
-      const slotStartTime = this.parseTimeToMinutes(slot.startTime);
+      const slotStartTime = this.parseTimeToMinutes(units[0].startTime);
       if (slotStartTime <= currentTime) {
-        return false; // Don't show past slots
+        return; // Don't show past slots
       }
     }
 
-    return true;
-  }).map(slot => ({
-    startTime: slot.startTime,
-    endTime: slot.endTime,
-    price: slot.price,
-    isAvailable: true
-  }));
+    available.push(units);
+  });
+
+  // Price each slot with the owner's pricing rules
+  const pricing = await PricingRule.priceSlots(this, date, available.map(units => units[0]), { dayInstances: instances, now: today });
+
+  return available.map((units, i) => {
+    const courts = SlotInstance.summariseCapacity(this, units);
+    return {
+      startTime: units[0].startTime,
+      endTime: units[0].endTime,
+      price: pricing[i].price,
+      basePrice: pricing[i].basePrice,
+      pricingRule: pricing[i].rule ? pricing[i].rule.toSnapshot() : null,
+      isAvailable: true,
+      fullCourtAvailable: courts.some(c => c.fullAvailable),
+      halfCourtAvailable: courts.some(c => c.halvesAvailable > 0),
+      courts
+    };
+  });
 };
 
 // Method to get all bookings for a specific date
-TurfSchema.methods.getBookingsForDate = function(date) {
-  const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-  const daySlots = this.availableSlots[dayOfWeek];
-  
-  if (!daySlots) {
-    return [];
-  }
-
-  return daySlots.slots.filter(slot => 
-    slot.isBooked && 
-    slot.bookingDate && 
-    slot.bookingDate.toDateString() === date.toDateString()
-  ).map(slot => ({
-    startTime: slot.startTime,
-    endTime: slot.endTime,
-    price: slot.price,
-    bookedBy: slot.bookedBy,
-    bookingDate: slot.bookingDate
+TurfSchema.methods.getBookingsForDate = async function(date) {
+  const instances = await SlotInstance.find({
+    turfId: this._id,
+    date: SlotInstance.toDateKey(date, this.getTimeZone()),
+    status: { $in: ['held', 'booked'] }
+  }).sort({ startTime: 1, court: 1, unit: 1 });
+
+  return instances.map(instance => ({
+    startTime: instance.startTime,
+    endTime: instance.endTime,
+    court: instance.court,
+    unit: instance.unit,
+    price: instance.price,
+    bookingId: instance.bookingId,
+    status: instance.status,
+    bookedBy: instance.bookedBy,
+    bookingDate: instance.date
   }));
 };
 
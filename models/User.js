@@ -229,6 +229,12 @@ const userSchema = new mongoose.Schema({
   },
   refreshTokenExpire: {
     type: Date
+  },
+
+  // Owner's iCalendar booking feed
+  calendarFeedToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
@@ -238,6 +244,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ userType: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
@@ -326,6 +333,20 @@ userSchema.methods.getRefreshToken = function() {
   return refreshToken;
 };
 
+// Get calendar feed token, generating one on first use
+userSchema.methods.getCalendarFeedToken = function() {
+  if (!this.calendarFeedToken) {
+    this.rotateCalendarFeedToken();
+  }
+  return this.calendarFeedToken;
+};
+
+// Replace calendar feed token; the previous feed URL stops working
+userSchema.methods.rotateCalendarFeedToken = function() {
+  this.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarFeedToken;
+};
+
 // Validate refresh token
 userSchema.methods.validateRefreshToken = function(token) {
   return this.refreshToken === token && this.refreshTokenExpire > Date.now();
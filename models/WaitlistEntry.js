@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A player queued for a slot that was fully booked. When the slot frees up
+// the earliest waiting player is offered it as a held booking that must be
+// paid before the offer expires; otherwise the next player gets the offer.
+const WaitlistEntrySchema = new mongoose.Schema({
+  turfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Turf',
+    required: [true, 'Turf ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Calendar day in YYYY-MM-DD form
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  courtType: {
+    type: String,
+    enum: ['full', 'half'],
+    default: 'full'
+  },
+  // Specific court wanted (any court when unset)
+  court: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Held booking created for the offer
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistEntrySchema.index({ turfId: 1, date: 1, startTime: 1, endTime: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ userId: 1, status: 1 });
+WaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Statuses that still hold a place in the queue
+WaitlistEntrySchema.statics.ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// Instance method to get the entry's place in the queue (1 = next in line)
+WaitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') {
+    return null;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    turfId: this.turfId,
+    date: this.date,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    status: 'waiting',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
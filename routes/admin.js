@@ -8,7 +8,21 @@ const {
   getAllOwners,
   getOwnerDetails,
   getTurfsWithPendingChanges,
-  approveTurfChanges
+  approveTurfChanges,
+  getPaymentEvents,
+  getPaymentEvent,
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  resolveDiscrepancy,
+  getPayoutBatches,
+  createPayoutBatch,
+  settlePayoutBatch,
+  cancelPayoutBatch,
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule
 } = require('../controllers/adminController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -41,4 +55,24 @@ router.put('/owners/:id/approval', approvalValidation, updateOwnerApproval);
 router.get('/turfs/pending-changes', getTurfsWithPendingChanges);
 router.put('/turfs/:id/approve-changes', turfChangeApprovalValidation, approveTurfChanges);
 
+// Payment reconciliation routes
+router.get('/payment-events', getPaymentEvents);
+router.get('/payment-events/:id', getPaymentEvent);
+router.get('/reconciliation', getReconciliationReports);
+router.post('/reconciliation/run', runReconciliation);
+router.get('/reconciliation/:date', getReconciliationReport);
+router.put('/reconciliation/:date/discrepancies/:discrepancyId/resolve', resolveDiscrepancy);
+
+// Owner payout routes
+router.get('/payouts', getPayoutBatches);
+router.post('/payouts', createPayoutBatch);
+router.put('/payouts/:id/settle', settlePayoutBatch);
+router.put('/payouts/:id/cancel', cancelPayoutBatch);
+
+// Platform commission and convenience fee routes
+router.get('/commission-rules', getCommissionRules);
+router.post('/commission-rules', createCommissionRule);
+router.put('/commission-rules/:id', updateCommissionRule);
+router.delete('/commission-rules/:id', deleteCommissionRule);
+
 module.exports = router; 
\ No newline at end of file
@@ -5,7 +5,14 @@ const {
   getBooking,
   createBooking,
   cancelBooking,
-  checkInBooking
+  rescheduleBooking,
+  getCancellationPreview,
+  createBookingSeries,
+  getBookingSeries,
+  cancelBookingSeries,
+  checkInBooking,
+  settleBookingBalance,
+  createOfflineBooking
 } = require('../controllers/bookingController');
 
 const router = express.Router();
@@ -13,13 +20,22 @@ const router = express.Router();
 // All booking routes require authentication
 router.use(protect);
 
+// Recurring booking series
+router.post('/series', createBookingSeries);
+router.get('/series/:id', getBookingSeries);
+router.delete('/series/:id', cancelBookingSeries);
+
 // User bookings
 router.get('/', getUserBookings);
 router.get('/:id', getBooking);
+router.get('/:id/cancellation-preview', getCancellationPreview);
 router.post('/', createBooking);
+router.put('/:id/reschedule', rescheduleBooking);
 router.delete('/:id', cancelBooking);
 
 // Owner actions
+router.post('/offline', authorize('owner'), createOfflineBooking);
 router.post('/checkin', authorize('owner'), checkInBooking);
+router.post('/:id/settle-balance', authorize('owner'), settleBookingBalance);
 
 module.exports = router;
\ No newline at end of file
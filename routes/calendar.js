@@ -0,0 +1,21 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getFeeds,
+  regenerateFeed,
+  getOwnerFeed,
+  getTurfFeed
+} = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Public feeds, authorised by the secret token in the URL
+router.get('/owners/:token.ics', getOwnerFeed);
+router.get('/turfs/:token.ics', getTurfFeed);
+
+// Owner feed management
+router.use(protect);
+router.get('/feeds', authorize('owner'), getFeeds);
+router.post('/feeds/regenerate', authorize('owner'), regenerateFeed);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Players
+router.post('/validate', validateCoupon);
+
+// Admin
+router.get('/', authorize('admin'), getCoupons);
+router.post('/', authorize('admin'), createCoupon);
+router.put('/:id', authorize('admin'), updateCoupon);
+router.delete('/:id', authorize('admin'), deleteCoupon);
+
+module.exports = router;
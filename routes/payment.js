@@ -9,7 +9,7 @@ const {
 } = require('../controllers/paymentController');
 
 // @route   POST /api/payment/create-order
-// @desc    Create Razorpay payment order
+// @desc    Create Razorpay payment order for one or more bookings
 // @access  Private
 router.post('/create-order', protect, createPaymentOrder);
 
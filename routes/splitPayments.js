@@ -0,0 +1,27 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  createSplit,
+  getSplit,
+  getSplitByToken,
+  joinSplit,
+  payShare,
+  coverRemainder,
+  cancelSplit
+} = require('../controllers/splitPaymentController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Share links
+router.get('/share/:token', getSplitByToken);
+router.post('/share/:token/join', joinSplit);
+
+router.post('/', createSplit);
+router.get('/:id', getSplit);
+router.post('/:id/pay', payShare);
+router.post('/:id/cover', coverRemainder);
+router.delete('/:id', cancelSplit);
+
+module.exports = router;
@@ -19,7 +19,20 @@ const {
   allocateSlotsForDay,
   getOwnerAnalytics,
   getOwnerCustomers,
-  addSportToTurf
+  addSportToTurf,
+  getOwnerPayouts,
+  getOwnerPayoutStatement,
+  getPricingRules,
+  createPricingRule,
+  applyPricingSuggestion,
+  updatePricingRule,
+  deletePricingRule,
+  getOperatingHours,
+  previewOperatingHours,
+  updateOperatingHours,
+  getClosures,
+  createClosure,
+  deleteClosure
 } = require('../controllers/turfController');
 
 const router = express.Router();
@@ -41,6 +54,8 @@ router.get('/owner/my', authorize('owner'), getMyTurfs);
 router.get('/owner/bookings', authorize('owner'), getOwnerBookings);
 router.get('/owner/analytics', authorize('owner'), getOwnerAnalytics);
 router.get('/owner/customers', authorize('owner'), getOwnerCustomers);
+router.get('/owner/payouts', authorize('owner'), getOwnerPayouts);
+router.get('/owner/payouts/statement', authorize('owner'), getOwnerPayoutStatement);
 router.post('/', authorize('owner'), createTurf);
 router.post('/:id/sports', authorize('owner'), addSportToTurf);
 router.put('/:id', authorize('owner'), updateTurf);
@@ -49,6 +64,17 @@ router.get('/:id/bookings', authorize('owner'), getTurfBookings);
 router.post('/:id/slots/book', authorize('owner'), bookSlot);
 router.post('/:id/slots/allocate', authorize('owner'), allocateSlotsForDay);
 router.delete('/:id/slots/cancel', authorize('owner'), cancelSlotBooking);
+router.get('/:id/pricing-rules', authorize('owner'), getPricingRules);
+router.post('/:id/pricing-rules', authorize('owner'), createPricingRule);
+router.post('/:id/pricing-rules/from-suggestion', authorize('owner'), applyPricingSuggestion);
+router.put('/:id/pricing-rules/:ruleId', authorize('owner'), updatePricingRule);
+router.delete('/:id/pricing-rules/:ruleId', authorize('owner'), deletePricingRule);
+router.get('/:id/operating-hours', authorize('owner'), getOperatingHours);
+router.post('/:id/operating-hours/preview', authorize('owner'), previewOperatingHours);
+router.put('/:id/operating-hours', authorize('owner'), updateOperatingHours);
+router.get('/:id/closures', authorize('owner'), getClosures);
+router.post('/:id/closures', authorize('owner'), createClosure);
+router.delete('/:id/closures/:closureId', authorize('owner'), deleteClosure);
 
 // Admin routes
 router.get('/admin/all', authorize('admin'), getAllTurfsForAdmin);
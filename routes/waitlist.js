@@ -0,0 +1,21 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/my', getMyWaitlist);
+router.post('/', joinWaitlist);
+router.post('/:id/accept', acceptOffer);
+router.post('/:id/decline', declineOffer);
+router.delete('/:id', leaveWaitlist);
+
+module.exports = router;
@@ -108,16 +108,16 @@ const initDatabase = async () => {
         monday: {
           isOpen: true,
           slots: [
-            { startTime: '06:00', endTime: '07:00', price: 500, isBooked: false },
-            { startTime: '07:00', endTime: '08:00', price: 500, isBooked: false },
-            { startTime: '08:00', endTime: '09:00', price: 600, isBooked: false },
-            { startTime: '09:00', endTime: '10:00', price: 600, isBooked: false },
-            { startTime: '10:00', endTime: '11:00', price: 600, isBooked: false },
-            { startTime: '16:00', endTime: '17:00', price: 700, isBooked: false },
-            { startTime: '17:00', endTime: '18:00', price: 700, isBooked: false },
-            { startTime: '18:00', endTime: '19:00', price: 800, isBooked: false },
-            { startTime: '19:00', endTime: '20:00', price: 800, isBooked: false },
-            { startTime: '20:00', endTime: '21:00', price: 800, isBooked: false }
+            { startTime: '06:00', endTime: '07:00', price: 500 },
+            { startTime: '07:00', endTime: '08:00', price: 500 },
+            { startTime: '08:00', endTime: '09:00', price: 600 },
+            { startTime: '09:00', endTime: '10:00', price: 600 },
+            { startTime: '10:00', endTime: '11:00', price: 600 },
+            { startTime: '16:00', endTime: '17:00', price: 700 },
+            { startTime: '17:00', endTime: '18:00', price: 700 },
+            { startTime: '18:00', endTime: '19:00', price: 800 },
+            { startTime: '19:00', endTime: '20:00', price: 800 },
+            { startTime: '20:00', endTime: '21:00', price: 800 }
           ]
         }
       };
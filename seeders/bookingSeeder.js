@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Turf = require('../models/Turf');
 const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
 const User = require('../models/User');
 
 // Seeder script to create sample bookings for testing
@@ -140,20 +141,10 @@ const seedBookings = async () => {
               notes: `Sample booking for ${randomCustomer.name}`
             });
             
-            // Update turf slot status
-            const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][bookingDate.getDay()];
-            
-            if (turf.availableSlots && turf.availableSlots[dayOfWeek]) {
-              const slot = turf.availableSlots[dayOfWeek].slots.find(s => 
-                s.startTime === randomSlot.startTime && s.endTime === randomSlot.endTime
-              );
-              
-              if (slot) {
-                slot.isBooked = true;
-                slot.bookedBy = booking._id;
-                slot.bookingDate = bookingDate;
-                await turf.save();
-              }
+            // Update slot inventory for this date
+            const slot = await SlotInstance.findSlot(turf, bookingDate, randomSlot.startTime, randomSlot.endTime);
+            if (slot && slot.status === 'available') {
+              await slot.markBooked(booking._id);
             }
             
             createdBookings++;
@@ -203,22 +194,8 @@ const clearBookings = async () => {
     const result = await Booking.deleteMany({});
     console.log(`Deleted ${result.deletedCount} bookings`);
     
-    // Reset turf slot statuses
-    const turfs = await Turf.find({});
-    for (const turf of turfs) {
-      if (turf.availableSlots) {
-        Object.keys(turf.availableSlots).forEach(day => {
-          if (turf.availableSlots[day].slots) {
-            turf.availableSlots[day].slots.forEach(slot => {
-              slot.isBooked = false;
-              slot.bookedBy = null;
-              slot.bookingDate = null;
-            });
-          }
-        });
-        await turf.save();
-      }
-    }
+    // Reset slot inventory
+    await SlotInstance.deleteMany({});
     
     console.log('All bookings cleared and turf slots reset');
     
@@ -17,11 +17,18 @@ const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
 const chatRoutes = require('./routes/chat');
 const paymentRoutes = require('./routes/payment');
+const couponRoutes = require('./routes/coupons');
+const waitlistRoutes = require('./routes/waitlist');
+const splitPaymentRoutes = require('./routes/splitPayments');
+const calendarRoutes = require('./routes/calendar');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const Booking = require('./models/Booking');
 const Match = require('./models/Match');
+const reconciliationService = require('./services/reconciliationService');
+const waitlistService = require('./services/waitlistService');
+const splitPaymentService = require('./services/splitPaymentService');
 
 const app = express();
 app.set("trust proxy", 1);
@@ -65,7 +72,15 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes of webhook requests for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // CORS configuration
@@ -102,6 +117,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/splits', splitPaymentRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -163,12 +182,9 @@ setInterval(async () => {
     const candidates = await Booking.find({ status: { $in: ['confirmed', 'in_progress'] } });
     let updated = 0;
     for (const b of candidates) {
-      const end = new Date(b.bookingDate);
-      const [eh, em] = (b.endTime || '00:00').split(':');
-      end.setHours(parseInt(eh || '0'), parseInt(em || '0'), 0, 0);
-      const start = new Date(b.bookingDate);
-      const [sh, sm] = (b.startTime || '00:00').split(':');
-      start.setHours(parseInt(sh || '0'), parseInt(sm || '0'), 0, 0);
+      // Slot times are in the turf's timezone
+      const start = b.getStartDateTime();
+      const end = b.getEndDateTime();
       if (start <= now && end > now && b.status !== 'in_progress') {
         b.status = 'in_progress';
         await b.save();
@@ -212,6 +228,45 @@ setInterval(async () => {
   }
 }, 5 * 60 * 1000);
 
+// Release lapsed payment holds: runs every 1 minute
+setInterval(async () => {
+  try {
+    const released = await waitlistService.releaseExpiredHolds();
+    if (released.length) console.log(`Released ${released.length} expired booking holds`);
+  } catch (e) {
+    console.warn('Hold release error:', e.message);
+  }
+}, 60 * 1000);
+
+// Pass lapsed waitlist offers to the next player: runs every 1 minute
+setInterval(async () => {
+  try {
+    const lapsed = await waitlistService.expireOffers();
+    if (lapsed) console.log(`Moved ${lapsed} lapsed waitlist offers down the list`);
+  } catch (e) {
+    console.warn('Waitlist offer expiry error:', e.message);
+  }
+}, 60 * 1000);
+
+// Refund split payments whose booking hold lapsed: runs every 1 minute
+setInterval(async () => {
+  try {
+    const closed = await splitPaymentService.expireSplits();
+    if (closed) console.log(`Closed ${closed} unfinished split payments`);
+  } catch (e) {
+    console.warn('Split payment expiry error:', e.message);
+  }
+}, 60 * 1000);
+
+// Reconcile yesterday's Razorpay payments: checks every hour, runs once a day
+setInterval(async () => {
+  try {
+    await reconciliationService.runDueReconciliation();
+  } catch (e) {
+    console.warn('Payment reconciliation error:', e.message);
+  }
+}, 60 * 60 * 1000);
+
 // Auto-transition matches: runs every 1 minute
 setInterval(async () => {
   try {
@@ -327,6 +327,7 @@ class AIAnalyticsService {
           timeSlot: `${hour}:00`,
           strategy: 'Premium pricing',
           recommendedPrice: Math.round(averageRevenue * 1.2),
+          adjustmentPercent: 20,
           reason: 'High demand time slot'
         });
       } else if (revenue < averageRevenue * 0.5) {
@@ -334,6 +335,7 @@ class AIAnalyticsService {
           timeSlot: `${hour}:00`,
           strategy: 'Discount pricing',
           recommendedPrice: Math.round(averageRevenue * 0.8),
+          adjustmentPercent: -20,
           reason: 'Low demand time slot'
         });
       }
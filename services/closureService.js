@@ -0,0 +1,127 @@
+const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const refundService = require('./refundService');
+const { toCalendarDate, addDays } = require('../utils/timezone');
+
+const ACTIVE_STATUSES = ['held', 'pending', 'confirmed'];
+
+class ClosureService {
+  /**
+   * Find the bookings still going ahead inside a closure
+   * @param {Object} turf - Turf document
+   * @param {Object} closure - Item of turf.closures
+   * @returns {Array} Booking documents, earliest first
+   */
+  async findAffectedBookings(turf, closure) {
+    // Start a day early to catch late-night bookings running past midnight
+    const bookings = await Booking.find({
+      turfId: turf._id,
+      status: { $in: ACTIVE_STATUSES },
+      bookingDate: { $gte: toCalendarDate(addDays(closure.startDate, -1)), $lt: toCalendarDate(addDays(closure.endDate, 1)) }
+    }).sort({ bookingDate: 1, startTime: 1 });
+
+    return bookings.filter(booking =>
+      turf.closureBlocks(closure, booking.bookingDate, booking.startTime, booking.endTime));
+  }
+
+  /**
+   * Cancel bookings caught by a closure with a full refund and free their slots
+   * @param {Object} turf - Turf document
+   * @param {Object} closure - Item of turf.closures
+   * @param {Array} bookings - Affected booking documents
+   * @param {string} cancelledBy - Id of the owner closing the turf
+   * @returns {Array} The bookings that were cancelled
+   */
+  async cancelBookings(turf, closure, bookings, cancelledBy) {
+    const reason = turf.describeClosure(closure);
+    const cancelled = [];
+
+    for (const booking of bookings) {
+      try {
+        await booking.cancelBooking(cancelledBy, reason, { byOwner: true });
+        await refundService.initiateRefund(booking, { reason });
+        await SlotInstance.releaseForBookings([booking._id]);
+        cancelled.push(booking);
+      } catch (error) {
+        console.error(`Closure ${closure._id}: cancelling booking ${booking._id} failed:`, error.message);
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Tell each affected player about the closure by notification and email (best-effort)
+   * @param {Object} turf - Turf document
+   * @param {Object} closure - Item of turf.closures
+   * @param {Array} bookings - Affected booking documents
+   */
+  async notifyCustomers(turf, closure, bookings) {
+    const notice = turf.describeClosure(closure).replace(/^Turf/, turf.name);
+
+    for (const booking of bookings) {
+      if (!booking.customerId) {
+        continue;
+      }
+
+      const cancelled = booking.status === 'cancelled';
+      const slot = `${SlotInstance.toDateKey(booking.bookingDate, turf.getTimeZone())} ${booking.startTime}-${booking.endTime}`;
+      const message = cancelled
+        ? `${notice}. Your booking for ${slot} has been cancelled${booking.refundAmount > 0 ? ` and ₹${booking.refundAmount} is being refunded` : ''}.`
+        : `${notice}. Your booking for ${slot} falls in this period; please reschedule or contact the venue.`;
+
+      try {
+        await Notification.createNotification({
+          recipient: booking.customerId,
+          type: 'warning',
+          title: cancelled ? 'Booking cancelled: turf closed' : 'Turf closed during your booking',
+          message,
+          category: 'booking',
+          priority: 'high',
+          data: {
+            bookingId: booking._id,
+            turfId: turf._id,
+            closureId: closure._id,
+            refundAmount: booking.refundAmount
+          },
+          actionUrl: `/bookings/${booking._id}`,
+          relatedEntity: {
+            type: 'Booking',
+            id: booking._id
+          }
+        });
+      } catch (e) {
+        console.warn('Closure notification failed:', e.message);
+      }
+
+      try {
+        const user = await User.findById(booking.customerId).select('firstName email');
+        if (!user?.email) {
+          continue;
+        }
+
+        const { sendEmail } = require('../utils/universalEmailService');
+        const html = `
+          <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;max-width:600px;margin:0 auto;background:#f3f4f6;padding:24px;">
+            <div style="background:#ffffff;border-radius:16px;overflow:hidden;">
+              <div style="background:linear-gradient(135deg,#f59e0b,#d97706);padding:20px;color:#fff;text-align:center;">
+                <div style="font-size:20px;font-weight:700;">TurfEase</div>
+                <div style="font-size:14px;opacity:.9;margin-top:4px;">${turf.name} is closed</div>
+              </div>
+              <div style="padding:24px;color:#374151;">
+                <p style="margin:0 0 8px 0;color:#111827;font-weight:600;">Hi ${user.firstName || 'Player'},</p>
+                <p style="margin:0;">${message}</p>
+              </div>
+            </div>
+          </div>`;
+        await sendEmail(user.email, `${turf.name} is closed on your booking date`, html, message);
+      } catch (e) {
+        console.warn('Closure email failed:', e.message);
+      }
+    }
+  }
+}
+
+module.exports = new ClosureService();
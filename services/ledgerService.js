@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const { DEFAULT_TIMEZONE, zonedDateTime } = require('../utils/timezone');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class LedgerService {
+  /**
+   * Record the online payment on a booking and what the platform keeps of it.
+   * Safe to call more than once; each entry is only written the first time.
+   * @param {Object} booking - Booking document with razorpayPaymentId set
+   */
+  async recordBookingPayment(booking) {
+    if (!booking.razorpayPaymentId || !(booking.paymentAmount > 0)) {
+      return;
+    }
+
+    const base = {
+      ownerId: booking.ownerId,
+      turfId: booking.turfId?._id || booking.turfId,
+      bookingId: booking._id,
+      reference: booking.razorpayPaymentId,
+      occurredAt: booking.paidAt || new Date()
+    };
+
+    await this.addEntry({
+      ...base,
+      type: 'booking_payment',
+      amount: round(booking.paymentAmount),
+      description: `Online payment for booking ${booking.bookingCode || booking._id}`,
+      sourceKey: `payment:${booking._id}`
+    });
+
+    const commission = this.getCommission(booking);
+    if (commission > 0) {
+      await this.addEntry({
+        ...base,
+        type: 'commission',
+        amount: -commission,
+        description: `Platform commission (${booking.commissionPercent || 0}%) on booking ${booking.bookingCode || booking._id}`,
+        sourceKey: `commission:${booking._id}`
+      });
+    }
+
+    // The player's convenience fee is collected online but belongs to the platform
+    const fee = round(Math.min(booking.convenienceFee || 0, booking.paymentAmount));
+    if (fee > 0) {
+      await this.addEntry({
+        ...base,
+        type: 'convenience_fee',
+        amount: -fee,
+        description: `Convenience fee on booking ${booking.bookingCode || booking._id}`,
+        sourceKey: `convenience_fee:${booking._id}`
+      });
+    }
+  }
+
+  /**
+   * Record a processed refund and give back the matching share of commission and fees
+   * @param {Object} booking - Booking document with a processed refund
+   */
+  async recordRefund(booking) {
+    if (booking.refundStatus !== 'processed' || !(booking.refundAmount > 0)) {
+      return;
+    }
+
+    const base = {
+      ownerId: booking.ownerId,
+      turfId: booking.turfId?._id || booking.turfId,
+      bookingId: booking._id,
+      reference: booking.razorpayRefundId,
+      occurredAt: booking.refundedAt || new Date()
+    };
+
+    await this.addEntry({
+      ...base,
+      type: 'refund',
+      amount: -round(booking.refundAmount),
+      description: `Refund for booking ${booking.bookingCode || booking._id}`,
+      sourceKey: `refund:${booking._id}`
+    });
+
+    // Give back the refunded share of what the platform kept on the booking,
+    // including any adjustments made when it was rescheduled
+    const share = booking.paymentAmount > 0 ? Math.min(1, booking.refundAmount / booking.paymentAmount) : 0;
+    const platformEntries = await LedgerEntry.find({
+      sourceKey: {
+        $in: [
+          `commission:${booking._id}`,
+          `convenience_fee:${booking._id}`,
+          ...(booking.rescheduleHistory || []).flatMap(change => [
+            `commission_adjustment:${change._id}`,
+            `convenience_fee_adjustment:${change._id}`
+          ])
+        ]
+      }
+    });
+    const kept = { commission: 0, convenience_fee: 0 };
+    for (const entry of platformEntries) {
+      kept[entry.type.replace('_reversal', '')] -= entry.amount;
+    }
+    for (const type of Object.keys(kept)) {
+      const reversal = round(kept[type] * share);
+      if (reversal > 0) {
+        await this.addEntry({
+          ...base,
+          type: `${type}_reversal`,
+          amount: reversal,
+          description: `${type === 'commission' ? 'Commission' : 'Convenience fee'} returned on refund for booking ${booking.bookingCode || booking._id}`,
+          sourceKey: `${type}_reversal:${booking._id}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Record the change in commission and convenience fee after a paid booking
+   * was moved to a differently priced slot
+   * @param {Object} booking - Booking document after the reschedule
+   * @param {Object} change - The rescheduleHistory item
+   * @param {Object} previous - { commissionAmount, convenienceFee } before the move
+   */
+  async recordRescheduleAdjustment(booking, change, previous) {
+    if (!booking.razorpayPaymentId) {
+      return;
+    }
+
+    const base = {
+      ownerId: booking.ownerId,
+      turfId: booking.turfId?._id || booking.turfId,
+      bookingId: booking._id,
+      reference: booking.razorpayPaymentId,
+      occurredAt: change.changedAt || new Date()
+    };
+    const deltas = {
+      commission: round(this.getCommission(booking) - (previous.commissionAmount || 0)),
+      convenience_fee: round((booking.convenienceFee || 0) - (previous.convenienceFee || 0))
+    };
+
+    for (const [type, delta] of Object.entries(deltas)) {
+      if (delta === 0) {
+        continue;
+      }
+      await this.addEntry({
+        ...base,
+        type: delta > 0 ? type : `${type}_reversal`,
+        amount: -delta,
+        description: `${type === 'commission' ? 'Commission' : 'Convenience fee'} adjusted on reschedule of booking ${booking.bookingCode || booking._id}`,
+        sourceKey: `${type}_adjustment:${change._id}`
+      });
+    }
+  }
+
+  /**
+   * Record the online charge or refund that settled a reschedule's price difference
+   * @param {Object} booking - Booking document
+   * @param {Object} change - The rescheduleHistory item
+   */
+  async recordRescheduleSettlement(booking, change) {
+    const base = {
+      ownerId: booking.ownerId,
+      turfId: booking.turfId?._id || booking.turfId,
+      bookingId: booking._id,
+      occurredAt: new Date()
+    };
+
+    if (change.settlement === 'charge' && change.settlementStatus === 'paid') {
+      await this.addEntry({
+        ...base,
+        type: 'booking_payment',
+        amount: round(change.settlementAmount),
+        reference: change.razorpayPaymentId,
+        description: `Reschedule price difference paid for booking ${booking.bookingCode || booking._id}`,
+        sourceKey: `reschedule_payment:${change._id}`
+      });
+    } else if (change.settlement === 'refund' && change.settlementStatus === 'processed') {
+      await this.addEntry({
+        ...base,
+        type: 'refund',
+        amount: -round(change.settlementAmount),
+        reference: change.razorpayRefundId,
+        description: `Reschedule price difference refunded for booking ${booking.bookingCode || booking._id}`,
+        sourceKey: `reschedule_refund:${change._id}`
+      });
+    }
+  }
+
+  /**
+   * Get the platform commission recorded on a booking
+   * @param {Object} booking - Booking document
+   * @returns {number} Commission in rupees
+   */
+  getCommission(booking) {
+    return round(booking.commissionAmount || 0);
+  }
+
+  /**
+   * Write a ledger entry unless one with the same sourceKey already exists
+   * @param {Object} entry - LedgerEntry fields
+   * @returns {Object|null} The new entry, or null if it was already recorded
+   */
+  async addEntry(entry) {
+    try {
+      return await LedgerEntry.create(entry);
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise an owner's ledger
+   * @param {string} ownerId - Owner user id
+   * @returns {Object} Totals by entry type plus available and pending payout balances
+   */
+  async getSummary(ownerId) {
+    const owner = new mongoose.Types.ObjectId(ownerId);
+
+    const byType = await LedgerEntry.aggregate([
+      { $match: { ownerId: owner } },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]);
+    const totals = Object.fromEntries(byType.map(t => [t._id, round(t.total)]));
+
+    const pending = await PayoutBatch.aggregate([
+      { $match: { ownerId: owner, status: 'pending' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const pendingPayout = round(pending[0]?.total || 0);
+
+    const balance = round(Object.values(totals).reduce((sum, t) => sum + t, 0));
+
+    return {
+      grossEarnings: totals.booking_payment || 0,
+      refunds: -(totals.refund || 0),
+      commission: -round((totals.commission || 0) + (totals.commission_reversal || 0)),
+      convenienceFees: -round((totals.convenience_fee || 0) + (totals.convenience_fee_reversal || 0)),
+      paidOut: -(totals.payout || 0),
+      pendingPayout,
+      balance,
+      availableForPayout: round(balance - pendingPayout)
+    };
+  }
+
+  /**
+   * Build an owner's statement for a calendar month, in the platform's
+   * default timezone
+   * @param {string} ownerId - Owner user id
+   * @param {string} month - Month in YYYY-MM form
+   * @returns {Object} Opening/closing balance, totals and entries for the month
+   */
+  async getMonthlyStatement(ownerId, month) {
+    const [year, mon] = month.split('-').map(Number);
+    const next = mon === 12 ? `${year + 1}-01` : `${year}-${String(mon + 1).padStart(2, '0')}`;
+    const from = zonedDateTime(`${month}-01`, '00:00', DEFAULT_TIMEZONE);
+    const to = zonedDateTime(`${next}-01`, '00:00', DEFAULT_TIMEZONE);
+    const owner = new mongoose.Types.ObjectId(ownerId);
+
+    const opening = await LedgerEntry.aggregate([
+      { $match: { ownerId: owner, occurredAt: { $lt: from } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const openingBalance = round(opening[0]?.total || 0);
+
+    const entries = await LedgerEntry.find({ ownerId: owner, occurredAt: { $gte: from, $lt: to } })
+      .populate('turfId', 'name')
+      .populate('bookingId', 'bookingCode bookingDate startTime endTime')
+      .sort({ occurredAt: 1 });
+
+    const totals = {};
+    for (const entry of entries) {
+      totals[entry.type] = round((totals[entry.type] || 0) + entry.amount);
+    }
+    const net = round(entries.reduce((sum, e) => sum + e.amount, 0));
+
+    return {
+      month,
+      from,
+      to,
+      openingBalance,
+      closingBalance: round(openingBalance + net),
+      totals,
+      entries
+    };
+  }
+
+  /**
+   * Put all of an owner's unsettled entries up to periodEnd into a payout batch
+   * @param {string} ownerId - Owner user id
+   * @param {Date} periodEnd - Latest entry date to include
+   * @param {string} createdBy - Admin user id
+   * @returns {Object} The new PayoutBatch
+   */
+  async createPayoutBatch(ownerId, periodEnd, createdBy) {
+    const batchId = new mongoose.Types.ObjectId();
+    const owner = new mongoose.Types.ObjectId(ownerId);
+
+    // Claim the entries first so two batches can never include the same entry
+    await LedgerEntry.updateMany(
+      { ownerId: owner, payoutBatchId: null, type: { $ne: 'payout' }, occurredAt: { $lte: periodEnd } },
+      { $set: { payoutBatchId: batchId } }
+    );
+
+    const [claimed] = await LedgerEntry.aggregate([
+      { $match: { payoutBatchId: batchId } },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 }, first: { $min: '$occurredAt' } } }
+    ]);
+
+    if (!claimed || claimed.total <= 0) {
+      await LedgerEntry.updateMany({ payoutBatchId: batchId }, { $unset: { payoutBatchId: 1 } });
+      throw new Error('Owner has no positive balance to pay out for this period');
+    }
+
+    return PayoutBatch.create({
+      _id: batchId,
+      ownerId: owner,
+      periodStart: claimed.first,
+      periodEnd,
+      amount: round(claimed.total),
+      entryCount: claimed.count,
+      createdBy
+    });
+  }
+
+  /**
+   * Mark a pending payout batch as paid and debit it from the owner's ledger
+   * @param {string} batchId - PayoutBatch id
+   * @param {Object} details - { reference, notes } for the transfer
+   * @param {string} settledBy - Admin user id
+   * @returns {Object|null} The settled batch, or null if it was not pending
+   */
+  async settlePayoutBatch(batchId, details, settledBy) {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: 'pending' },
+      {
+        $set: {
+          status: 'settled',
+          reference: details.reference,
+          notes: details.notes,
+          settledAt: new Date(),
+          settledBy
+        }
+      },
+      { new: true }
+    );
+
+    if (!batch) {
+      return null;
+    }
+
+    await this.addEntry({
+      ownerId: batch.ownerId,
+      type: 'payout',
+      amount: -batch.amount,
+      description: `Payout ${details.reference ? `(${details.reference}) ` : ''}for ${batch.entryCount} entries`,
+      reference: details.reference,
+      sourceKey: `payout:${batch._id}`,
+      payoutBatchId: batch._id,
+      occurredAt: batch.settledAt
+    });
+
+    return batch;
+  }
+
+  /**
+   * Cancel a pending payout batch and release its entries
+   * @param {string} batchId - PayoutBatch id
+   * @returns {Object|null} The cancelled batch, or null if it was not pending
+   */
+  async cancelPayoutBatch(batchId) {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (batch) {
+      await LedgerEntry.updateMany({ payoutBatchId: batch._id }, { $unset: { payoutBatchId: 1 } });
+    }
+
+    return batch;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,394 @@
+const Booking = require('../models/Booking');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const razorpay = require('../config/razorpay');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
+const rescheduleService = require('./rescheduleService');
+const splitPaymentService = require('./splitPaymentService');
+const PaymentSplit = require('../models/PaymentSplit');
+const { addDays, nowInZone, zonedDayRange } = require('../utils/timezone');
+
+// Razorpay returns at most 100 records per page
+const PAGE_SIZE = 100;
+
+// Booking payment states that already account for a captured payment
+const RECORDED_STATUSES = ['paid', 'partial', 'refunded'];
+
+class ReconciliationService {
+  /**
+   * Reconcile the previous day unless it already has a report.
+   * Called periodically from server.js so a restart never skips a day.
+   * @returns {Object|null} The new report, or null if nothing was due
+   */
+  async runDueReconciliation() {
+    const date = addDays(nowInZone().dateKey, -1);
+
+    const existing = await ReconciliationReport.findOne({ date });
+    if (existing && existing.status !== 'failed') {
+      return null;
+    }
+
+    return this.reconcileDate(date);
+  }
+
+  /**
+   * Compare one day of Razorpay payments with Booking records.
+   * Captured payments whose bookings are still pending are recorded on the
+   * bookings; everything else that does not line up is reported.
+   * @param {string} date - Day to reconcile in YYYY-MM-DD form
+   * @param {Object} options - Optional { triggeredBy } admin user id
+   * @returns {Object} The saved ReconciliationReport
+   */
+  async reconcileDate(date, options = {}) {
+    // Days run in the platform's default timezone
+    const { $gte: from, $lt: dayEnd } = zonedDayRange(date);
+    const to = new Date(dayEnd.getTime() - 1);
+    if (isNaN(from.getTime())) {
+      throw new Error('Invalid date format');
+    }
+
+    const report = await ReconciliationReport.findOneAndUpdate(
+      { date },
+      {
+        $set: {
+          status: 'running',
+          summary: {},
+          fixed: [],
+          discrepancies: [],
+          triggeredBy: options.triggeredBy
+        },
+        $unset: { error: 1, completedAt: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+      const payments = await this.fetchPayments(from, to);
+      const capturedOrders = new Set();
+
+      for (const payment of payments) {
+        if (payment.status === 'captured' && payment.order_id) {
+          capturedOrders.add(payment.order_id);
+        }
+        await this.checkPayment(payment, report);
+      }
+
+      // Bookings recorded as paid that day must have a captured payment behind them
+      const recorded = await Booking.find({
+        razorpayOrderId: { $exists: true, $ne: null },
+        paidAt: { $gte: from, $lte: to },
+        paymentStatus: { $in: ['paid', 'partial'] }
+      });
+
+      const byOrder = new Map();
+      for (const booking of recorded) {
+        const list = byOrder.get(booking.razorpayOrderId) || [];
+        list.push(booking);
+        byOrder.set(booking.razorpayOrderId, list);
+      }
+
+      for (const [orderId, bookings] of byOrder) {
+        if (capturedOrders.has(orderId)) {
+          continue;
+        }
+
+        // The capture may fall outside the day's window, so ask for the order itself
+        const orderPayments = await razorpay.getClient().orders.fetchPayments(orderId);
+        const captured = (orderPayments.items || []).find(p => p.status === 'captured');
+        if (captured) {
+          await this.checkPayment(captured, report);
+          continue;
+        }
+
+        report.discrepancies.push({
+          type: 'recorded_not_captured',
+          orderId,
+          paymentId: bookings[0].razorpayPaymentId,
+          bookingIds: bookings.map(b => b._id),
+          bookingAmount: this.sumPaymentAmounts(bookings),
+          detail: 'Booking is marked paid but Razorpay has no captured payment for the order'
+        });
+      }
+
+      report.summary = {
+        paymentsChecked: payments.length,
+        bookingsChecked: recorded.length,
+        autoFixed: report.fixed.length,
+        discrepancies: report.discrepancies.length
+      };
+      report.status = 'completed';
+      report.completedAt = new Date();
+      await report.save();
+
+      console.log(`Reconciliation for ${date}: ${payments.length} payments, ${report.fixed.length} fixed, ${report.discrepancies.length} discrepancies`);
+      return report;
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.error?.description || error.message;
+      await report.save();
+
+      console.error(`Reconciliation for ${date} failed:`, report.error);
+      return report;
+    }
+  }
+
+  /**
+   * Fetch every Razorpay payment created in a time window
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Array} Razorpay payment entities
+   */
+  async fetchPayments(from, to) {
+    const payments = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const page = await razorpay.getClient().payments.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000),
+        count: PAGE_SIZE,
+        skip
+      });
+      const items = page.items || [];
+      payments.push(...items);
+      if (items.length < PAGE_SIZE) {
+        break;
+      }
+    }
+    return payments;
+  }
+
+  /**
+   * Check one Razorpay payment against the bookings on its order, recording
+   * fixes and discrepancies on the report
+   * @param {Object} payment - Razorpay payment entity
+   * @param {Object} report - ReconciliationReport document being built
+   */
+  async checkPayment(payment, report) {
+    if (payment.status === 'authorized') {
+      report.discrepancies.push({
+        type: 'authorized_not_captured',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        gatewayAmount: payment.amount / 100,
+        detail: 'Payment was authorized but never captured'
+      });
+      return;
+    }
+
+    if (payment.status !== 'captured') {
+      return;
+    }
+
+    const bookings = payment.order_id ? await Booking.find({ razorpayOrderId: payment.order_id }) : [];
+    if (bookings.length === 0 && payment.order_id) {
+      const share = await PaymentSplit.findByOrderId(payment.order_id);
+      if (share) {
+        await this.checkSplitPayment(share, payment, report);
+        return;
+      }
+
+      const rescheduled = await Booking.findOne({ 'rescheduleHistory.razorpayOrderId': payment.order_id });
+      if (rescheduled) {
+        await this.checkRescheduleCharge(rescheduled, payment, report);
+        return;
+      }
+    }
+    if (bookings.length === 0) {
+      report.discrepancies.push({
+        type: 'orphan_payment',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        gatewayAmount: payment.amount / 100,
+        detail: 'Captured payment has no booking'
+      });
+      return;
+    }
+
+    const unrecorded = bookings.filter(b => !RECORDED_STATUSES.includes(b.paymentStatus));
+    const fixable = unrecorded.filter(b => ['held', 'expired', 'confirmed', 'pending'].includes(b.status));
+    const stuck = unrecorded.filter(b => !fixable.includes(b));
+
+    if (fixable.length > 0) {
+      const notes = [];
+      for (const booking of fixable) {
+        const secured = await this.recordCapturedPayment(booking, payment);
+        notes.push(secured ? `${booking._id} confirmed` : `${booking._id} lost its slot, refund initiated`);
+      }
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: fixable.map(b => b._id),
+        amount: payment.amount / 100,
+        detail: `Captured payment recorded: ${notes.join('; ')}`
+      });
+    }
+
+    // Bookings marked paid from an event without the payment id
+    const filled = await Booking.fillMissingPaymentId(payment.order_id, payment.id);
+    if (filled.length > 0) {
+      for (const booking of filled) {
+        await ledgerService.recordBookingPayment(booking);
+      }
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: filled.map(b => b._id),
+        amount: payment.amount / 100,
+        detail: 'Missing payment id recorded on paid booking(s)'
+      });
+    }
+
+    if (stuck.length > 0) {
+      report.discrepancies.push({
+        type: 'captured_not_recorded',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: stuck.map(b => b._id),
+        gatewayAmount: payment.amount / 100,
+        bookingAmount: this.sumPaymentAmounts(stuck),
+        detail: `Payment captured for ${stuck.map(b => b.status).join(', ')} booking(s)`
+      });
+    }
+
+    // A rescheduled booking's paymentAmount also moves with its price
+    // difference charges and refunds, so it no longer matches the first order
+    const bookingPaise = Math.round(this.sumPaymentAmounts(bookings) * 100);
+    const rescheduled = bookings.some(b => b.rescheduleHistory?.some(c => c.settlement !== 'none'));
+    if (!rescheduled && bookingPaise !== payment.amount) {
+      report.discrepancies.push({
+        type: 'amount_mismatch',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: bookings.map(b => b._id),
+        gatewayAmount: payment.amount / 100,
+        bookingAmount: bookingPaise / 100,
+        detail: 'Captured amount differs from the amount recorded on the bookings'
+      });
+    }
+  }
+
+  /**
+   * Check a captured payment for a split booking share or cover, recording
+   * it if verification never ran
+   * @param {Object} share - { split, participant, isCover } from PaymentSplit.findByOrderId
+   * @param {Object} payment - Razorpay payment entity
+   * @param {Object} report - ReconciliationReport document being built
+   */
+  async checkSplitPayment({ split, participant, isCover }, payment, report) {
+    const entry = isCover ? split.cover : participant;
+
+    if (!['paid', 'refunded'].includes(entry.status)) {
+      const { accepted } = await splitPaymentService.markPaid(payment.order_id, payment.id);
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [split.bookingId],
+        amount: payment.amount / 100,
+        detail: accepted
+          ? 'Split payment share recorded'
+          : 'Split payment share was no longer owed, refund initiated'
+      });
+    } else if (entry.status === 'paid' && !entry.razorpayPaymentId) {
+      await splitPaymentService.markPaid(payment.order_id, payment.id);
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [split.bookingId],
+        amount: payment.amount / 100,
+        detail: 'Missing payment id recorded on split payment share'
+      });
+    }
+
+    if (Math.round(entry.amount * 100) !== payment.amount) {
+      report.discrepancies.push({
+        type: 'amount_mismatch',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [split.bookingId],
+        gatewayAmount: payment.amount / 100,
+        bookingAmount: entry.amount,
+        detail: 'Captured amount differs from the split share'
+      });
+    }
+  }
+
+  /**
+   * Check a captured payment for a reschedule's price difference, recording
+   * it if verification never ran
+   * @param {Object} booking - Booking whose rescheduleHistory holds the order
+   * @param {Object} payment - Razorpay payment entity
+   * @param {Object} report - ReconciliationReport document being built
+   */
+  async checkRescheduleCharge(booking, payment, report) {
+    const change = booking.rescheduleHistory.find(c => c.razorpayOrderId === payment.order_id);
+
+    if (['pending', 'failed'].includes(change.settlementStatus)) {
+      const { change: settled } = await rescheduleService.markChargePaid(payment.order_id, payment.id);
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [booking._id],
+        amount: payment.amount / 100,
+        detail: settled.settlementStatus === 'paid'
+          ? 'Reschedule charge recorded'
+          : 'Reschedule charge was no longer due, refund initiated'
+      });
+    } else if (change.settlementStatus === 'paid' && !change.razorpayPaymentId) {
+      await rescheduleService.markChargePaid(payment.order_id, payment.id);
+      report.fixed.push({
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [booking._id],
+        amount: payment.amount / 100,
+        detail: 'Missing payment id recorded on reschedule charge'
+      });
+    }
+
+    if (Math.round(change.settlementAmount * 100) !== payment.amount) {
+      report.discrepancies.push({
+        type: 'amount_mismatch',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        bookingIds: [booking._id],
+        gatewayAmount: payment.amount / 100,
+        bookingAmount: change.settlementAmount,
+        detail: 'Captured amount differs from the reschedule price difference'
+      });
+    }
+  }
+
+  /**
+   * Record a captured payment on a booking whose verification never ran and
+   * confirm its slot, refunding if the slot was lost in the meantime
+   * @param {Object} booking - Booking document
+   * @param {Object} payment - Razorpay payment entity
+   * @returns {boolean} Whether the slot was secured
+   */
+  async recordCapturedPayment(booking, payment) {
+    booking.paymentStatus = booking.getOnlinePaymentStatus();
+    booking.paymentMethod = 'online';
+    booking.razorpayPaymentId = payment.id;
+    booking.paidAt = new Date(payment.created_at * 1000);
+    await booking.save();
+    await ledgerService.recordBookingPayment(booking);
+
+    const secured = await booking.confirmHold();
+    if (!secured) {
+      booking.refundAmount = booking.paymentAmount;
+      booking.refundStatus = 'pending';
+      await booking.save();
+      await refundService.initiateRefund(booking, { reason: 'Slot no longer available when payment was reconciled' });
+    }
+    return secured;
+  }
+
+  /**
+   * Sum the online amounts recorded on bookings, in rupees
+   * @param {Array} bookings - Booking documents
+   * @returns {number} Total amount
+   */
+  sumPaymentAmounts(bookings) {
+    return Math.round(bookings.reduce((sum, b) => sum + (b.paymentAmount || 0), 0) * 100) / 100;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,290 @@
+const Booking = require('../models/Booking');
+const PaymentSplit = require('../models/PaymentSplit');
+const razorpay = require('../config/razorpay');
+const ledgerService = require('./ledgerService');
+
+class RefundService {
+  /**
+   * Initiate the Razorpay refund owed on a cancelled booking.
+   * Only bookings paid online with a pending refund are refunded; cash and
+   * UPI-at-venue payments are settled by the owner at the desk. A refund
+   * that failed part-way can be retried; the parts Razorpay already
+   * accepted are not refunded again.
+   * @param {Object} booking - Booking document with refundAmount/refundStatus set
+   * @param {Object} options - Optional { reason } recorded on the refund
+   * @returns {Object} Result with initiated flag and refund id or error
+   */
+  async initiateRefund(booking, options = {}) {
+    if (!['pending', 'failed'].includes(booking.refundStatus) || !(booking.refundAmount > 0)) {
+      return { initiated: false, reason: 'No refund owed' };
+    }
+    if (!booking.razorpayPaymentId) {
+      return { initiated: false, reason: 'Booking was not paid online' };
+    }
+    const owed = Math.round((booking.refundAmount - this.getPlacedAmount(booking)) * 100) / 100;
+    if (owed <= 0 || (booking.razorpayRefundId && booking.refunds.length === 0)) {
+      return { initiated: false, reason: 'Refund already initiated' };
+    }
+
+    try {
+      // Every refund is tracked as soon as Razorpay accepts it, so the
+      // webhook for each one can be matched and a retry skips it
+      await this.refundPayments(booking, owed, {
+        receipt: `refund_${booking._id}`,
+        reason: options.reason || booking.cancellationReason || 'Booking cancelled',
+        onRefund: async (refund) => {
+          booking.refunds.push({
+            razorpayRefundId: refund.id,
+            amount: refund.amount / 100,
+            status: refund.status === 'processed' ? 'processed' : 'pending'
+          });
+          booking.razorpayRefundId = booking.razorpayRefundId || refund.id;
+          await booking.save();
+        }
+      });
+
+      booking.refundStatus = 'pending';
+      booking.refundError = undefined;
+      if (booking.refunds.every(r => r.status === 'processed')) {
+        this.markProcessed(booking);
+      }
+      await booking.save();
+      await ledgerService.recordRefund(booking);
+
+      console.log(`Refund ${booking.razorpayRefundId} initiated for booking ${booking._id}`);
+      return { initiated: true, refundId: booking.razorpayRefundId, status: booking.refundStatus };
+    } catch (error) {
+      booking.refundStatus = 'failed';
+      booking.refundError = error.error?.description || error.message;
+      await booking.save();
+
+      console.error(`Refund initiation failed for booking ${booking._id}:`, booking.refundError);
+      return { initiated: false, error: booking.refundError };
+    }
+  }
+
+  /**
+   * Sum the refunds Razorpay has accepted towards a booking's cancellation
+   * @param {Object} booking - Booking document
+   * @returns {number} Amount in rupees
+   */
+  getPlacedAmount(booking) {
+    return (booking.refunds || []).reduce((sum, r) => sum + (r.amount || 0), 0);
+  }
+
+  /**
+   * Refund an amount across the payments made on a booking. The original
+   * payment is refunded first, then any reschedule charges, newest first.
+   * Refunds already placed on the booking count against the original
+   * payment and the charges they came from.
+   * @param {Object} booking - Booking document paid online
+   * @param {number} amount - Amount to refund in rupees
+   * @param {Object} options - { receipt, reason } recorded on the refunds, and
+   *   an optional async onRefund(refund) called as each refund is accepted
+   * @returns {Array} Razorpay refund entities, original payment first
+   */
+  async refundPayments(booking, amount, options = {}) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const charges = booking.getPaidRescheduleCharges();
+    const chargedOnTop = charges.reduce((sum, c) => sum + c.settlementAmount - (c.refundedAmount || 0), 0);
+    const placed = this.getPlacedAmount(booking);
+    const onRefund = options.onRefund || (async () => {});
+    const client = razorpay.getClient();
+    const notes = {
+      bookingId: booking._id.toString(),
+      reason: options.reason
+    };
+
+    const refunds = [];
+    let remaining = round(amount);
+    const fromOriginal = round(Math.min(remaining, booking.paymentAmount - chargedOnTop - placed));
+    if (fromOriginal > 0) {
+      // A booking paid by teammates is refunded to each of them
+      const split = await PaymentSplit.findOne({ bookingId: booking._id, status: 'completed' });
+      if (split) {
+        refunds.push(...await this.refundSplitPayments(split, fromOriginal, notes, onRefund));
+      } else {
+        const refund = await client.payments.refund(booking.razorpayPaymentId, {
+          amount: Math.round(fromOriginal * 100), // Convert to paise
+          speed: 'normal',
+          receipt: options.receipt,
+          notes
+        });
+        refunds.push(refund);
+        await onRefund(refund);
+      }
+      remaining = round(remaining - fromOriginal);
+    }
+
+    for (const charge of [...charges].reverse()) {
+      const refundable = round(Math.min(remaining, charge.settlementAmount - (charge.refundedAmount || 0)));
+      if (refundable <= 0) {
+        continue;
+      }
+      const refund = await client.payments.refund(charge.razorpayPaymentId, {
+        amount: Math.round(refundable * 100),
+        speed: 'normal',
+        receipt: `${options.receipt}_${charge._id}`.slice(0, 40),
+        notes
+      });
+      charge.refundedAmount = round((charge.refundedAmount || 0) + refundable);
+      charge.razorpayRefundId = refund.id;
+      refunds.push(refund);
+      remaining = round(remaining - refundable);
+      await onRefund(refund);
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Refund an amount across a split booking's payments in proportion to
+   * what each teammate still has paid in. Each share is saved on the split
+   * as soon as it is refunded.
+   * @param {Object} split - Completed PaymentSplit document
+   * @param {number} amount - Amount to refund in rupees
+   * @param {Object} notes - Notes recorded on the refunds
+   * @param {Function} onRefund - Optional async callback for each refund
+   * @returns {Array} Razorpay refund entities
+   */
+  async refundSplitPayments(split, amount, notes, onRefund = async () => {}) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const payments = split.getPayments().filter(p => p.refundable > 0);
+    const pool = payments.reduce((sum, p) => sum + p.refundable, 0);
+
+    const refunds = [];
+    let remaining = round(Math.min(amount, pool));
+    for (const [i, payment] of payments.entries()) {
+      const share = i === payments.length - 1
+        ? remaining
+        : round(Math.min(remaining, (amount * payment.refundable) / pool));
+      if (share <= 0) {
+        continue;
+      }
+
+      const refund = await razorpay.getClient().payments.refund(payment.paymentId, {
+        amount: Math.round(share * 100),
+        speed: 'normal',
+        notes: { ...notes, splitId: split._id.toString() }
+      });
+      payment.entry.refundedAmount = round((payment.entry.refundedAmount || 0) + share);
+      payment.entry.razorpayRefundId = refund.id;
+      refunds.push(refund);
+      remaining = round(remaining - share);
+      await split.save();
+      await onRefund(refund);
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Refund the price drop on a paid booking that was moved to a cheaper slot
+   * @param {Object} booking - Booking document
+   * @param {Object} change - rescheduleHistory item with settlement 'refund'
+   * @returns {Object} Result with initiated flag and refund id or error
+   */
+  async refundRescheduleDifference(booking, change) {
+    try {
+      const refunds = await this.refundPayments(booking, change.settlementAmount, {
+        receipt: `reschedule_${change._id}`,
+        reason: 'Booking rescheduled to a cheaper slot'
+      });
+
+      change.razorpayRefundId = refunds[0]?.id;
+      change.settlementStatus = refunds.every(r => r.status === 'processed') ? 'processed' : 'pending';
+      booking.paymentAmount = Math.round((booking.paymentAmount - change.settlementAmount) * 100) / 100;
+      await booking.save();
+      await ledgerService.recordRescheduleSettlement(booking, change);
+
+      return { initiated: true, refundId: change.razorpayRefundId, status: change.settlementStatus };
+    } catch (error) {
+      change.settlementStatus = 'failed';
+      change.settlementError = error.error?.description || error.message;
+      await booking.save();
+
+      console.error(`Reschedule refund failed for booking ${booking._id}:`, change.settlementError);
+      return { initiated: false, error: change.settlementError };
+    }
+  }
+
+  /**
+   * Apply a refund.processed / refund.failed webhook to its booking
+   * @param {Object} refund - Razorpay refund entity from the webhook payload
+   * @param {string} status - 'processed' or 'failed'
+   * @returns {Object|null} Updated booking, or null if none matched
+   */
+  async handleRefundEvent(refund, status) {
+    const rescheduled = await Booking.findOne({ 'rescheduleHistory.razorpayRefundId': refund.id });
+    const cancellationRefund = rescheduled && (rescheduled.razorpayRefundId === refund.id
+      || rescheduled.refunds?.some(r => r.razorpayRefundId === refund.id));
+    if (rescheduled && !cancellationRefund) {
+      const change = rescheduled.rescheduleHistory.find(c => c.razorpayRefundId === refund.id);
+      // A charge refunded along with a cancellation is tracked on the booking itself
+      if (change.settlement === 'refund' && change.settlementStatus !== 'processed') {
+        change.settlementStatus = status;
+        change.settlementError = status === 'failed'
+          ? refund.error_description || 'Refund failed at gateway'
+          : undefined;
+        await rescheduled.save();
+        await ledgerService.recordRescheduleSettlement(rescheduled, change);
+      }
+
+      console.log(`Refund ${refund.id} ${status} for rescheduled booking ${rescheduled._id}`);
+      return rescheduled;
+    }
+
+    const error = status === 'failed' ? refund.error_description || 'Refund failed at gateway' : undefined;
+
+    // Parts of one refund can settle at the same time, so each records its
+    // status with a single update and the result is read back afterwards
+    const booking = await Booking.findOneAndUpdate(
+      { 'refunds.razorpayRefundId': refund.id },
+      error
+        ? { $set: { 'refunds.$.status': status, 'refunds.$.error': error } }
+        : { $set: { 'refunds.$.status': status }, $unset: { 'refunds.$.error': 1 } },
+      { new: true }
+    )
+      || await Booking.findOne({ razorpayRefundId: refund.id })
+      || await Booking.findOne({ razorpayPaymentId: refund.payment_id, refundStatus: { $in: ['pending', 'failed'] } });
+
+    if (!booking) {
+      console.log(`No booking found for refund ${refund.id}`);
+      return null;
+    }
+
+    const tracked = booking.refunds?.some(r => r.razorpayRefundId === refund.id);
+    const statuses = tracked ? booking.refunds.map(r => r.status) : [status];
+    if (!tracked) {
+      booking.razorpayRefundId = refund.id;
+    }
+
+    // One failed part fails the refund; it is processed once every part is
+    if (statuses.includes('failed')) {
+      booking.refundStatus = 'failed';
+      booking.refundError = error || booking.refunds.find(r => r.status === 'failed').error;
+    } else if (statuses.every(s => s === 'processed') && (!tracked || this.getPlacedAmount(booking) >= booking.refundAmount)) {
+      this.markProcessed(booking);
+    }
+    await booking.save();
+    await ledgerService.recordRefund(booking);
+
+    console.log(`Refund ${refund.id} ${status} for booking ${booking._id}`);
+    return booking;
+  }
+
+  /**
+   * Mark a booking's refund as processed
+   * @param {Object} booking - Booking document
+   */
+  markProcessed(booking) {
+    booking.refundStatus = 'processed';
+    booking.refundedAt = new Date();
+    booking.refundError = undefined;
+    if (booking.refundAmount >= booking.paymentAmount) {
+      booking.paymentStatus = 'refunded';
+    }
+  }
+}
+
+module.exports = new RefundService();
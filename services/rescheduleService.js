@@ -0,0 +1,164 @@
+const Booking = require('../models/Booking');
+const razorpay = require('../config/razorpay');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class RescheduleService {
+  /**
+   * Settle the price difference after a booking was moved to another slot.
+   * Only money already paid online is adjusted: a cheaper slot refunds the
+   * overpayment and a dearer fully-paid slot gets a Razorpay order for the
+   * difference. Anything else is picked up at checkout or at the venue.
+   * @param {Object} booking - Booking document already saved on its new slot
+   * @param {Object} change - The booking's new rescheduleHistory item
+   * @param {Object} previous - { commissionAmount, convenienceFee, paymentStatus } before the move
+   * @returns {Object} Settlement summary for the response
+   */
+  async settleDifference(booking, change, previous) {
+    if (!booking.razorpayPaymentId || !['paid', 'partial'].includes(booking.paymentStatus)) {
+      return this.summarise(change);
+    }
+
+    await ledgerService.recordRescheduleAdjustment(booking, change, previous);
+
+    const total = booking.getPriceBreakdown().total;
+    const collected = booking.balancePayment?.amount || 0;
+    const paid = round((booking.paymentAmount || 0) + collected);
+
+    if (paid > total) {
+      // Only the online part can go back through Razorpay
+      change.settlement = 'refund';
+      change.settlementAmount = round(Math.min(paid - total, booking.paymentAmount));
+      change.settlementStatus = 'pending';
+      await refundService.refundRescheduleDifference(booking, change);
+    } else if (total > paid && previous.paymentStatus === 'paid') {
+      change.settlement = 'charge';
+      change.settlementAmount = round(total - paid);
+      change.settlementStatus = 'pending';
+      await this.createChargeOrder(booking, change);
+    }
+
+    booking.paymentStatus = round((booking.paymentAmount || 0) + collected) >= total ? 'paid' : 'partial';
+    await booking.save();
+    return this.summarise(change);
+  }
+
+  /**
+   * Create the Razorpay order the player pays the price increase with. If it
+   * cannot be created the difference stays due at the venue.
+   * @param {Object} booking - Booking document
+   * @param {Object} change - rescheduleHistory item with settlement 'charge'
+   */
+  async createChargeOrder(booking, change) {
+    try {
+      const order = await razorpay.getClient().orders.create({
+        amount: Math.round(change.settlementAmount * 100), // Convert to paise
+        currency: 'INR',
+        receipt: `reschedule_${change._id}`,
+        notes: {
+          bookingId: booking._id.toString(),
+          purpose: 'reschedule',
+          timeSlot: `${booking.startTime} - ${booking.endTime}`
+        }
+      });
+      change.razorpayOrderId = order.id;
+    } catch (error) {
+      change.settlementStatus = 'failed';
+      change.settlementError = error.error?.description || error.message;
+      console.error(`Reschedule charge order failed for booking ${booking._id}:`, change.settlementError);
+    }
+  }
+
+  /**
+   * Record a captured payment for a reschedule charge order. If the difference
+   * was meanwhile collected at the venue, or the booking was cancelled, the
+   * payment is refunded instead.
+   * @param {string} orderId - Razorpay order id
+   * @param {string|null} paymentId - Razorpay payment id, when known
+   * @returns {Object|null} { booking, change }, or null if no charge uses the order
+   */
+  async markChargePaid(orderId, paymentId) {
+    const booking = await Booking.findOne({ 'rescheduleHistory.razorpayOrderId': orderId });
+    if (!booking) {
+      return null;
+    }
+
+    const change = booking.rescheduleHistory.find(c => c.razorpayOrderId === orderId);
+    if (['paid', 'refunded'].includes(change.settlementStatus)) {
+      // Marked paid earlier without the payment id, which a refund needs
+      if (paymentId && change.settlementStatus === 'paid' && !change.razorpayPaymentId) {
+        change.razorpayPaymentId = paymentId;
+        await booking.save();
+      }
+      return { booking, change };
+    }
+    if (paymentId) {
+      change.razorpayPaymentId = paymentId;
+    }
+
+    if (booking.getBalanceDue() < change.settlementAmount) {
+      await this.refundCharge(booking, change);
+      return { booking, change };
+    }
+
+    change.settlementStatus = 'paid';
+    change.settlementError = undefined;
+    booking.paymentAmount = round((booking.paymentAmount || 0) + change.settlementAmount);
+    if (booking.getBalanceDue() <= 0) {
+      booking.paymentStatus = 'paid';
+    }
+    await booking.save();
+    await ledgerService.recordRescheduleSettlement(booking, change);
+
+    console.log(`Reschedule charge ${orderId} paid for booking ${booking._id}`);
+    return { booking, change };
+  }
+
+  /**
+   * Give back a reschedule charge that is no longer owed
+   * @param {Object} booking - Booking document
+   * @param {Object} change - rescheduleHistory item with settlement 'charge'
+   */
+  async refundCharge(booking, change) {
+    try {
+      if (change.razorpayPaymentId) {
+        const refund = await razorpay.getClient().payments.refund(change.razorpayPaymentId, {
+          amount: Math.round(change.settlementAmount * 100),
+          speed: 'normal',
+          notes: {
+            bookingId: booking._id.toString(),
+            reason: 'Reschedule difference no longer due'
+          }
+        });
+        change.razorpayRefundId = refund.id;
+      }
+      change.settlementStatus = 'refunded';
+      change.settlementError = change.razorpayPaymentId ? undefined : 'Payment id unknown, refund manually';
+    } catch (error) {
+      change.settlementError = error.error?.description || error.message;
+      console.error(`Refund of reschedule charge failed for booking ${booking._id}:`, change.settlementError);
+    }
+    await booking.save();
+  }
+
+  /**
+   * Shape a rescheduleHistory item's settlement for API responses
+   * @param {Object} change - rescheduleHistory item
+   * @returns {Object} Settlement summary
+   */
+  summarise(change) {
+    return {
+      priceDifference: change.priceDifference,
+      settlement: change.settlement,
+      status: change.settlementStatus,
+      amount: change.settlementAmount,
+      orderId: change.razorpayOrderId,
+      refundId: change.razorpayRefundId,
+      error: change.settlementError
+    };
+  }
+}
+
+module.exports = new RescheduleService();
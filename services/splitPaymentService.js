@@ -0,0 +1,361 @@
+const Booking = require('../models/Booking');
+const PaymentSplit = require('../models/PaymentSplit');
+const Notification = require('../models/Notification');
+const razorpay = require('../config/razorpay');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class SplitPaymentService {
+  /**
+   * Get the Razorpay order a participant pays their share with. An order
+   * created earlier is reused so a payment on it is never lost.
+   * @param {Object} split - PaymentSplit document
+   * @param {Object} participant - The participant's share
+   * @returns {Object} Razorpay order
+   */
+  async createShareOrder(split, participant) {
+    if (participant.razorpayOrderId) {
+      return razorpay.getClient().orders.fetch(participant.razorpayOrderId);
+    }
+
+    const order = await razorpay.getClient().orders.create({
+      amount: Math.round(participant.amount * 100), // Convert to paise
+      currency: 'INR',
+      receipt: `split_${participant._id}`,
+      notes: {
+        bookingId: split.bookingId.toString(),
+        splitId: split._id.toString(),
+        purpose: 'split_share',
+        participant: participant.name || participant.phone || 'Player'
+      }
+    });
+
+    participant.razorpayOrderId = order.id;
+    await split.save();
+    return order;
+  }
+
+  /**
+   * Get the order the organiser pays every unpaid share with
+   * @param {Object} split - PaymentSplit document
+   * @returns {Object} Razorpay order
+   */
+  async createCoverOrder(split) {
+    if (split.cover?.status === 'pending') {
+      return razorpay.getClient().orders.fetch(split.cover.razorpayOrderId);
+    }
+
+    const amount = round(split.getUnpaidShares().reduce((sum, p) => sum + p.amount, 0));
+    const order = await razorpay.getClient().orders.create({
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt: `split_cover_${split._id}`,
+      notes: {
+        bookingId: split.bookingId.toString(),
+        splitId: split._id.toString(),
+        purpose: 'split_cover'
+      }
+    });
+
+    split.cover = { amount, status: 'pending', razorpayOrderId: order.id };
+    await split.save();
+    return order;
+  }
+
+  /**
+   * Record a captured payment for a share or cover order. Completes the split
+   * once it is fully paid; money arriving for a share that is no longer owed
+   * is refunded straight away.
+   * @param {string} orderId - Razorpay order id
+   * @param {string|null} paymentId - Razorpay payment id, when known
+   * @returns {Object|null} { split, booking, entry, accepted }, or null if no split uses the order
+   */
+  async markPaid(orderId, paymentId) {
+    const found = await PaymentSplit.findByOrderId(orderId);
+    if (!found) {
+      return null;
+    }
+
+    const { participant, isCover } = found;
+    let { split } = found;
+    const booking = await Booking.findById(split.bookingId);
+    const entryOf = (doc) => (isCover ? doc.cover : doc.participants.id(participant._id));
+
+    if (['paid', 'refunded'].includes(entryOf(split).status)) {
+      if (paymentId && entryOf(split).status === 'paid' && !entryOf(split).razorpayPaymentId) {
+        split = await this.fillPaymentId(split, booking, isCover ? null : participant, paymentId);
+      }
+      return { split, booking, entry: entryOf(split), accepted: entryOf(split).status === 'paid' };
+    }
+
+    // Each payment is recorded with a conditional update so two teammates
+    // paying at once can never both miss completing the split
+    const paidAt = new Date();
+    const updated = isCover
+      ? await PaymentSplit.findOneAndUpdate(
+        { _id: split._id, status: 'collecting', 'cover.razorpayOrderId': orderId, 'cover.status': 'pending' },
+        {
+          $set: {
+            'cover.status': 'paid',
+            'cover.razorpayPaymentId': paymentId,
+            'cover.paidAt': paidAt,
+            'participants.$[share].status': 'covered'
+          }
+        },
+        { new: true, arrayFilters: [{ 'share.status': 'pending' }] }
+      )
+      : await PaymentSplit.findOneAndUpdate(
+        { _id: split._id, status: 'collecting', participants: { $elemMatch: { _id: participant._id, status: 'pending' } } },
+        {
+          $set: {
+            'participants.$.status': 'paid',
+            'participants.$.razorpayPaymentId': paymentId,
+            'participants.$.paidAt': paidAt
+          }
+        },
+        { new: true }
+      );
+
+    if (!updated) {
+      // Covered by the organiser, or the split already closed
+      const entry = entryOf(split);
+      entry.razorpayPaymentId = paymentId || entry.razorpayPaymentId;
+      entry.paidAt = paidAt;
+      await this.refundEntry(split, entry, 'Share no longer owed on split booking');
+      return { split, booking, entry, accepted: false };
+    }
+    split = updated;
+
+    // Shares paid while the cover order was open are refunded from the cover
+    if (isCover) {
+      const owed = round(split.participants
+        .filter(p => p.status === 'covered')
+        .reduce((sum, p) => sum + p.amount, 0));
+      const excess = round(split.cover.amount - owed);
+      if (excess > 0) {
+        await this.refundEntry(split, split.cover, 'Shares paid before the organiser covered them', excess);
+      }
+    }
+
+    const completed = await PaymentSplit.findOneAndUpdate(
+      { _id: split._id, status: 'collecting', 'participants.status': { $ne: 'pending' } },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    if (completed) {
+      split = completed;
+      await this.complete(split, booking, entryOf(split));
+    }
+
+    console.log(`Split ${split._id}: ${isCover ? 'organiser covered the remainder' : 'share paid'} on order ${orderId}`);
+    return { split, booking, entry: entryOf(split), accepted: true };
+  }
+
+  /**
+   * Mark the booking paid with what the split collected and confirm its slot hold.
+   * If the slot was lost in the meantime every payment is refunded.
+   * @param {Object} split - Fully paid PaymentSplit document
+   * @param {Object} booking - Booking document
+   * @param {Object} lastEntry - The share or cover whose payment completed the split
+   */
+  async complete(split, booking, lastEntry) {
+    // The organiser paid the booking's own order in the meantime
+    if (['paid', 'partial'].includes(booking.paymentStatus)) {
+      await PaymentSplit.updateOne({ _id: split._id }, { $set: { status: 'cancelled' } });
+      for (const { entry } of split.getPayments()) {
+        await this.refundEntry(split, entry, 'Booking was paid directly by the organiser');
+      }
+      return;
+    }
+
+    booking.paymentAmount = split.getPaidAmount();
+    booking.paymentStatus = booking.getOnlinePaymentStatus();
+    booking.paymentMethod = 'online';
+    booking.razorpayPaymentId = lastEntry.razorpayPaymentId;
+    booking.paidAt = new Date();
+    await booking.save();
+    await ledgerService.recordBookingPayment(booking);
+
+    const secured = await booking.confirmHold();
+    if (!secured) {
+      booking.refundAmount = booking.paymentAmount;
+      booking.refundStatus = 'pending';
+      await booking.save();
+      console.log(`Hold lapsed for split booking ${booking._id}; slot taken, refunding`);
+      await refundService.initiateRefund(booking, { reason: 'Slot hold expired before the split was paid' });
+      return;
+    }
+
+    await this.notifyParticipants(split, booking, 'Booking confirmed',
+      'Everyone has paid their share and the booking is confirmed.');
+  }
+
+  /**
+   * Record the payment id on a share or cover that was marked paid without
+   * one, and on the booking if the split completed with it
+   * @param {Object} split - PaymentSplit document
+   * @param {Object} booking - Booking document
+   * @param {Object|null} participant - The paid share, or null for the cover
+   * @param {string} paymentId - Razorpay payment id
+   * @returns {Object} The updated split
+   */
+  async fillPaymentId(split, booking, participant, paymentId) {
+    const updated = participant
+      ? await PaymentSplit.findOneAndUpdate(
+        { _id: split._id, participants: { $elemMatch: { _id: participant._id, status: 'paid', razorpayPaymentId: { $in: [null, ''] } } } },
+        { $set: { 'participants.$.razorpayPaymentId': paymentId } },
+        { new: true }
+      )
+      : await PaymentSplit.findOneAndUpdate(
+        { _id: split._id, 'cover.status': 'paid', 'cover.razorpayPaymentId': { $in: [null, ''] } },
+        { $set: { 'cover.razorpayPaymentId': paymentId } },
+        { new: true }
+      );
+    if (!updated) {
+      return split;
+    }
+
+    if (updated.status === 'completed' && booking && ['paid', 'partial'].includes(booking.paymentStatus) && !booking.razorpayPaymentId) {
+      booking.razorpayPaymentId = paymentId;
+      await booking.save();
+      await ledgerService.recordBookingPayment(booking);
+    }
+
+    console.log(`Split ${split._id}: payment id ${paymentId} recorded`);
+    return updated;
+  }
+
+  /**
+   * Refund every payment on a split that will not complete and close it
+   * @param {Object} split - PaymentSplit document
+   * @param {string} status - 'expired' or 'cancelled'
+   * @param {string} reason - Reason recorded on the refunds
+   * @returns {Object|null} The closed split, or null if it had already completed or closed
+   */
+  async close(split, status, reason) {
+    const closed = await PaymentSplit.findOneAndUpdate(
+      { _id: split._id, status: 'collecting' },
+      { $set: { status } },
+      { new: true }
+    );
+    if (!closed) {
+      return null;
+    }
+
+    for (const { entry } of closed.getPayments()) {
+      await this.refundEntry(closed, entry, reason);
+    }
+    return closed;
+  }
+
+  /**
+   * Refund a share or cover payment (best-effort)
+   * @param {Object} split - PaymentSplit document
+   * @param {Object} entry - Participant share or the cover
+   * @param {string} reason - Reason recorded on the refund
+   * @param {number} amount - Part to refund; the whole payment when omitted
+   */
+  async refundEntry(split, entry, reason, amount) {
+    const partial = amount != null && amount < entry.amount;
+    try {
+      if (entry.razorpayPaymentId) {
+        const refundable = round(partial ? amount : entry.amount - (entry.refundedAmount || 0));
+        const refund = await razorpay.getClient().payments.refund(entry.razorpayPaymentId, {
+          amount: Math.round(refundable * 100),
+          speed: 'normal',
+          notes: {
+            bookingId: split.bookingId.toString(),
+            splitId: split._id.toString(),
+            reason
+          }
+        });
+        entry.razorpayRefundId = refund.id;
+        entry.refundedAmount = round((entry.refundedAmount || 0) + refundable);
+      }
+      // A covered share keeps its status; the organiser's cover paid for it
+      if (!partial && entry.status !== 'covered') {
+        entry.status = 'refunded';
+      }
+    } catch (error) {
+      console.error(`Split ${split._id}: refund of ${entry.razorpayPaymentId} failed:`, error.error?.description || error.message);
+    }
+    await split.save();
+  }
+
+  /**
+   * Close splits whose booking is no longer waiting on them: the hold ran
+   * out, or the booking was paid directly
+   * @returns {number} Number of splits closed
+   */
+  async expireSplits() {
+    const open = await PaymentSplit.find({ status: 'collecting' });
+
+    let closed = 0;
+    for (const split of open) {
+      const booking = await Booking.findById(split.bookingId).select('status');
+      if (booking?.status === 'held') {
+        continue;
+      }
+
+      const paidDirectly = ['confirmed', 'in_progress', 'completed'].includes(booking?.status);
+      const result = paidDirectly
+        ? await this.close(split, 'cancelled', 'Booking was paid directly by the organiser')
+        : await this.close(split, 'expired', 'Split payment did not complete before the hold expired');
+      if (!result) {
+        continue;
+      }
+      if (booking) {
+        await this.notifyParticipants(split, booking,
+          paidDirectly ? 'Split booking paid by organiser' : 'Split booking expired',
+          paidDirectly
+            ? 'The organiser paid for the whole booking. Any share you paid is being refunded.'
+            : 'Not every share was paid in time, so the slot was released. Any share you paid is being refunded.');
+      }
+      closed++;
+    }
+    return closed;
+  }
+
+  /**
+   * Send an in-app notification to every registered participant (best-effort)
+   * @param {Object} split - PaymentSplit document
+   * @param {Object} booking - Booking document
+   * @param {string} title - Notification title
+   * @param {string} message - Notification message
+   * @param {Object} options - { onlyPending } to skip participants who already paid
+   */
+  async notifyParticipants(split, booking, title, message, options = {}) {
+    const recipients = split.participants.filter(p =>
+      p.userId && (!options.onlyPending || p.status === 'pending')
+    );
+
+    for (const participant of recipients) {
+      try {
+        await Notification.createNotification({
+          recipient: participant.userId,
+          type: 'info',
+          title,
+          message,
+          category: 'payment',
+          data: {
+            splitId: split._id,
+            bookingId: booking._id,
+            amount: participant.amount,
+            shareUrl: split.getShareUrl()
+          },
+          actionUrl: `/split/${split.shareToken}`,
+          relatedEntity: {
+            type: 'Booking',
+            id: booking._id
+          }
+        });
+      } catch (e) {
+        console.warn('Split payment notification failed:', e.message);
+      }
+    }
+  }
+}
+
+module.exports = new SplitPaymentService();
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const PricingRule = require('../models/PricingRule');
+const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { toCalendarDate, zonedDateTime } = require('../utils/timezone');
+
+// How long a waitlisted player has to pay for an offered slot
+const OFFER_WINDOW_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '15', 10);
+
+class WaitlistService {
+  /**
+   * Offer a freed slot to the earliest waiting players it has room for.
+   * Never throws; a failed offer must not break the cancellation that freed the slot.
+   * @param {Object} turf - Turf document
+   * @param {Date|string} date - Slot date
+   * @param {string} startTime - Slot start time
+   * @param {string} endTime - Slot end time
+   * @returns {Array} Entries that received an offer
+   */
+  async offerNext(turf, date, startTime, endTime) {
+    const offered = [];
+    try {
+      const waiting = await WaitlistEntry.find({
+        turfId: turf._id,
+        date: SlotInstance.toDateKey(date, turf.getTimeZone()),
+        startTime,
+        endTime,
+        status: 'waiting'
+      }).sort({ createdAt: 1 });
+
+      // A full court freed up can go to two half-court players, so keep going
+      // down the list until nobody else fits
+      for (const entry of waiting) {
+        const offer = await this.makeOffer(turf, entry);
+        if (offer) {
+          offered.push(offer);
+        }
+      }
+    } catch (error) {
+      console.warn('Waitlist offer error:', error.message);
+    }
+    return offered;
+  }
+
+  /**
+   * Hold the slot for a waiting player and tell them about it
+   * @param {Object} turf - Turf document
+   * @param {Object} entry - WaitlistEntry in 'waiting' status
+   * @returns {Object|null} The offered entry, or null if the slot has no room for this entry
+   */
+  async makeOffer(turf, entry) {
+    const slotDate = toCalendarDate(entry.date);
+    const startsAt = zonedDateTime(entry.date, entry.startTime, turf.getTimeZone());
+
+    if (startsAt <= new Date()) {
+      entry.status = 'expired';
+      await entry.save();
+      return null;
+    }
+
+    const { instances, court, error } = await SlotInstance.findSlot(turf, slotDate, entry.startTime, entry.endTime, {
+      court: entry.court,
+      courtType: entry.courtType
+    });
+    if (error) {
+      return null;
+    }
+
+    // Claim the entry first so it can only ever get one offer at a time
+    const bookingId = new mongoose.Types.ObjectId();
+    const offerExpiresAt = new Date(Math.min(Date.now() + OFFER_WINDOW_MINUTES * 60 * 1000, startsAt.getTime()));
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', bookingId, offeredAt: new Date(), offerExpiresAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const restore = () => WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { $set: { status: 'waiting' }, $unset: { bookingId: 1, offeredAt: 1, offerExpiresAt: 1 } }
+    );
+
+    try {
+      await SlotInstance.claimAll(instances, bookingId, entry.userId, { hold: true });
+    } catch (e) {
+      await restore();
+      return null;
+    }
+
+    let booking;
+    let user;
+    try {
+      user = await User.findById(entry.userId);
+      const pricing = await PricingRule.priceSlot(turf, slotDate, instances[0]);
+      booking = await Booking.create({
+        _id: bookingId,
+        turfId: turf._id,
+        ownerId: turf.ownerId,
+        customerId: entry.userId,
+        customerInfo: {
+          name: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || user?.email || 'Customer',
+          phone: user?.phone || 'N/A',
+          email: user?.email || ''
+        },
+        bookingDate: slotDate,
+        timezone: turf.getTimeZone(),
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        sport: turf.sport,
+        pricePerHour: pricing.price,
+        pricingRule: pricing.rule
+          ? { ...pricing.rule.toSnapshot(), basePrice: pricing.basePrice }
+          : undefined,
+        courtType: entry.courtType,
+        court: court.key,
+        status: 'held',
+        holdExpiresAt: offerExpiresAt,
+        paymentStatus: 'pending',
+        paymentMethod: 'online',
+        bookingType: 'online',
+        notes: 'Offered from waitlist'
+      });
+    } catch (e) {
+      await SlotInstance.releaseForBookings([bookingId]);
+      await restore();
+      console.warn(`Waitlist offer for entry ${entry._id} failed:`, e.message);
+      return null;
+    }
+
+    await this.notifyOffer(claimed, booking, turf, user);
+    return claimed;
+  }
+
+  /**
+   * Send the in-app notification and email for an offer (best-effort)
+   * @param {Object} entry - Offered WaitlistEntry
+   * @param {Object} booking - Held booking for the offer
+   * @param {Object} turf - Turf document
+   * @param {Object} user - Waitlisted player
+   */
+  async notifyOffer(entry, booking, turf, user) {
+    const minutes = Math.max(1, Math.round((entry.offerExpiresAt - new Date()) / (60 * 1000)));
+    const message = `${turf.name} on ${entry.date} from ${entry.startTime} to ${entry.endTime} is now free. ` +
+      `Pay within ${minutes} minutes to confirm it, or it goes to the next player.`;
+
+    try {
+      await Notification.createNotification({
+        recipient: entry.userId,
+        type: 'success',
+        title: 'A slot you were waiting for is free',
+        message,
+        category: 'booking',
+        priority: 'high',
+        data: {
+          waitlistEntryId: entry._id,
+          bookingId: booking._id,
+          turfId: turf._id,
+          date: entry.date,
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          offerExpiresAt: entry.offerExpiresAt
+        },
+        actionUrl: `/waitlist/${entry._id}`,
+        expiresAt: entry.offerExpiresAt,
+        relatedEntity: {
+          type: 'Booking',
+          id: booking._id
+        }
+      });
+    } catch (e) {
+      console.warn('Waitlist offer notification failed:', e.message);
+    }
+
+    if (!user?.email) {
+      return;
+    }
+
+    try {
+      const { sendEmail } = require('../utils/universalEmailService');
+      const url = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/waitlist/${entry._id}`;
+      const html = `
+        <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;max-width:600px;margin:0 auto;background:#f3f4f6;padding:24px;">
+          <div style="background:#ffffff;border-radius:16px;overflow:hidden;">
+            <div style="background:linear-gradient(135deg,#10b981,#059669);padding:20px;color:#fff;text-align:center;">
+              <div style="font-size:20px;font-weight:700;">TurfEase</div>
+              <div style="font-size:14px;opacity:.9;margin-top:4px;">Your waitlisted slot is free</div>
+            </div>
+            <div style="padding:24px;color:#374151;">
+              <p style="margin:0 0 8px 0;color:#111827;font-weight:600;">Hi ${user.firstName || 'Player'},</p>
+              <p style="margin:0 0 16px 0;">${message}</p>
+              <div style="text-align:center;margin-top:20px;">
+                <a href="${url}" style="display:inline-block;background:#10b981;color:#ffffff;text-decoration:none;padding:10px 18px;border-radius:10px;font-weight:600;font-size:14px;">Claim Slot</a>
+              </div>
+            </div>
+          </div>
+        </div>`;
+      await sendEmail(user.email, `Slot available at ${turf.name}`, html, message);
+    } catch (e) {
+      console.warn('Waitlist offer email failed:', e.message);
+    }
+  }
+
+  /**
+   * Turn down an offer (or leave the queue) and pass the slot on
+   * @param {Object} entry - WaitlistEntry
+   * @param {Object} turf - Turf document
+   * @param {string} status - 'declined' or 'cancelled'
+   */
+  async withdraw(entry, turf, status) {
+    const hadOffer = ['offered', 'accepted'].includes(entry.status);
+    entry.status = status;
+    entry.respondedAt = new Date();
+    await entry.save();
+
+    if (!hadOffer) {
+      return;
+    }
+
+    const released = await Booking.findOneAndUpdate(
+      { _id: entry.bookingId, status: 'held' },
+      { $set: { status: 'cancelled', cancellationReason: 'Waitlist offer declined', cancelledAt: new Date() } }
+    );
+    if (released) {
+      await SlotInstance.releaseForBookings([entry.bookingId]);
+      await this.offerNext(turf, entry.date, entry.startTime, entry.endTime);
+    }
+  }
+
+  /**
+   * Expire lapsed payment holds and offer each freed slot to the waitlist
+   * @param {Object} filter - Optional Booking filter, e.g. { turfId }
+   * @returns {Array} Bookings whose hold was released
+   */
+  async releaseExpiredHolds(filter = {}) {
+    const Turf = require('../models/Turf');
+    const released = await Booking.releaseExpiredHolds(filter);
+
+    const turfs = new Map();
+    for (const booking of released) {
+      const key = booking.turfId.toString();
+      if (!turfs.has(key)) {
+        turfs.set(key, await Turf.findById(booking.turfId));
+      }
+      const turf = turfs.get(key);
+      if (turf) {
+        await this.offerNext(turf, booking.bookingDate, booking.startTime, booking.endTime);
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Close offers whose time ran out and move the slot down the list.
+   * Offers that were paid for in time are marked accepted.
+   * @returns {number} Number of offers that lapsed
+   */
+  async expireOffers() {
+    const Turf = require('../models/Turf');
+    const due = await WaitlistEntry.find({
+      status: { $in: ['offered', 'accepted'] },
+      offerExpiresAt: { $lte: new Date() }
+    });
+
+    let lapsed = 0;
+    for (const entry of due) {
+      const booking = await Booking.findById(entry.bookingId);
+      if (booking && ['confirmed', 'in_progress', 'completed'].includes(booking.status)) {
+        entry.status = 'accepted';
+        entry.offerExpiresAt = undefined;
+        await entry.save();
+        continue;
+      }
+
+      if (booking?.status === 'held') {
+        await Booking.releaseExpiredHolds({ _id: booking._id });
+      }
+
+      entry.status = 'expired';
+      await entry.save();
+      lapsed++;
+
+      const turf = await Turf.findById(entry.turfId);
+      if (turf) {
+        await this.offerNext(turf, entry.date, entry.startTime, entry.endTime);
+      }
+    }
+    return lapsed;
+  }
+}
+
+module.exports = new WaitlistService();
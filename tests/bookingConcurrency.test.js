@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const Turf = require('../models/Turf');
+const Match = require('../models/Match');
+const Booking = require('../models/Booking');
+const SlotInstance = require('../models/SlotInstance');
+const PricingRule = require('../models/PricingRule');
+const { createBooking } = require('../controllers/bookingController');
+const { nowInZone, addDays } = require('../utils/timezone');
+
+const TIME_ZONE = 'Asia/Kolkata';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// In-memory stand-in for the slot instance collection. Model queries still
+// go through Mongoose, which casts the real filters and updates that
+// markBooked and claimAll build; only the driver call is answered here.
+// Each write yields first, so parallel requests interleave the way they
+// would against a server, then matches and applies as one step, the way
+// MongoDB applies a single-document update.
+const store = new Map();
+
+const matchesValue = (value, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$in' in condition) {
+      return condition.$in.some(c => String(c) === String(value));
+    }
+    if ('$nin' in condition) {
+      return !condition.$nin.some(c => String(c) === String(value));
+    }
+    throw new Error(`Unsupported condition ${JSON.stringify(condition)}`);
+  }
+  return value !== undefined && String(value) === String(condition);
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => matchesValue(doc[key], condition));
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set);
+  Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+};
+
+const slotCollection = {
+  findOneAndUpdate: async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const doc = [...store.values()].find(d => matches(d, filter));
+    if (!doc) {
+      return { value: null, ok: 1 };
+    }
+    applyUpdate(doc, update);
+    return { value: { ...doc }, ok: 1 };
+  },
+  updateMany: async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const docs = [...store.values()].filter(d => matches(d, filter));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+  }
+};
+
+const addSlot = (turf, fields = {}) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    turfId: turf._id,
+    date: '2026-11-02',
+    startTime: '18:00',
+    endTime: '19:00',
+    court: 'main',
+    unit: 0,
+    status: 'available',
+    ...fields
+  };
+  store.set(String(doc._id), doc);
+  return doc;
+};
+
+// Load a slot the way findSlot would: a fresh document per request
+const loadSlot = (doc) => SlotInstance.hydrate({ ...store.get(String(doc._id)) });
+
+const fakeTurf = () => {
+  const turf = {
+    _id: new mongoose.Types.ObjectId(),
+    ownerId: new mongoose.Types.ObjectId(),
+    name: 'Test Turf',
+    sport: 'Football',
+    timezone: TIME_ZONE,
+    advanceBookingDays: 30,
+    availableSlots: Object.fromEntries(WEEKDAYS.map(day => [day, { isOpen: true, slots: [] }]))
+  };
+  turf.getTimeZone = () => TIME_ZONE;
+  turf.parseTimeToMinutes = Turf.schema.methods.parseTimeToMinutes;
+  turf.getBookingWindowError = Turf.schema.methods.getBookingWindowError;
+  return turf;
+};
+
+// Run createBooking and resolve to the response, or the error passed to next
+const book = (turf, date, userId) => new Promise(resolve => {
+  const req = {
+    body: { turfId: String(turf._id), date, startTime: '18:00', endTime: '19:00', paymentMethod: 'online' },
+    user: { id: String(userId), firstName: 'Player', email: `${userId}@example.com` }
+  };
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    resolve({ res });
+    return res;
+  });
+  createBooking(req, res, error => resolve({ error }));
+});
+
+describe('slot claims', () => {
+  let turf;
+
+  beforeEach(() => {
+    store.clear();
+    turf = fakeTurf();
+    jest.spyOn(SlotInstance.collection, 'findOneAndUpdate').mockImplementation(slotCollection.findOneAndUpdate);
+    jest.spyOn(SlotInstance.collection, 'updateMany').mockImplementation(slotCollection.updateMany);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of many parallel claims on a slot win', async () => {
+    const slot = addSlot(turf);
+    const bookingIds = Array.from({ length: 10 }, () => new mongoose.Types.ObjectId());
+
+    const results = await Promise.allSettled(bookingIds.map(bookingId =>
+      SlotInstance.claimAll([loadSlot(slot)], bookingId, new mongoose.Types.ObjectId(), { hold: true })
+    ));
+
+    const won = results.filter(r => r.status === 'fulfilled');
+    expect(won).toHaveLength(1);
+    results.filter(r => r.status === 'rejected').forEach(r => {
+      expect(r.reason.message).toBe('Slot is already booked for this date');
+    });
+
+    const winner = bookingIds[results.findIndex(r => r.status === 'fulfilled')];
+    expect(store.get(String(slot._id))).toMatchObject({ status: 'held', bookingId: winner });
+  });
+
+  it('hands back the units it took when another unit is already taken', async () => {
+    const first = addSlot(turf, { unit: 0 });
+    const second = addSlot(turf, { unit: 1, status: 'booked', bookingId: new mongoose.Types.ObjectId() });
+
+    await expect(SlotInstance.claimAll([loadSlot(first), loadSlot(second)], new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()))
+      .rejects.toThrow('Slot is already booked for this date');
+
+    expect(store.get(String(first._id)).status).toBe('available');
+    expect(store.get(String(first._id)).bookingId).toBeUndefined();
+    expect(store.get(String(second._id)).status).toBe('booked');
+  });
+
+  it('only claims a slot that is still available', async () => {
+    const slot = addSlot(turf);
+    const stale = loadSlot(slot);
+    store.get(String(slot._id)).status = 'held';
+
+    await expect(SlotInstance.claimAll([stale], new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()))
+      .rejects.toThrow('Slot is already booked for this date');
+  });
+});
+
+describe('createBooking under concurrent requests', () => {
+  let turf;
+  let date;
+  let slot;
+
+  beforeEach(() => {
+    store.clear();
+    turf = fakeTurf();
+    date = addDays(nowInZone(TIME_ZONE).dateKey, 7);
+    slot = addSlot(turf, { date });
+
+    jest.spyOn(SlotInstance.collection, 'findOneAndUpdate').mockImplementation(slotCollection.findOneAndUpdate);
+    jest.spyOn(SlotInstance.collection, 'updateMany').mockImplementation(slotCollection.updateMany);
+
+    jest.spyOn(Turf, 'findById').mockResolvedValue(turf);
+    jest.spyOn(Booking, 'releaseExpiredHolds').mockResolvedValue([]);
+    jest.spyOn(PricingRule, 'priceSlot').mockResolvedValue({ price: 1000, basePrice: 1000, rule: null });
+    jest.spyOn(Match, 'create').mockResolvedValue({});
+    jest.spyOn(Booking, 'create').mockImplementation(async docs => docs.map(doc => new Booking(doc)));
+
+    // Each request loads its own copy of the slot, as it would from the database
+    jest.spyOn(SlotInstance, 'findSlot').mockImplementation(async () => ({
+      instances: [loadSlot(slot)],
+      court: { key: 'main', name: 'Main court' }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates exactly one booking when many players request the same slot at once', async () => {
+    const players = Array.from({ length: 10 }, () => new mongoose.Types.ObjectId());
+
+    const results = await Promise.all(players.map(userId => book(turf, date, userId)));
+
+    const created = results.filter(r => r.res?.statusCode === 201);
+    const rejected = results.filter(r => r.error);
+    expect(created).toHaveLength(1);
+    expect(rejected).toHaveLength(players.length - 1);
+    rejected.forEach(r => {
+      expect(r.error.statusCode).toBe(400);
+      expect(r.error.message).toBe('One or more selected slots are already booked');
+    });
+
+    expect(Booking.create).toHaveBeenCalledTimes(1);
+    const winner = created[0].res.body.data;
+    expect(store.get(String(slot._id))).toMatchObject({ status: 'held', bookingId: winner._id });
+  });
+
+  it('books the slot again once it is free', async () => {
+    const first = await book(turf, date, new mongoose.Types.ObjectId());
+    expect(first.res.statusCode).toBe(201);
+
+    const second = await book(turf, date, new mongoose.Types.ObjectId());
+    expect(second.error.message).toBe('One or more selected slots are already booked');
+
+    await SlotInstance.releaseForBookings([first.res.body.data._id]);
+    const third = await book(turf, date, new mongoose.Types.ObjectId());
+    expect(third.res.statusCode).toBe(201);
+  });
+
+  it('refuses dates outside the booking window before touching slots', async () => {
+    const today = nowInZone(TIME_ZONE).dateKey;
+
+    const past = await book(turf, addDays(today, -1), new mongoose.Types.ObjectId());
+    expect(past.error.message).toBe('Cannot book dates in the past');
+
+    const late = await book(turf, addDays(today, 31), new mongoose.Types.ObjectId());
+    expect(late.error.message).toBe('Slots can only be booked up to 30 days in advance');
+
+    expect(SlotInstance.findSlot).not.toHaveBeenCalled();
+  });
+});
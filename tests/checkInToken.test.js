@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { createCheckInToken, verifyCheckInToken } = require('../utils/checkInToken');
+
+const booking = {
+  bookingId: 'booking1',
+  turfId: 'turf1',
+  dateKey: '2026-11-02',
+  endsAt: new Date('2026-11-02T13:30:00.000Z')
+};
+
+describe('check-in tokens', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('refuses to sign or verify without a configured secret', () => {
+    delete process.env.CHECKIN_TOKEN_SECRET;
+    delete process.env.JWT_SECRET;
+
+    expect(() => createCheckInToken(booking)).toThrow('CHECKIN_TOKEN_SECRET or JWT_SECRET must be set');
+    expect(() => verifyCheckInToken('payload.signature')).toThrow('CHECKIN_TOKEN_SECRET or JWT_SECRET must be set');
+  });
+
+  it('verifies a token signed with the same secret', () => {
+    process.env.CHECKIN_TOKEN_SECRET = 'checkin-secret';
+    const token = createCheckInToken(booking);
+
+    expect(verifyCheckInToken(token, new Date('2026-11-02T12:00:00.000Z')))
+      .toEqual({ bookingId: 'booking1', turfId: 'turf1', dateKey: '2026-11-02' });
+  });
+
+  it('falls back to JWT_SECRET', () => {
+    delete process.env.CHECKIN_TOKEN_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    const token = createCheckInToken(booking);
+
+    expect(verifyCheckInToken(token, new Date('2026-11-02T12:00:00.000Z')).bookingId).toBe('booking1');
+
+    process.env.JWT_SECRET = 'another-secret';
+    expect(verifyCheckInToken(token, new Date('2026-11-02T12:00:00.000Z')))
+      .toEqual({ error: 'Check-in code is not valid' });
+  });
+
+  it('serialises a booking without a QR payload when no secret is set', () => {
+    delete process.env.CHECKIN_TOKEN_SECRET;
+    delete process.env.JWT_SECRET;
+    const doc = new Booking({
+      turfId: new mongoose.Types.ObjectId(),
+      bookingDate: new Date('2026-11-02T00:00:00.000Z'),
+      startTime: '18:00',
+      endTime: '19:00'
+    });
+
+    expect(doc.toJSON().qrPayload).toBeNull();
+
+    process.env.CHECKIN_TOKEN_SECRET = 'checkin-secret';
+    expect(verifyCheckInToken(doc.toJSON().qrPayload, new Date('2026-11-02T12:00:00.000Z')).bookingId)
+      .toBe(String(doc._id));
+  });
+});
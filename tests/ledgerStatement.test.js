@@ -0,0 +1,26 @@
+// The server runs in a zone other than the platform's, so month bounds taken
+// from the server's local time show up as a wrong answer
+process.env.TZ = 'America/New_York';
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('../services/ledgerService');
+
+describe('monthly statement', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('covers the month in the platform timezone', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+    const query = { populate: () => query, sort: jest.fn().mockResolvedValue([]) };
+    jest.spyOn(LedgerEntry, 'find').mockReturnValue(query);
+
+    const statement = await ledgerService.getMonthlyStatement(new mongoose.Types.ObjectId().toString(), '2026-12');
+
+    // Midnight in Kolkata at either end, across the year boundary
+    expect(statement.from.toISOString()).toBe('2026-11-30T18:30:00.000Z');
+    expect(statement.to.toISOString()).toBe('2026-12-31T18:30:00.000Z');
+    expect(LedgerEntry.find.mock.calls[0][0].occurredAt).toEqual({ $gte: statement.from, $lt: statement.to });
+  });
+});
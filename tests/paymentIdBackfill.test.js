@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentSplit = require('../models/PaymentSplit');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const razorpay = require('../config/razorpay');
+const ledgerService = require('../services/ledgerService');
+const refundService = require('../services/refundService');
+const reconciliationService = require('../services/reconciliationService');
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+
+const WEBHOOK_SECRET = 'test_webhook_secret';
+const ORDER_ID = 'order_test_1';
+const PAYMENT_ID = 'pay_test_1';
+
+const makeBooking = (fields = {}) => new Booking({
+  _id: new mongoose.Types.ObjectId(),
+  turfId: new mongoose.Types.ObjectId(),
+  ownerId: new mongoose.Types.ObjectId(),
+  customerInfo: { name: 'Player', phone: '9999999999', email: '' },
+  bookingDate: new Date('2026-11-02T00:00:00.000Z'),
+  timezone: 'Asia/Kolkata',
+  startTime: '18:00',
+  endTime: '19:00',
+  pricePerHour: 1000,
+  paymentAmount: 1000,
+  paymentMethod: 'online',
+  razorpayOrderId: ORDER_ID,
+  ...fields
+});
+
+// In-memory bookings, queried by the fields the payment code filters on
+let bookings = [];
+const matches = (booking, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = booking[key];
+  if (condition && condition.$in) {
+    return condition.$in.includes(value ?? null);
+  }
+  if (condition && condition.$nin) {
+    return !condition.$nin.includes(value);
+  }
+  return String(value) === String(condition);
+});
+
+// Send a signed webhook and resolve to the result recorded on the event
+const sendWebhook = async (body) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const record = { markDone: jest.fn(), markFailed: jest.fn() };
+  jest.spyOn(PaymentEvent, 'claim').mockResolvedValue({ event: record, duplicate: false });
+
+  const req = {
+    rawBody,
+    body,
+    headers: {
+      'x-razorpay-signature': crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex'),
+      'x-razorpay-event-id': `evt_${Date.now()}`
+    }
+  };
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  await handlePaymentWebhook(req, res, error => {
+    throw error;
+  });
+
+  expect(res.status).toHaveBeenCalledWith(200);
+  return record.markDone.mock.calls[0]?.[1];
+};
+
+const paymentEntity = (fields = {}) => ({
+  id: PAYMENT_ID,
+  order_id: ORDER_ID,
+  status: 'captured',
+  amount: 100000,
+  created_at: Math.floor(Date.now() / 1000),
+  ...fields
+});
+
+describe('payment id on bookings paid through Razorpay', () => {
+  let client;
+
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    bookings = [];
+
+    client = {
+      payments: {
+        all: jest.fn(),
+        refund: jest.fn(async (paymentId, options) => ({ id: 'rfnd_test_1', payment_id: paymentId, status: 'pending', amount: options.amount }))
+      },
+      orders: { fetchPayments: jest.fn(async () => ({ items: [] })) }
+    };
+    razorpay.setClient(client);
+
+    jest.spyOn(Booking, 'find').mockImplementation(async filter => bookings.filter(b => matches(b, filter)));
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Booking, 'updateOne').mockImplementation(async (filter, update) => {
+      const booking = bookings.find(b => matches(b, filter));
+      if (!booking) {
+        return { modifiedCount: 0 };
+      }
+      Object.assign(booking, update.$set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Booking.prototype, 'confirmHold').mockResolvedValue(true);
+    jest.spyOn(PaymentSplit, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PaymentSplit, 'findByOrderId').mockResolvedValue(null);
+    jest.spyOn(ledgerService, 'recordBookingPayment').mockResolvedValue();
+    jest.spyOn(ledgerService, 'recordRefund').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the payment id from an order.paid webhook', async () => {
+    const booking = makeBooking({ status: 'held', paymentStatus: 'pending' });
+    bookings.push(booking);
+
+    const result = await sendWebhook({
+      event: 'order.paid',
+      payload: {
+        payment: { entity: paymentEntity() },
+        order: { entity: { id: ORDER_ID, status: 'paid' } }
+      }
+    });
+
+    expect(result).toBe('Paid 1 booking(s), confirmed 1');
+    expect(booking.paymentStatus).toBe('paid');
+    expect(booking.razorpayPaymentId).toBe(PAYMENT_ID);
+    expect(ledgerService.recordBookingPayment).toHaveBeenCalledWith(booking);
+  });
+
+  it('fills in the payment id on a booking already marked paid without one', async () => {
+    const booking = makeBooking({ status: 'confirmed', paymentStatus: 'paid' });
+    bookings.push(booking);
+
+    const result = await sendWebhook({
+      event: 'payment.captured',
+      payload: { payment: { entity: paymentEntity() } }
+    });
+
+    expect(result).toBe('Paid 0 booking(s), confirmed 0, payment id recorded on 1');
+    expect(booking.razorpayPaymentId).toBe(PAYMENT_ID);
+    expect(ledgerService.recordBookingPayment).toHaveBeenCalledWith(booking);
+
+    // With the id in place the booking can be refunded through Razorpay
+    booking.refundAmount = 500;
+    booking.refundStatus = 'pending';
+    const refund = await refundService.initiateRefund(booking);
+    expect(refund.initiated).toBe(true);
+    expect(client.payments.refund).toHaveBeenCalledWith(PAYMENT_ID, expect.objectContaining({ amount: 50000 }));
+  });
+
+  it('leaves a recorded payment id alone', async () => {
+    const booking = makeBooking({ status: 'confirmed', paymentStatus: 'paid', razorpayPaymentId: 'pay_original' });
+    bookings.push(booking);
+
+    const result = await sendWebhook({
+      event: 'payment.captured',
+      payload: { payment: { entity: paymentEntity() } }
+    });
+
+    expect(result).toBe('Paid 0 booking(s), confirmed 0');
+    expect(booking.razorpayPaymentId).toBe('pay_original');
+    expect(Booking.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('fills in the payment id during reconciliation', async () => {
+    const booking = makeBooking({ status: 'confirmed', paymentStatus: 'paid', paidAt: new Date() });
+    bookings.push(booking);
+    client.payments.all.mockResolvedValue({ items: [paymentEntity()] });
+
+    const report = { fixed: [], discrepancies: [], save: jest.fn() };
+    jest.spyOn(ReconciliationReport, 'findOneAndUpdate').mockResolvedValue(report);
+
+    await reconciliationService.reconcileDate('2026-10-18');
+
+    expect(report.status).toBe('completed');
+    expect(booking.razorpayPaymentId).toBe(PAYMENT_ID);
+    expect(report.fixed).toEqual([expect.objectContaining({
+      orderId: ORDER_ID,
+      paymentId: PAYMENT_ID,
+      bookingIds: [booking._id],
+      detail: 'Missing payment id recorded on paid booking(s)'
+    })]);
+    expect(report.discrepancies).toHaveLength(0);
+  });
+});
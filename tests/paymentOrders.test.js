@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PaymentSplit = require('../models/PaymentSplit');
+const razorpay = require('../config/razorpay');
+const { createPaymentOrder } = require('../controllers/paymentController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// A held booking awaiting payment; only what checkout reads from it
+const heldBooking = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerId: userId,
+  turfId: { name: 'Test Turf' },
+  customerInfo: { name: 'Player' },
+  bookingDate: new Date('2026-11-02T00:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '19:00',
+  status: 'held',
+  paymentStatus: 'pending',
+  getPriceBreakdown: () => ({ subtotal: 1000, discount: 0, fees: 0, total: 1000 }),
+  save: jest.fn(),
+  ...fields
+});
+
+// Run createPaymentOrder and resolve to the response, or the error passed to next
+const checkout = (bookings) => new Promise(resolve => {
+  const req = {
+    body: { bookingIds: bookings.map(b => String(b._id)) },
+    user: { id: String(userId) }
+  };
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    resolve({ res });
+    return res;
+  });
+  createPaymentOrder(req, res, error => resolve({ error }));
+});
+
+describe('payment orders for a retried checkout', () => {
+  let booking;
+  let orders;
+
+  beforeEach(() => {
+    booking = heldBooking();
+    jest.spyOn(Booking, 'find').mockReturnValue({ populate: async () => [booking] });
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(PaymentSplit, 'exists').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    orders = {
+      create: jest.fn(async options => ({ id: 'order_new', amount: options.amount, currency: 'INR', status: 'created' })),
+      fetch: jest.fn(async id => ({ id, amount: 100000, currency: 'INR', status: 'attempted' })),
+      fetchPayments: jest.fn(async () => ({ items: [] }))
+    };
+    razorpay.setClient({ orders });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates an order the first time', async () => {
+    const { res } = await checkout([booking]);
+
+    expect(res.body.data.orderId).toBe('order_new');
+    expect(booking.razorpayOrderId).toBe('order_new');
+    expect(orders.fetch).not.toHaveBeenCalled();
+  });
+
+  it('reuses the open order of the same checkout', async () => {
+    booking.razorpayOrderId = 'order_old';
+
+    const { res } = await checkout([booking]);
+
+    expect(res.body.data.orderId).toBe('order_old');
+    expect(booking.razorpayOrderId).toBe('order_old');
+    expect(orders.create).not.toHaveBeenCalled();
+  });
+
+  it('replaces an earlier order for a different amount that has no payment on it', async () => {
+    booking.razorpayOrderId = 'order_old';
+    orders.fetch.mockResolvedValue({ id: 'order_old', amount: 30000, currency: 'INR', status: 'attempted' });
+    orders.fetchPayments.mockResolvedValue({ items: [{ id: 'pay_1', status: 'failed' }] });
+
+    const { res } = await checkout([booking]);
+
+    expect(res.body.data.orderId).toBe('order_new');
+  });
+
+  it('refuses a new order while a payment on the earlier one may still be captured', async () => {
+    booking.razorpayOrderId = 'order_old';
+    orders.fetch.mockResolvedValue({ id: 'order_old', amount: 30000, currency: 'INR', status: 'attempted' });
+    orders.fetchPayments.mockResolvedValue({ items: [{ id: 'pay_1', status: 'authorized' }] });
+
+    const { error } = await checkout([booking]);
+
+    expect(error.statusCode).toBe(409);
+    expect(orders.create).not.toHaveBeenCalled();
+    expect(booking.razorpayOrderId).toBe('order_old');
+  });
+
+  it('refuses a new order once the earlier one is paid', async () => {
+    booking.razorpayOrderId = 'order_old';
+    orders.fetch.mockResolvedValue({ id: 'order_old', amount: 100000, currency: 'INR', status: 'paid' });
+
+    const { error } = await checkout([booking]);
+
+    expect(error.statusCode).toBe(409);
+    expect(error.message).toBe('A payment for these bookings has already been received and is being confirmed');
+  });
+});
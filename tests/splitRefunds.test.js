@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PaymentSplit = require('../models/PaymentSplit');
+const razorpay = require('../config/razorpay');
+const ledgerService = require('../services/ledgerService');
+const refundService = require('../services/refundService');
+
+describe('refunds of a booking paid by teammates', () => {
+  let booking;
+  let split;
+
+  beforeEach(() => {
+    booking = new Booking({
+      turfId: new mongoose.Types.ObjectId(),
+      ownerId: new mongoose.Types.ObjectId(),
+      customerInfo: { name: 'Player', phone: '9999999999' },
+      bookingDate: new Date('2026-11-02T00:00:00.000Z'),
+      startTime: '18:00',
+      endTime: '19:00',
+      pricePerHour: 1000,
+      status: 'cancelled',
+      paymentStatus: 'paid',
+      paymentMethod: 'online',
+      paymentAmount: 1000,
+      razorpayPaymentId: 'pay_organiser',
+      refundAmount: 1000,
+      refundStatus: 'pending'
+    });
+
+    // Shares track what has been refunded to them, as the split's entries do
+    const entries = [
+      { paymentId: 'pay_a', amount: 500, refundedAmount: 0 },
+      { paymentId: 'pay_b', amount: 500, refundedAmount: 0 }
+    ];
+    split = {
+      _id: new mongoose.Types.ObjectId(),
+      getPayments: () => entries.map(entry => ({
+        paymentId: entry.paymentId,
+        refundable: entry.amount - entry.refundedAmount,
+        entry
+      })),
+      save: jest.fn()
+    };
+    jest.spyOn(PaymentSplit, 'findOne').mockResolvedValue(split);
+
+    let next = 0;
+    razorpay.setClient({
+      payments: {
+        refund: jest.fn(async (paymentId, options) => ({ id: `rfnd_${++next}`, payment_id: paymentId, amount: options.amount, status: 'pending' }))
+      }
+    });
+
+    // Only this booking exists; the refund parts are matched the way MongoDB would
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const part = booking.refunds.find(r => r.razorpayRefundId === filter['refunds.razorpayRefundId']);
+      if (!part) {
+        return null;
+      }
+      part.status = update.$set['refunds.$.status'];
+      part.error = update.$set['refunds.$.error'];
+      return booking;
+    });
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ledgerService, 'recordRefund').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores every refund id and is processed only once all refunds are', async () => {
+    const result = await refundService.initiateRefund(booking);
+
+    expect(result.initiated).toBe(true);
+    expect(booking.refunds.map(r => ({ id: r.razorpayRefundId, amount: r.amount, status: r.status }))).toEqual([
+      { id: 'rfnd_1', amount: 500, status: 'pending' },
+      { id: 'rfnd_2', amount: 500, status: 'pending' }
+    ]);
+
+    await refundService.handleRefundEvent({ id: 'rfnd_2', payment_id: 'pay_b' }, 'processed');
+    expect(booking.refundStatus).toBe('pending');
+    expect(booking.paymentStatus).toBe('paid');
+
+    await refundService.handleRefundEvent({ id: 'rfnd_1', payment_id: 'pay_a' }, 'processed');
+    expect(booking.refundStatus).toBe('processed');
+    expect(booking.paymentStatus).toBe('refunded');
+    expect(booking.refundedAt).toBeInstanceOf(Date);
+  });
+
+  it('fails the refund when any part fails', async () => {
+    await refundService.initiateRefund(booking);
+
+    await refundService.handleRefundEvent({ id: 'rfnd_1', payment_id: 'pay_a', error_description: 'Bank rejected' }, 'failed');
+    await refundService.handleRefundEvent({ id: 'rfnd_2', payment_id: 'pay_b' }, 'processed');
+
+    expect(booking.refundStatus).toBe('failed');
+    expect(booking.refundError).toBe('Bank rejected');
+    expect(booking.refunds.map(r => r.status)).toEqual(['failed', 'processed']);
+  });
+
+  it('keeps the refunds made before one fails and only retries the rest', async () => {
+    const { refund } = razorpay.getClient().payments;
+    refund.mockImplementationOnce(async (paymentId, options) => ({ id: 'rfnd_a', payment_id: paymentId, amount: options.amount, status: 'pending' }))
+      .mockImplementationOnce(async () => {
+        throw { error: { description: 'Gateway timeout' } };
+      });
+
+    const failed = await refundService.initiateRefund(booking);
+    expect(failed).toEqual({ initiated: false, error: 'Gateway timeout' });
+    expect(booking.refundStatus).toBe('failed');
+    expect(booking.razorpayRefundId).toBe('rfnd_a');
+    expect(booking.refunds.map(r => ({ id: r.razorpayRefundId, amount: r.amount }))).toEqual([{ id: 'rfnd_a', amount: 500 }]);
+    expect(split.save).toHaveBeenCalledTimes(1);
+
+    // The processed webhook for the part that went through does not settle the refund
+    await refundService.handleRefundEvent({ id: 'rfnd_a', payment_id: 'pay_a' }, 'processed');
+    expect(booking.refundStatus).toBe('failed');
+
+    const retried = await refundService.initiateRefund(booking);
+    expect(retried.initiated).toBe(true);
+    expect(refund).toHaveBeenCalledTimes(3);
+    expect(refund).toHaveBeenLastCalledWith('pay_b', expect.objectContaining({ amount: 50000 }));
+    expect(booking.refunds.map(r => r.amount)).toEqual([500, 500]);
+    expect(booking.refundStatus).toBe('pending');
+
+    await refundService.handleRefundEvent({ id: 'rfnd_1', payment_id: 'pay_b' }, 'processed');
+    expect(booking.refundStatus).toBe('processed');
+
+    expect(await refundService.initiateRefund(booking)).toEqual({ initiated: false, reason: 'No refund owed' });
+  });
+});
@@ -0,0 +1,106 @@
+// Run in a zone that is neither UTC nor a turf zone below, so any helper that
+// leans on the server's local time shows up as a wrong answer
+process.env.TZ = 'Australia/Adelaide';
+
+const {
+  toDateKey,
+  toCalendarDate,
+  weekdayOf,
+  zonedDateTime,
+  nowInZone,
+  calendarDayRange,
+  zonedDayRange
+} = require('../utils/timezone');
+
+const NEW_YORK = 'America/New_York';
+const KOLKATA = 'Asia/Kolkata';
+
+describe('toDateKey', () => {
+  it('passes date keys through', () => {
+    expect(toDateKey('2026-03-08', NEW_YORK)).toBe('2026-03-08');
+  });
+
+  it('reads a stored calendar date as its own date in any zone', () => {
+    const stored = toCalendarDate('2026-03-08');
+    expect(stored.toISOString()).toBe('2026-03-08T00:00:00.000Z');
+    expect(toDateKey(stored, NEW_YORK)).toBe('2026-03-08');
+    expect(toDateKey(stored, KOLKATA)).toBe('2026-03-08');
+  });
+
+  it('converts an instant exactly at midnight UTC into the zone', () => {
+    // 7 pm on the 7th in New York
+    expect(toDateKey('2026-03-08T00:00:00.000Z', NEW_YORK)).toBe('2026-03-07');
+    expect(toDateKey(Date.UTC(2026, 2, 8), NEW_YORK)).toBe('2026-03-07');
+    expect(toCalendarDate('2026-03-08T00:00:00.000Z', NEW_YORK).toISOString()).toBe('2026-03-07T00:00:00.000Z');
+  });
+
+  it('reads other instants as the day they fall on in the zone', () => {
+    // Midnight in Kolkata, as legacy bookings stored it
+    expect(toDateKey(new Date('2026-03-07T18:30:00.000Z'), KOLKATA)).toBe('2026-03-08');
+    expect(toDateKey('2026-03-08T03:59:00.000Z', NEW_YORK)).toBe('2026-03-07');
+    expect(toDateKey('2026-03-08T05:00:00.000Z', NEW_YORK)).toBe('2026-03-08');
+  });
+
+  it('names the weekday of the date in the zone', () => {
+    expect(weekdayOf('2026-03-08', NEW_YORK)).toBe('sunday');
+    expect(weekdayOf('2026-03-08T00:00:00.000Z', NEW_YORK)).toBe('saturday');
+  });
+});
+
+describe('zonedDateTime', () => {
+  it('uses standard time before the spring DST change', () => {
+    expect(zonedDateTime('2026-03-07', '10:00', NEW_YORK).toISOString()).toBe('2026-03-07T15:00:00.000Z');
+    expect(zonedDateTime('2026-03-08', '01:30', NEW_YORK).toISOString()).toBe('2026-03-08T06:30:00.000Z');
+  });
+
+  it('uses daylight time after the spring DST change', () => {
+    expect(zonedDateTime('2026-03-08', '03:30', NEW_YORK).toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedDateTime('2026-03-09', '10:00', NEW_YORK).toISOString()).toBe('2026-03-09T14:00:00.000Z');
+  });
+
+  it('returns to standard time after the autumn DST change', () => {
+    expect(zonedDateTime('2026-10-31', '18:00', NEW_YORK).toISOString()).toBe('2026-10-31T22:00:00.000Z');
+    expect(zonedDateTime('2026-11-01', '18:00', NEW_YORK).toISOString()).toBe('2026-11-01T23:00:00.000Z');
+  });
+
+  it('places wall-clock times on a stored calendar date in the zone', () => {
+    const stored = toCalendarDate('2026-03-08');
+    expect(zonedDateTime(stored, '18:00', KOLKATA).toISOString()).toBe('2026-03-08T12:30:00.000Z');
+    expect(zonedDateTime(stored, '18:00', NEW_YORK).toISOString()).toBe('2026-03-08T22:00:00.000Z');
+  });
+});
+
+describe('nowInZone', () => {
+  it('gives the date and minutes since midnight at the turf', () => {
+    const now = new Date('2026-03-08T04:30:00.000Z');
+    expect(nowInZone(NEW_YORK, now)).toEqual({ dateKey: '2026-03-07', minutes: 23 * 60 + 30 });
+    expect(nowInZone(KOLKATA, now)).toEqual({ dateKey: '2026-03-08', minutes: 10 * 60 });
+  });
+
+  it('follows the DST change', () => {
+    expect(nowInZone(NEW_YORK, new Date('2026-03-08T06:59:00.000Z'))).toEqual({ dateKey: '2026-03-08', minutes: 1 * 60 + 59 });
+    expect(nowInZone(NEW_YORK, new Date('2026-03-08T07:00:00.000Z'))).toEqual({ dateKey: '2026-03-08', minutes: 3 * 60 });
+  });
+});
+
+describe('calendarDayRange', () => {
+  it('covers the stored calendar date of a date key', () => {
+    const range = calendarDayRange('2026-03-08', NEW_YORK);
+    expect(range.$gte.toISOString()).toBe('2026-03-08T00:00:00.000Z');
+    expect(range.$lt.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+  });
+
+  it('covers the day an instant falls on in the zone', () => {
+    const range = calendarDayRange('2026-03-08T00:00:00.000Z', NEW_YORK);
+    expect(range.$gte.toISOString()).toBe('2026-03-07T00:00:00.000Z');
+    expect(range.$lt.toISOString()).toBe('2026-03-08T00:00:00.000Z');
+  });
+});
+
+describe('zonedDayRange', () => {
+  it('is 23 hours long on the spring DST day', () => {
+    const range = zonedDayRange('2026-03-08', NEW_YORK);
+    expect(range.$gte.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(range.$lt.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+  });
+});
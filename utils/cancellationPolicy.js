@@ -0,0 +1,72 @@
+// Tiered cancellation policy helpers.
+//
+// A policy is a list of tiers like { hoursBefore: 24, refundPercent: 100 }.
+// The tier that applies is the one with the largest hoursBefore that is still
+// <= the hours left until the booking starts. When no tier applies the booking
+// can no longer be cancelled.
+
+// Used when a turf has not configured its own policy: full refund more than
+// 24 hours ahead, cancellable without refund until 2 hours before start.
+const DEFAULT_TIERS = [
+  { hoursBefore: 24, refundPercent: 100 },
+  { hoursBefore: 2, refundPercent: 0 }
+];
+
+// Validate a list of tiers, returning an error message or null
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'Cancellation policy must have at least one tier';
+  }
+
+  const seen = new Set();
+  for (const tier of tiers) {
+    if (typeof tier.hoursBefore !== 'number' || tier.hoursBefore < 0) {
+      return 'hoursBefore must be a non-negative number';
+    }
+    if (typeof tier.refundPercent !== 'number' || tier.refundPercent < 0 || tier.refundPercent > 100) {
+      return 'refundPercent must be between 0 and 100';
+    }
+    if (seen.has(tier.hoursBefore)) {
+      return 'Each tier must have a different hoursBefore';
+    }
+    seen.add(tier.hoursBefore);
+  }
+
+  return null;
+}
+
+// Work out whether a booking can be cancelled and how much is refunded
+function getRefundQuote(tiers, hoursUntilStart, paidAmount) {
+  const policyTiers = Array.isArray(tiers) && tiers.length > 0 ? tiers : DEFAULT_TIERS;
+  const tier = [...policyTiers]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find(t => hoursUntilStart >= t.hoursBefore);
+
+  if (!tier) {
+    return {
+      canCancel: false,
+      hoursUntilStart,
+      refundPercent: 0,
+      refundAmount: 0,
+      penalty: paidAmount,
+      tier: null
+    };
+  }
+
+  const refundAmount = Math.round((paidAmount * tier.refundPercent) / 100);
+
+  return {
+    canCancel: true,
+    hoursUntilStart,
+    refundPercent: tier.refundPercent,
+    refundAmount,
+    penalty: paidAmount - refundAmount,
+    tier: { hoursBefore: tier.hoursBefore, refundPercent: tier.refundPercent }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  validateTiers,
+  getRefundQuote
+};
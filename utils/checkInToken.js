@@ -0,0 +1,70 @@
+// Signed check-in tokens for booking QR codes.
+//
+// A token names the booking, its turf and its date, and expires once the
+// booking is over. It is signed with HMAC-SHA256 so the desk can trust a
+// scanned QR without a guessable code: a token for another turf, an old date
+// or with a changed payload is rejected. The token is
+// base64url(JSON payload) + "." + base64url(signature).
+
+const crypto = require('crypto');
+
+// Minutes after a booking ends that its token still verifies, so late
+// scans get a clear "already ended" instead of a bad-token error
+const EXPIRY_GRACE_MINUTES = 60;
+
+// A guessable built-in secret would let anyone forge check-in codes, so a
+// missing secret is a configuration error
+const getSecret = () => {
+  const secret = process.env.CHECKIN_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CHECKIN_TOKEN_SECRET or JWT_SECRET must be set to sign check-in codes');
+  }
+  return secret;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+// Create the token for a booking. dateKey is the booking's YYYY-MM-DD date.
+function createCheckInToken({ bookingId, turfId, dateKey, endsAt }) {
+  const payload = Buffer.from(JSON.stringify({
+    b: String(bookingId),
+    t: String(turfId),
+    d: dateKey,
+    exp: Math.floor(new Date(endsAt).getTime() / 1000) + EXPIRY_GRACE_MINUTES * 60
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Check a token's signature and expiry. Resolves to
+// { bookingId, turfId, dateKey } or { error }.
+function verifyCheckInToken(token, now = new Date()) {
+  const [payload, signature, extra] = String(token || '').trim().split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { error: 'Not a TurfEase check-in code' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'Check-in code is not valid' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { error: 'Not a TurfEase check-in code' };
+  }
+
+  if (!data.exp || data.exp * 1000 < now.getTime()) {
+    return { error: 'Check-in code has expired' };
+  }
+
+  return { bookingId: data.b, turfId: data.t, dateKey: data.d };
+}
+
+module.exports = {
+  createCheckInToken,
+  verifyCheckInToken
+};
@@ -0,0 +1,127 @@
+// iCalendar (RFC 5545) helpers for booking calendars.
+//
+// Owners subscribe to a feed of their bookings from Google Calendar and the
+// like, and players get a single-event .ics with their confirmation email.
+// Event times are written in UTC from the booking's turf-local start and end,
+// so calendar apps show them correctly whatever zone they are in.
+
+const PRODUCT_ID = '-//TurfEase//Bookings//EN';
+
+// Longest content line, in octets, before it must be folded
+const MAX_LINE_OCTETS = 75;
+
+// Booking statuses mapped to event statuses calendar apps understand
+const EVENT_STATUS = {
+  held: 'TENTATIVE',
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+// Escape a value for a TEXT property
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Format an instant as a UTC DATE-TIME, e.g. 20260307T183000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold a content line into 75-octet pieces, without splitting a character
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > MAX_LINE_OCTETS - (pieces.length > 0 ? 1 : 0)) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+// Build the VEVENT lines for one booking. turf is the booking's turf (or
+// anything with name and location). Pass { forOwner: true } for the owner's
+// view, which leads with the customer and lists their phone number.
+function bookingEvent(booking, turf, options = {}) {
+  const turfName = turf?.name || 'Turf';
+  const customer = booking.customerInfo || {};
+  const code = booking.bookingCode || String(booking._id).slice(-8).toUpperCase();
+  const court = booking.court ? ` (${booking.court}${booking.courtType === 'half' ? ', half court' : ''})` : '';
+
+  const summary = options.forOwner
+    ? `${customer.name || 'Booking'} - ${turfName}${court}`
+    : `Booking at ${turfName}`;
+  const description = options.forOwner
+    ? [
+      `Customer: ${customer.name || '-'}`,
+      `Phone: ${customer.phone || '-'}`,
+      `Code: ${code}`,
+      `Status: ${booking.status}`,
+      `Payment: ${booking.paymentStatus || '-'}`
+    ]
+    : [
+      `Booking code: ${code}`,
+      `Status: ${booking.status}`,
+      'Bring the QR or booking code for check-in.'
+    ];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking._id}@turfease`,
+    `DTSTAMP:${formatDateTime(booking.updatedAt || booking.createdAt || new Date())}`,
+    `DTSTART:${formatDateTime(booking.getStartDateTime())}`,
+    `DTEND:${formatDateTime(booking.getEndDateTime())}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${EVENT_STATUS[booking.status] || 'CONFIRMED'}`
+  ];
+  if (turf?.location?.address) {
+    lines.push(`LOCATION:${escapeText(turf.location.address)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Wrap events into a calendar and return the .ics text. Pass { name } to
+// label a subscribed feed and { method } for email attachments.
+function buildCalendar(events, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (options.method) {
+    lines.push(`METHOD:${options.method}`);
+  }
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  bookingEvent,
+  buildCalendar
+};
@@ -1,5 +1,8 @@
 const PDFDocument = require('pdfkit');
 const { format } = require('date-fns');
+const QRCode = require('qrcode');
+const { toDateKey } = require('./timezone');
+const { slotLength } = require('./slotTemplate');
 const https = require('https');
 const http = require('http');
 
@@ -81,8 +84,8 @@ async function generateBookingReceiptPDF(booking, payment) {
 
       const getStatusColor = (status) => {
         switch (status?.toLowerCase()) {
-          case 'paid': case 'confirmed': case 'completed': return success;
-          case 'pending': case 'processing': return warning;
+          case 'paid': case 'confirmed': case 'completed': case 'processed': return success;
+          case 'pending': case 'processing': case 'partial': return warning;
           case 'failed': case 'cancelled': case 'rejected': return danger;
           default: return muted;
         }
@@ -120,16 +123,6 @@ async function generateBookingReceiptPDF(booking, payment) {
         });
       };
 
-      // Generate QR Code URL (using external service)
-      const qrData = JSON.stringify({
-        bookingId: booking._id.toString(),
-        receiptId: `RCP-${booking._id.toString().slice(-8)}`,
-        amount: booking.totalAmount || booking.paymentAmount,
-        date: booking.bookingDate,
-        verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${booking._id}`
-      });
-      const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?size=120x120&data=${encodeURIComponent(qrData)}`;
-      
       // TurfEase logo URL (using a sports/turf related logo)
       const logoUrl = 'https://cdn-icons-png.flaticon.com/512/3048/3048425.png'; // Soccer/Football field icon
 
@@ -194,23 +187,25 @@ async function generateBookingReceiptPDF(booking, payment) {
          .text(`Date: ${format(new Date(), 'dd MMM yyyy')}`, 400, 50)
          .text(`Time: ${format(new Date(), 'HH:mm')}`, 400, 65);
 
-      // QR Code for verification (top right corner)
+      // QR Code for check-in (top right corner)
       try {
-        const qrBuffer = await downloadImage(qrCodeUrl);
+        // The QR holds the signed check-in token, the same one as in the
+        // confirmation email, so the desk can scan the receipt to check in
+        const qrBuffer = await QRCode.toBuffer(booking.getCheckInToken(), { width: 120, margin: 1 });
         doc.image(qrBuffer, 460, 80, { width: 60, height: 60 });
         
         // QR Code label
         doc.fontSize(8)
            .fillColor('white')
-           .text('Scan to Verify', 460, 145, { width: 60, align: 'center' });
+           .text('Scan to Check In', 460, 145, { width: 60, align: 'center' });
       } catch (e) {
-        // Fallback QR placeholder if download fails
+        // Fallback QR placeholder if the QR code cannot be drawn
         doc.rect(460, 80, 60, 60)
            .stroke()
            .fontSize(8)
            .fillColor('white')
-           .text('QR CODE\nVerification', 465, 100, { width: 50, align: 'center' });
-        console.log('QR code download failed, using placeholder');
+           .text('QR CODE\nCheck-in', 465, 100, { width: 50, align: 'center' });
+        console.log('QR code generation failed, using placeholder');
       }
 
       // Reset position after header
@@ -247,7 +242,8 @@ async function generateBookingReceiptPDF(booking, payment) {
       
       doc.y += 30;
 
-      const bookingDate = booking.bookingDate ? new Date(booking.bookingDate) : null;
+      // Calendar dates are stored at midnight UTC; format the day itself
+      const bookingDate = booking.bookingDate ? new Date(`${toDateKey(booking.bookingDate)}T00:00:00`) : null;
       const formattedDate = bookingDate ? format(bookingDate, 'EEEE, dd MMM yyyy') : 'N/A';
 
       const bookingRows = [
@@ -289,6 +285,15 @@ async function generateBookingReceiptPDF(booking, payment) {
         ['Amount Paid', `${payment?.amount ? Math.round(payment.amount / 100) : booking.paymentAmount || 0} INR`]
       ];
 
+      // Advance bookings leave a balance that is collected at the venue
+      if (booking.balancePayment?.amount) {
+        paymentRows.push(['Paid at Venue', `${booking.balancePayment.amount} INR (${booking.balancePayment.method || 'cash'})`]);
+      }
+      const balanceDue = typeof booking.getBalanceDue === 'function' ? booking.getBalanceDue() : 0;
+      if (booking.paymentStatus === 'partial' && balanceDue > 0) {
+        paymentRows.push(['Balance Due at Venue', `${balanceDue} INR`]);
+      }
+
       doc.y = drawTable(50, doc.y, 500, paymentRows, {
         colWidths: [150, 350],
         cellHeight: 22,
@@ -311,27 +316,24 @@ async function generateBookingReceiptPDF(booking, payment) {
       let duration = 1; // default
       
       if (startTime && endTime) {
-        const [startHour, startMin] = startTime.split(':').map(Number);
-        const [endHour, endMin] = endTime.split(':').map(Number);
-        const startMinutes = startHour * 60 + startMin;
-        const endMinutes = endHour * 60 + endMin;
-        duration = (endMinutes - startMinutes) / 60;
+        // Slots such as 23:00-01:00 run past midnight
+        duration = slotLength(startTime, endTime) / 60;
       }
       
       const pricePerHour = booking.pricePerHour || 0;
       const courtMultiplier = booking.courtType === 'half' ? 0.5 : 1;
-      const subtotal = Math.round(pricePerHour * duration * courtMultiplier);
-      const total = booking.totalAmount || booking.paymentAmount || subtotal;
-      
-      // Calculate tax from the difference (if any)
-      const tax = total > subtotal ? total - subtotal : 0;
+      const fallbackSubtotal = Math.round(pricePerHour * duration * courtMultiplier);
+      // Use the same breakdown the payment order was charged from
+      const breakdown = typeof booking.getPriceBreakdown === 'function'
+        ? booking.getPriceBreakdown()
+        : { subtotal: fallbackSubtotal, discount: 0, fees: 0, total: booking.totalAmount || booking.paymentAmount || fallbackSubtotal };
 
       const pricingRows = [
         ['Description', 'Amount'],
-        [`${booking.courtType || 'Full'} Court Booking (${duration}h @ ${pricePerHour}/hr)`, `${subtotal} INR`],
-        ['Taxes & Fees', tax > 0 ? `${tax} INR` : '0 INR'],
-        ['Discount', '0 INR'],
-        ['Total Amount', `${total} INR`]
+        [`${booking.courtType || 'Full'} Court Booking (${duration}h @ ${pricePerHour}/hr)`, `${breakdown.subtotal} INR`],
+        ['Convenience Fee', `${breakdown.fees} INR`],
+        [booking.couponCode ? `Discount (${booking.couponCode})` : 'Discount', breakdown.discount > 0 ? `-${breakdown.discount} INR` : '0 INR'],
+        ['Total Amount', `${breakdown.total} INR`]
       ];
 
       doc.y = drawTable(50, doc.y, 500, pricingRows, {
@@ -340,7 +342,38 @@ async function generateBookingReceiptPDF(booking, payment) {
         headerHeight: 28
       });
 
-      doc.y += 50;
+      doc.y += 30;
+
+      // Refund Details Table (only once a refund is owed)
+      if (booking.refundStatus && booking.refundStatus !== 'none') {
+        doc.fillColor(dark)
+           .fontSize(16)
+           .font('Helvetica-Bold')
+           .text('Refund Information', 50, doc.y);
+
+        doc.y += 30;
+
+        const refundRows = [
+          ['Field', 'Details'],
+          ['Refund Amount', `${booking.refundAmount || 0} INR`],
+          ['Refund Status', booking.refundStatus],
+          ['Refund ID', booking.razorpayRefundId || 'N/A'],
+          ['Refunded On', booking.refundedAt ? format(new Date(booking.refundedAt), 'dd MMM yyyy, HH:mm') : 'N/A']
+        ];
+        if (booking.refundError) {
+          refundRows.push(['Failure Reason', booking.refundError]);
+        }
+
+        doc.y = drawTable(50, doc.y, 500, refundRows, {
+          colWidths: [150, 350],
+          cellHeight: 22,
+          headerHeight: 28
+        });
+
+        doc.y += 30;
+      }
+
+      doc.y += 20;
 
       // Terms & Conditions Section
       doc.fillColor(dark)
@@ -0,0 +1,170 @@
+const PDFDocument = require('pdfkit');
+const { format } = require('date-fns');
+const { DEFAULT_TIMEZONE, toDateKey } = require('./timezone');
+
+const ENTRY_LABELS = {
+  booking_payment: 'Online payment',
+  refund: 'Refund',
+  commission: 'Commission',
+  commission_reversal: 'Commission returned',
+  convenience_fee: 'Convenience fee',
+  convenience_fee_reversal: 'Convenience fee returned',
+  payout: 'Payout'
+};
+
+// Statements run on the platform's default timezone; format the day an
+// instant falls on there rather than on the server
+const zonedDay = (instant) => new Date(`${toDateKey(new Date(instant).toISOString(), DEFAULT_TIMEZONE)}T00:00:00`);
+
+// Generate an owner's monthly settlement statement PDF and return a Buffer
+async function generateOwnerStatementPDF(owner, statement) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: 'TurfEase Settlement Statement',
+          Author: 'TurfEase',
+          Subject: `Settlement Statement - ${statement.month}`,
+          Keywords: 'statement, payout, turfease'
+        }
+      });
+      const chunks = [];
+      doc.on('data', (d) => chunks.push(d));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+      // Color palette (matches the booking receipt)
+      const primary = '#10b981';
+      const success = '#059669';
+      const danger = '#dc2626';
+      const dark = '#111827';
+      const muted = '#6b7280';
+      const light = '#f9fafb';
+      const border = '#e5e7eb';
+
+      const money = (amount) => `${amount < 0 ? '-' : ''}${Math.abs(amount).toFixed(2)} INR`;
+
+      const drawRow = (cells, colWidths, y, options = {}) => {
+        const height = options.height || 20;
+        if (options.header) {
+          doc.rect(50, y, 500, height).fill(light);
+        }
+        doc.save().strokeColor(border).lineWidth(1).moveTo(50, y + height).lineTo(550, y + height).stroke().restore();
+
+        let x = 50;
+        cells.forEach((cell, i) => {
+          doc.fillColor(options.colors?.[i] || (options.header ? dark : (i === 0 ? muted : dark)))
+             .fontSize(options.header ? 10 : 9)
+             .font(options.header ? 'Helvetica-Bold' : 'Helvetica')
+             .text(cell, x + 6, y + (height - 10) / 2, {
+               width: colWidths[i] - 12,
+               height,
+               ellipsis: true,
+               align: i === cells.length - 1 ? 'right' : 'left'
+             });
+          x += colWidths[i];
+        });
+        return y + height;
+      };
+
+      // Header
+      doc.rect(0, 0, 612, 110).fill(primary);
+      doc.fillColor('white')
+         .fontSize(26)
+         .font('Helvetica-Bold')
+         .text('TurfEase', 50, 30);
+      doc.fontSize(12)
+         .font('Helvetica-Bold')
+         .text('SETTLEMENT STATEMENT', 50, 65);
+      doc.fontSize(10)
+         .font('Helvetica')
+         .text(`Period: ${format(new Date(`${statement.month}-01T00:00:00`), 'MMMM yyyy')}`, 380, 35)
+         .text(`Generated: ${format(new Date(), 'dd MMM yyyy, HH:mm')}`, 380, 50);
+
+      // Owner details
+      doc.y = 135;
+      const ownerName = [owner.firstName, owner.lastName].filter(Boolean).join(' ') || 'Owner';
+      doc.fillColor(dark)
+         .fontSize(14)
+         .font('Helvetica-Bold')
+         .text(owner.businessName || ownerName, 50, doc.y);
+      doc.fontSize(10)
+         .font('Helvetica')
+         .fillColor(muted)
+         .text(`${ownerName}${owner.email ? `  |  ${owner.email}` : ''}`, 50, doc.y + 4);
+
+      // Summary
+      doc.y += 25;
+      doc.fillColor(dark)
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text('Summary', 50, doc.y);
+      doc.y += 25;
+
+      const totals = statement.totals;
+      const summaryRows = [
+        ['Opening balance', money(statement.openingBalance)],
+        ['Online payments', money(totals.booking_payment || 0)],
+        ['Refunds', money(totals.refund || 0)],
+        ['Commission', money((totals.commission || 0) + (totals.commission_reversal || 0))],
+        ['Convenience fees', money((totals.convenience_fee || 0) + (totals.convenience_fee_reversal || 0))],
+        ['Payouts', money(totals.payout || 0)]
+      ];
+      let y = drawRow(['Item', 'Amount'], [350, 150], doc.y, { header: true, height: 24 });
+      summaryRows.forEach(row => {
+        y = drawRow(row, [350, 150], y);
+      });
+      y = drawRow(['Closing balance', money(statement.closingBalance)], [350, 150], y, {
+        header: true,
+        height: 24,
+        colors: [dark, statement.closingBalance < 0 ? danger : success]
+      });
+
+      // Entries
+      doc.y = y + 30;
+      doc.fillColor(dark)
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text('Transactions', 50, doc.y);
+      doc.y += 25;
+
+      const colWidths = [80, 110, 110, 100, 100];
+      const drawEntriesHeader = (top) => drawRow(['Date', 'Type', 'Turf', 'Booking', 'Amount'], colWidths, top, { header: true, height: 24 });
+
+      y = drawEntriesHeader(doc.y);
+      if (statement.entries.length === 0) {
+        y = drawRow(['No transactions this month', '', '', '', ''], colWidths, y);
+      }
+      statement.entries.forEach(entry => {
+        if (y > 700) {
+          doc.addPage();
+          y = drawEntriesHeader(50);
+        }
+        y = drawRow([
+          format(zonedDay(entry.occurredAt), 'dd MMM yyyy'),
+          ENTRY_LABELS[entry.type] || entry.type,
+          entry.turfId?.name || '-',
+          entry.bookingId?.bookingCode ? `#${entry.bookingId.bookingCode}` : (entry.reference || '-'),
+          money(entry.amount)
+        ], colWidths, y, { colors: [muted, dark, dark, dark, entry.amount < 0 ? danger : success] });
+      });
+
+      // Footer
+      doc.y = y + 30;
+      doc.fontSize(8)
+         .fillColor(muted)
+         .font('Helvetica')
+         .text('Amounts are shown from your point of view: payments are credits, refunds, commission and payouts are debits. ' +
+               'Cash and UPI collected at the venue are not included.', 50, doc.y, { width: 500 });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  generateOwnerStatementPDF,
+};
@@ -0,0 +1,247 @@
+// Weekly slot template helpers.
+//
+// Owners describe their operating hours as opening and closing times, a
+// buffer (cleanup time) left between slots and break periods with no play.
+// Per-weekday entries in `days` override those defaults or close the day.
+// From that and the turf's slotDuration the seven-day availableSlots
+// template is generated, and any template is validated before it is saved.
+//
+// Late-night venues close after midnight: a closing time earlier than the
+// opening time is on the next day, and a slot such as 23:00-01:00 belongs to
+// the day it starts on.
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_BUFFER_MINUTES = 120;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Convert HH:MM to minutes since midnight
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Convert minutes since midnight to HH:MM, wrapping past midnight
+function toTime(minutes) {
+  const wrapped = minutes % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60);
+  return `${String(hours).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+// Length of a time range in minutes. An end at or before the start is on the
+// next day, so 23:00-01:00 is 120 minutes; equal times give 0.
+function slotLength(startTime, endTime) {
+  return (toMinutes(endTime) - toMinutes(startTime) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+// Whether a time range ends on the day after it starts
+function crossesMidnight(startTime, endTime) {
+  return toMinutes(endTime) < toMinutes(startTime);
+}
+
+// Resolve the hours that apply on one weekday, or null when it is closed
+function hoursForDay(hours, day) {
+  const override = hours.days?.[day] || {};
+  if (override.isOpen === false) {
+    return null;
+  }
+  return {
+    openTime: override.openTime || hours.openTime,
+    closeTime: override.closeTime || hours.closeTime,
+    breaks: override.breaks || hours.breaks || []
+  };
+}
+
+// Validate operating hours, returning an error message or null
+function validateHours(hours, slotDuration) {
+  if (!hours || typeof hours !== 'object') {
+    return 'Operating hours are required';
+  }
+
+  const buffer = hours.bufferMinutes || 0;
+  if (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_BUFFER_MINUTES) {
+    return `bufferMinutes must be a whole number between 0 and ${MAX_BUFFER_MINUTES}`;
+  }
+
+  let openDays = 0;
+  for (const day of DAYS) {
+    const dayHours = hoursForDay(hours, day);
+    if (!dayHours) {
+      continue;
+    }
+    openDays++;
+
+    const { openTime, closeTime, breaks } = dayHours;
+    if (!TIME_PATTERN.test(openTime || '') || !TIME_PATTERN.test(closeTime || '')) {
+      return `Opening and closing times on ${day} must be in HH:MM format`;
+    }
+    if (slotLength(openTime, closeTime) === 0) {
+      return `Closing time on ${day} must differ from the opening time`;
+    }
+
+    if (breaks.some(brk => !TIME_PATTERN.test(brk.startTime || '') || !TIME_PATTERN.test(brk.endTime || ''))) {
+      return `Break times on ${day} must be in HH:MM format`;
+    }
+
+    // Breaks are placed by their offset from opening, so they can fall after midnight
+    const ranges = placeBreaks(dayHours).sort((a, b) => a.start - b.start);
+    for (const [i, range] of ranges.entries()) {
+      const { startTime, endTime } = range.brk;
+      if (range.end === range.start) {
+        return `Break ${startTime}-${endTime} on ${day} ends before it starts`;
+      }
+      if (range.end > range.close) {
+        return `Break ${startTime}-${endTime} on ${day} is outside the opening hours`;
+      }
+      if (i > 0 && range.start < ranges[i - 1].end) {
+        const prev = ranges[i - 1].brk;
+        return `Breaks ${prev.startTime}-${prev.endTime} and ${startTime}-${endTime} on ${day} overlap`;
+      }
+    }
+
+    if (generateDaySlots(dayHours, { slotDuration, bufferMinutes: buffer }).length === 0) {
+      return `Opening hours on ${day} leave no room for a ${slotDuration}-minute slot`;
+    }
+  }
+
+  if (openDays === 0) {
+    return 'The turf must be open on at least one day';
+  }
+
+  // Late closing on one day can run into the next day's opening
+  return validateTemplate(generateTemplate(hours, { slotDuration }), slotDuration);
+}
+
+// Place a day's breaks on a timeline counted from the day's midnight, where
+// minutes past 24:00 are after midnight. Also returns where the day closes.
+function placeBreaks(dayHours) {
+  const open = toMinutes(dayHours.openTime);
+  const close = open + slotLength(dayHours.openTime, dayHours.closeTime);
+  return (dayHours.breaks || []).map(brk => {
+    const start = open + slotLength(dayHours.openTime, brk.startTime);
+    return { brk, start, end: start + slotLength(brk.startTime, brk.endTime), close };
+  });
+}
+
+// Lay out back-to-back slots for one day, skipping breaks and leaving the
+// buffer after each slot. A slot that would run into a break starts after it.
+// Slots after midnight keep going until the closing time on the next day.
+function generateDaySlots(dayHours, options) {
+  const { slotDuration, bufferMinutes = 0 } = options;
+  const close = toMinutes(dayHours.openTime) + slotLength(dayHours.openTime, dayHours.closeTime);
+  const breaks = placeBreaks(dayHours);
+
+  const slots = [];
+  let start = toMinutes(dayHours.openTime);
+  while (start + slotDuration <= close) {
+    const end = start + slotDuration;
+    const clash = breaks.find(b => start < b.end && end > b.start);
+    if (clash) {
+      start = clash.end;
+      continue;
+    }
+
+    slots.push({ startTime: toTime(start), endTime: toTime(end) });
+    start = end + bufferMinutes;
+  }
+  return slots;
+}
+
+// Generate the seven-day availableSlots template. Slots that already exist in
+// `previous` keep their price; new ones get `price`. Slots starting after
+// midnight go to the next weekday, whose date they fall on, which then counts
+// as open even if it has no hours of its own.
+function generateTemplate(hours, options) {
+  const { slotDuration, price = 0, previous } = options;
+  const template = {};
+  for (const day of DAYS) {
+    template[day] = { isOpen: false, slots: [] };
+  }
+
+  const previousPrice = (day, slot) => (previous?.[day]?.slots || [])
+    .find(s => s.startTime === slot.startTime && s.endTime === slot.endTime)?.price;
+
+  for (const [d, day] of DAYS.entries()) {
+    const dayHours = hoursForDay(hours, day);
+    if (!dayHours) {
+      continue;
+    }
+    template[day].isOpen = true;
+
+    for (const slot of generateDaySlots(dayHours, { slotDuration, bufferMinutes: hours.bufferMinutes || 0 })) {
+      const target = slot.startTime < dayHours.openTime ? DAYS[(d + 1) % DAYS.length] : day;
+      template[target].isOpen = true;
+      template[target].slots.push({ ...slot, price: previousPrice(target, slot) ?? price });
+    }
+  }
+
+  for (const day of DAYS) {
+    template[day].slots.sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+  return template;
+}
+
+// Open slots of one weekday in the template, earliest first
+function openSlots(availableSlots, day) {
+  const daySlots = availableSlots?.[day];
+  if (!daySlots || daySlots.isOpen === false) {
+    return [];
+  }
+  return [...(daySlots.slots || [])].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+}
+
+// Validate a weekly availableSlots template, returning an error message or null
+function validateTemplate(availableSlots, slotDuration) {
+  for (const [d, day] of DAYS.entries()) {
+    const sorted = openSlots(availableSlots, day);
+    for (const [i, slot] of sorted.entries()) {
+      if (!TIME_PATTERN.test(slot.startTime || '') || !TIME_PATTERN.test(slot.endTime || '')) {
+        return `Slot times on ${day} must be in HH:MM format`;
+      }
+
+      const length = slotLength(slot.startTime, slot.endTime);
+      if (length === 0) {
+        return `Slot ${slot.startTime}-${slot.endTime} on ${day} ends before it starts`;
+      }
+      if (slotDuration && length !== slotDuration) {
+        return `Slot ${slot.startTime}-${slot.endTime} on ${day} is not ${slotDuration} minutes long`;
+      }
+      if (typeof slot.price !== 'number' || slot.price < 0) {
+        return `Slot ${slot.startTime}-${slot.endTime} on ${day} needs a price of 0 or more`;
+      }
+
+      const prev = sorted[i - 1];
+      if (prev && toMinutes(slot.startTime) < toMinutes(prev.startTime) + slotLength(prev.startTime, prev.endTime)) {
+        return `Slots ${prev.startTime}-${prev.endTime} and ${slot.startTime}-${slot.endTime} on ${day} overlap`;
+      }
+    }
+
+    // A slot running past midnight must not clash with the next day's first slots
+    const last = sorted[sorted.length - 1];
+    if (last && TIME_PATTERN.test(last.endTime || '') && crossesMidnight(last.startTime, last.endTime)) {
+      const nextDay = DAYS[(d + 1) % DAYS.length];
+      const clash = openSlots(availableSlots, nextDay).find(slot => (slot.startTime || '') < last.endTime);
+      if (clash) {
+        return `Slot ${last.startTime}-${last.endTime} on ${day} runs into the ${clash.startTime}-${clash.endTime} slot on ${nextDay}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DAYS,
+  TIME_PATTERN,
+  toMinutes,
+  toTime,
+  slotLength,
+  crossesMidnight,
+  validateHours,
+  generateDaySlots,
+  generateTemplate,
+  validateTemplate
+};
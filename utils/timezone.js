@@ -0,0 +1,159 @@
+// Date and time helpers for turf-local booking times.
+//
+// Every turf has an IANA timezone. A booking's day is a calendar date, kept
+// as midnight UTC of that date (and as a YYYY-MM-DD "date key" elsewhere),
+// and its start and end are HH:MM wall-clock times at the turf. Turning
+// those into real instants, or asking "is it today / has it passed", must
+// happen in the turf's zone rather than the server's.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Intl formatters are costly to build, so keep one per zone
+const formatters = new Map();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Check that a string names a timezone Intl knows about
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a zone
+function getZonedParts(instant, timeZone = DEFAULT_TIMEZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+}
+
+// Offset of a zone from UTC at an instant, in minutes
+function getOffsetMinutes(instant, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+  return Math.round((asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000) / 60000);
+}
+
+// YYYY-MM-DD date key of a calendar date. Date keys pass through and Date
+// values at midnight UTC are read as stored calendar dates, as bookingDate
+// comes back from the database. Anything else, including ISO strings and
+// timestamps that land on midnight UTC, is a real instant and is read as
+// the day it falls on in the zone.
+function toDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) {
+    return date;
+  }
+
+  const d = new Date(date);
+  if (date instanceof Date && d.getTime() % DAY_MS === 0) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  const p = getZonedParts(d, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Calendar date as stored on bookings: midnight UTC of the date key.
+// Returns an invalid Date for input that is not a date.
+function toCalendarDate(date, timeZone = DEFAULT_TIMEZONE) {
+  if (date == null || date === '' || isNaN(new Date(date).getTime())) {
+    return new Date(NaN);
+  }
+  return new Date(`${toDateKey(date, timeZone)}T00:00:00.000Z`);
+}
+
+// Date key a number of days after (or before) another
+function addDays(date, days) {
+  const d = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Weekday name of a calendar date, as used by the slot template
+function weekdayOf(date, timeZone = DEFAULT_TIMEZONE) {
+  return WEEKDAYS[new Date(`${toDateKey(date, timeZone)}T00:00:00.000Z`).getUTCDay()];
+}
+
+// The instant a wall-clock time on a calendar date happens in a zone
+function zonedDateTime(date, time, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = toDateKey(date, timeZone).split('-').map(Number);
+  const [hours, minutes] = String(time || '00:00').split(':').map(n => parseInt(n || '0', 10));
+
+  // A second pass settles the offset when a DST change falls between the
+  // wall-clock guess and the real instant
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = wallClock - getOffsetMinutes(wallClock, timeZone) * 60000;
+  return new Date(wallClock - getOffsetMinutes(guess, timeZone) * 60000);
+}
+
+// Today's date key and the minutes since midnight, in a zone
+function nowInZone(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const p = getZonedParts(now, timeZone);
+  return {
+    dateKey: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    minutes: p.hours * 60 + p.minutes
+  };
+}
+
+// Range of stored calendar dates covering one date key, for bookingDate queries
+function calendarDayRange(date, timeZone = DEFAULT_TIMEZONE) {
+  const start = toCalendarDate(date, timeZone);
+  return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+}
+
+// Range of instants making up one day in a zone, for timestamp queries
+function zonedDayRange(date, timeZone = DEFAULT_TIMEZONE) {
+  return {
+    $gte: zonedDateTime(date, '00:00', timeZone),
+    $lt: zonedDateTime(addDays(toDateKey(date, timeZone), 1), '00:00', timeZone)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_KEY_PATTERN,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  toDateKey,
+  toCalendarDate,
+  addDays,
+  weekdayOf,
+  zonedDateTime,
+  nowInZone,
+  calendarDayRange,
+  zonedDayRange
+};